@@ -3,10 +3,17 @@ import './AdminDashboard.css';
 import Sidebar from './Sidebar';
 import DashboardStats from './DashboardStats';
 import KeysManager from './KeysManager';
+import PlansManager from './PlansManager';
+import RedeemCodesManager from './RedeemCodesManager';
+import SuspiciousKeysManager from './SuspiciousKeysManager';
+import UsersManager from './UsersManager';
+import BansManager from './BansManager';
+import ProductSwitcher from './ProductSwitcher';
 import AdminSettings from './AdminSettings';
 
 function AdminDashboard() {
   const [activeTab, setActiveTab] = useState('dashboard');
+  const [product, setProduct] = useState('');
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [userSession, setUserSession] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -83,9 +90,17 @@ function AdminDashboard() {
           <h1 className="page-title">
             {activeTab === 'dashboard' && 'Dashboard'}
             {activeTab === 'keys' && 'Keys Manager'}
+            {activeTab === 'users' && 'Users'}
+            {activeTab === 'plans' && 'Key Plans'}
+            {activeTab === 'codes' && 'Redeem Codes'}
+            {activeTab === 'suspicious' && 'Suspicious Keys'}
+            {activeTab === 'bans' && 'Bans'}
             {activeTab === 'settings' && 'Admin Settings'}
           </h1>
           <div className="header-actions">
+            {(activeTab === 'dashboard' || activeTab === 'keys') && (
+              <ProductSwitcher value={product} onChange={setProduct} />
+            )}
             <div className="user-info">
               <span className="session-id">Session: {userSession?.id?.substring(0, 8)}...</span>
               <button className="logout-btn" onClick={handleLogout}>
@@ -96,8 +111,13 @@ function AdminDashboard() {
         </div>
 
   <div className={`content-body ${activeTab === 'settings' ? 'hide-scrollbar' : ''}`}>
-          {activeTab === 'dashboard' && <DashboardStats />}
-          {activeTab === 'keys' && <KeysManager />}
+          {activeTab === 'dashboard' && <DashboardStats product={product} />}
+          {activeTab === 'keys' && <KeysManager product={product} />}
+          {activeTab === 'users' && <UsersManager />}
+          {activeTab === 'plans' && <PlansManager />}
+          {activeTab === 'codes' && <RedeemCodesManager />}
+          {activeTab === 'suspicious' && <SuspiciousKeysManager />}
+          {activeTab === 'bans' && <BansManager />}
           {activeTab === 'settings' && <AdminSettings />}
         </div>
       </main>
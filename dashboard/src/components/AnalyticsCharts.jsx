@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import './AnalyticsCharts.css';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const INTERVALS = [
+  { value: 'hour', label: 'Hourly', ms: HOUR_MS },
+  { value: 'day', label: 'Daily', ms: 24 * HOUR_MS },
+  { value: 'week', label: 'Weekly', ms: 7 * 24 * HOUR_MS }
+];
+
+const RANGES = [
+  { value: '24h', label: 'Last 24 hours', ms: 24 * HOUR_MS },
+  { value: '7d', label: 'Last 7 days', ms: 7 * 24 * HOUR_MS },
+  { value: '30d', label: 'Last 30 days', ms: 30 * 24 * HOUR_MS },
+  { value: '90d', label: 'Last 90 days', ms: 90 * 24 * HOUR_MS },
+  { value: '1y', label: 'Last year', ms: 365 * 24 * HOUR_MS },
+  { value: 'custom', label: 'Custom…', ms: null }
+];
+
+// Same cap as the API: longer series must use a larger interval
+const MAX_BUCKETS = 1000;
+
+const CHARTS = [
+  { title: 'Keys created', segments: [{ field: 'keys_created', className: 'created' }] },
+  {
+    title: 'Validations',
+    segments: [
+      { field: 'ok_validations', className: 'validated', label: 'Valid' },
+      { field: 'failed_validations', className: 'failed', label: 'Refused' }
+    ]
+  },
+  { title: 'Unique users', segments: [{ field: 'unique_users', className: 'users' }] },
+  { title: 'Expirations', segments: [{ field: 'expirations', className: 'expired' }] }
+];
+
+const formatBucket = (bucket, interval) => {
+  const date = new Date(bucket);
+  if (interval === 'hour') {
+    return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+  return interval === 'week'
+    ? `Week of ${date.toLocaleDateString()}`
+    : date.toLocaleDateString();
+};
+
+function BarChart({ chart, series, interval, total }) {
+  const max = Math.max(1, ...series.map(row => chart.segments.reduce((sum, s) => sum + row[s.field], 0)));
+  const width = Math.max(series.length, 1) * 10;
+
+  return (
+    <div className="analytics-chart">
+      <div className="analytics-chart-header">
+        <h4>{chart.title}</h4>
+        <span className="analytics-chart-total">{total}</span>
+      </div>
+      <div className="analytics-chart-body">
+        <span className="analytics-chart-max">{max}</span>
+        <svg viewBox={`0 0 ${width} 100`} preserveAspectRatio="none" role="img" aria-label={chart.title}>
+          {series.map((row, i) => {
+            let offset = 100;
+            return chart.segments.map(segment => {
+              const height = (row[segment.field] / max) * 100;
+              offset -= height;
+              return height > 0 && (
+                <rect
+                  key={`${i}-${segment.field}`}
+                  className={`analytics-bar ${segment.className}`}
+                  x={i * 10 + 1}
+                  y={offset}
+                  width={8}
+                  height={height}
+                >
+                  <title>
+                    {formatBucket(row.bucket, interval)}: {row[segment.field]}{segment.label ? ` ${segment.label.toLowerCase()}` : ''}
+                  </title>
+                </rect>
+              );
+            });
+          })}
+        </svg>
+      </div>
+      {series.length > 0 && (
+        <div className="analytics-chart-axis">
+          <span>{formatBucket(series[0].bucket, interval)}</span>
+          <span>{formatBucket(series[series.length - 1].bucket, interval)}</span>
+        </div>
+      )}
+      {chart.segments.length > 1 && (
+        <div className="chart-legend">
+          {chart.segments.map(segment => (
+            <div key={segment.field} className="legend-item">
+              <div className={`analytics-legend-color ${segment.className}`}></div>
+              <span>{segment.label}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Keys created, validations, unique users and expirations over time, from the hourly rollups
+function AnalyticsCharts({ product = '' }) {
+  const [interval, setBucketInterval] = useState('day');
+  const [range, setRange] = useState('30d');
+  const [custom, setCustom] = useState({ from: '', to: '' });
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const intervalMs = INTERVALS.find(item => item.value === interval).ms;
+  const tooLong = (item) => item.ms !== null && item.ms / intervalMs > MAX_BUCKETS;
+
+  useEffect(() => {
+    // A range too long for the new interval falls back to the longest one that fits
+    const selected = RANGES.find(item => item.value === range);
+    if (tooLong(selected)) {
+      setRange([...RANGES].reverse().find(item => item.ms !== null && !tooLong(item)).value);
+      return;
+    }
+    if (range === 'custom' && (!custom.from || !custom.to)) return;
+    fetchAnalytics();
+  }, [product, interval, range, custom]);
+
+  const fetchAnalytics = async () => {
+    setLoading(true);
+    setError('');
+
+    const params = new URLSearchParams({ interval });
+    if (range === 'custom') {
+      // Date inputs are whole UTC days; the end day is included
+      params.set('from', new Date(custom.from).toISOString());
+      params.set('to', new Date(new Date(custom.to).getTime() + 24 * HOUR_MS).toISOString());
+    } else {
+      const now = Date.now();
+      params.set('from', new Date(now - RANGES.find(item => item.value === range).ms).toISOString());
+      params.set('to', new Date(now).toISOString());
+    }
+    if (product) params.set('product', product);
+
+    try {
+      const response = await fetch(`/admin/api/analytics?${params}`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) throw new Error(data.message || 'Failed to fetch analytics');
+
+      setAnalytics(data.analytics);
+    } catch (error) {
+      setError('Error loading analytics: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const series = (analytics?.series || []).map(row => ({
+    ...row,
+    ok_validations: row.validations - row.failed_validations
+  }));
+
+  return (
+    <div className="details-card analytics-card">
+      <div className="analytics-header">
+        <h3>Activity over Time</h3>
+        <div className="analytics-controls">
+          <select value={interval} onChange={e => setBucketInterval(e.target.value)} disabled={loading}>
+            {INTERVALS.map(item => (
+              <option key={item.value} value={item.value}>{item.label}</option>
+            ))}
+          </select>
+          <select value={range} onChange={e => setRange(e.target.value)} disabled={loading}>
+            {RANGES.map(item => (
+              <option key={item.value} value={item.value} disabled={tooLong(item)}>{item.label}</option>
+            ))}
+          </select>
+          {range === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={custom.from}
+                max={custom.to || undefined}
+                onChange={e => setCustom(prev => ({ ...prev, from: e.target.value }))}
+              />
+              <span>to</span>
+              <input
+                type="date"
+                value={custom.to}
+                min={custom.from || undefined}
+                onChange={e => setCustom(prev => ({ ...prev, to: e.target.value }))}
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {analytics && (
+        <>
+          <div className="analytics-grid">
+            {CHARTS.map(chart => (
+              <BarChart
+                key={chart.title}
+                chart={chart}
+                series={series}
+                interval={analytics.interval}
+                total={chart.title === 'Validations'
+                  ? analytics.totals.validations
+                  : analytics.totals[chart.segments[0].field]}
+              />
+            ))}
+          </div>
+          <p className="analytics-footnote">
+            Buckets in UTC. {analytics.last_rollup_at
+              ? `Rolled up ${new Date(analytics.last_rollup_at).toLocaleString()}; newer activity shows after the next rollup-metrics run.`
+              : 'No rollup yet: run the rollup-metrics job to fill the charts.'}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsCharts;
@@ -0,0 +1,298 @@
+import { useState, useEffect } from 'react';
+import './BansManager.css';
+
+const EMPTY_FORM = {
+  type: 'user',
+  value: '',
+  reason: '',
+  expires_at: '',
+  revoke_keys: false
+};
+
+const toPayload = (form) => ({
+  type: form.type,
+  value: form.value.trim(),
+  reason: form.reason.trim(),
+  // datetime-local is in the browser's time zone
+  expires_at: form.expires_at ? new Date(form.expires_at).toISOString() : null,
+  ...(form.type === 'user' ? { revoke_keys: form.revoke_keys } : {})
+});
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+function BansManager() {
+  const [bans, setBans] = useState([]);
+  const [status, setStatus] = useState('active');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchBans();
+  }, [status]);
+
+  const fetchBans = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/admin/api/bans?status=${status}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setBans(data.bans || []);
+      } else {
+        throw new Error(data.message || 'Failed to fetch bans');
+      }
+    } catch (error) {
+      setError('Error fetching bans: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.type === 'user' && formData.revoke_keys
+      && !window.confirm(`Revoke every active key of ${formData.value.trim()}? This can't be undone by lifting the ban.`)) return;
+
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const response = await fetch('/admin/api/bans', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(toPayload(formData))
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        if (data.revoked_keys > 0) {
+          setNotice(`Ban added, ${data.revoked_keys} key${data.revoked_keys === 1 ? '' : 's'} revoked`);
+        }
+        setFormData(EMPTY_FORM);
+        setShowForm(false);
+        await fetchBans();
+      } else {
+        throw new Error(data.message || 'Failed to add ban');
+      }
+    } catch (error) {
+      setError('Error adding ban: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLift = async (ban) => {
+    if (!window.confirm(`Lift the ban on ${ban.value}? Keys it revoked stay revoked.`)) return;
+
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const response = await fetch(`/admin/api/bans/${ban.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        await fetchBans();
+      } else {
+        throw new Error(data.message || 'Failed to lift ban');
+      }
+    } catch (error) {
+      setError('Error lifting ban: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bans-manager">
+      <div className="manager-header">
+        <div>
+          <h2>⛔ Bans</h2>
+          <p>User IDs and addresses refused on key creation, validation and /bind</p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="btn-create"
+          disabled={loading}
+        >
+          {showForm ? '✕ Cancel' : '➕ Add Ban'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {notice && <div className="bans-notice">{notice}</div>}
+
+      {showForm && (
+        <div className="create-form-container">
+          <form onSubmit={handleSubmit} className="create-form">
+            <h3>Add a Ban</h3>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="ban-type">Type *</label>
+                <select
+                  id="ban-type"
+                  name="type"
+                  value={formData.type}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                >
+                  <option value="user">User ID</option>
+                  <option value="ip">IP / CIDR</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="ban-value">{formData.type === 'user' ? 'User ID or pattern *' : 'Address or range *'}</label>
+                <input
+                  type="text"
+                  id="ban-value"
+                  name="value"
+                  value={formData.value}
+                  onChange={handleInputChange}
+                  placeholder={formData.type === 'user' ? 'e.g. user123 or spam_*' : 'e.g. 203.0.113.7 or 203.0.113.0/24'}
+                  required
+                  disabled={loading}
+                />
+                {formData.type === 'user' && <small><code>*</code> matches anything</small>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="ban-expires">Expires</label>
+                <input
+                  type="datetime-local"
+                  id="ban-expires"
+                  name="expires_at"
+                  value={formData.expires_at}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                />
+                <small>Leave empty to ban until lifted</small>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="ban-reason">Reason *</label>
+              <input
+                type="text"
+                id="ban-reason"
+                name="reason"
+                value={formData.reason}
+                onChange={handleInputChange}
+                maxLength={500}
+                required
+                disabled={loading}
+              />
+            </div>
+
+            {formData.type === 'user' && (
+              <div className="form-group bans-revoke">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="revoke_keys"
+                    checked={formData.revoke_keys}
+                    onChange={handleInputChange}
+                    disabled={loading}
+                  />
+                  <span>Revoke the active keys of every user the ban covers</span>
+                </label>
+              </div>
+            )}
+
+            <div className="form-actions">
+              <button type="submit" className="btn-submit" disabled={loading}>
+                {loading ? '⏳ Saving...' : '✓ Add Ban'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="bans-section">
+        <div className="section-header">
+          <h3>Bans ({bans.length})</h3>
+          <div className="bans-toolbar">
+            <select value={status} onChange={e => setStatus(e.target.value)} disabled={loading}>
+              <option value="active">Active</option>
+              <option value="expired">Expired</option>
+              <option value="all">All</option>
+            </select>
+            <button onClick={fetchBans} className="btn-refresh" disabled={loading}>
+              🔄 Refresh
+            </button>
+          </div>
+        </div>
+
+        {bans.length === 0 && !loading ? (
+          <div className="empty-state">
+            <p>{status === 'active' ? 'Nobody is banned' : 'No bans'}</p>
+          </div>
+        ) : (
+          <div className="bans-table">
+            <div className="bans-table-header">
+              <div className="bans-header-cell">Rule</div>
+              <div className="bans-header-cell">Reason</div>
+              <div className="bans-header-cell">Expires</div>
+              <div className="bans-header-cell">Added</div>
+              <div className="bans-header-cell">Actions</div>
+            </div>
+
+            {bans.map(ban => (
+              <div key={ban.id} className="bans-table-row">
+                <div className="bans-cell">
+                  <span className={`bans-type ${ban.type}`}>{ban.type === 'ip' ? 'IP' : ban.pattern ? 'User pattern' : 'User'}</span>
+                  <code>{ban.value}</code>
+                </div>
+                <div className="bans-cell" title={ban.reason}>{ban.reason}</div>
+                <div className="bans-cell">
+                  <span>{ban.expires_at ? formatDate(ban.expires_at) : 'Never'}</span>
+                  {!ban.active && <code>Expired</code>}
+                </div>
+                <div className="bans-cell">{formatDate(ban.created_at)}</div>
+                <div className="bans-cell bans-actions">
+                  <button
+                    onClick={() => handleLift(ban)}
+                    className="btn-action btn-toggle"
+                    disabled={loading}
+                    title="Lift ban"
+                  >
+                    ✓
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BansManager;
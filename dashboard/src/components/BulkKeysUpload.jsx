@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import './BulkKeysUpload.css';
+
+// Rows sent per request, so progress can be reported while the batch runs
+const CHUNK_SIZE = 50;
+
+// Split the uploaded content into chunks the bulk endpoint accepts.
+// JSON arrays are sent as { rows }, CSV lines as { csv } (parsed by the API).
+const buildChunks = (text) => {
+  const trimmed = text.trim();
+  let items;
+  let format;
+  if (trimmed.startsWith('[')) {
+    items = JSON.parse(trimmed);
+    if (!Array.isArray(items)) {
+      throw new Error('JSON content must be an array');
+    }
+    format = 'rows';
+  } else {
+    items = trimmed.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (items.length > 0 && items[0].replace(/^\uFEFF/, '').toLowerCase().startsWith('user_id')) {
+      items.shift();
+    }
+    format = 'csv';
+  }
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    chunks.push({ offset: i, format, items: items.slice(i, i + CHUNK_SIZE) });
+  }
+  return { total: items.length, chunks };
+};
+
+const chunkBody = ({ format, items }) => (format === 'rows' ? { rows: items } : { csv: items.join('\n') });
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export default function BulkKeysUpload({ onClose }) {
+  const [content, setContent] = useState('');
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState('');
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setContent(String(reader.result || ''));
+    reader.readAsText(file);
+  };
+
+  const handleUpload = async () => {
+    setError('');
+    setResults([]);
+
+    let batch;
+    try {
+      batch = buildChunks(content);
+    } catch (err) {
+      setError(err.message || 'Invalid content');
+      return;
+    }
+
+    if (batch.total === 0) {
+      setError('No rows to process');
+      return;
+    }
+
+    setRunning(true);
+    setProgress({ done: 0, total: batch.total });
+    const collected = [];
+
+    try {
+      const queue = [...batch.chunks];
+      while (queue.length > 0) {
+        const chunk = queue.shift();
+        const res = await fetch('/admin/api/keys/bulk', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(chunkBody(chunk))
+        });
+        const data = await res.json();
+        if (!res.ok || !data.success) {
+          throw new Error(data.message || 'Bulk issuance failed');
+        }
+
+        // Rows are processed in order: the ones the request had no time for are the tail, sent again
+        const processed = data.results.filter((result) => result.status !== 'not_processed');
+        if (processed.length === 0) {
+          throw new Error('The server ran out of time before issuing any key');
+        }
+        if (processed.length < chunk.items.length) {
+          queue.unshift({ ...chunk, offset: chunk.offset + processed.length, items: chunk.items.slice(processed.length) });
+        }
+
+        collected.push(...processed.map((result) => ({ ...result, row: result.row + chunk.offset })));
+        setResults([...collected]);
+        setProgress({ done: chunk.offset + processed.length, total: batch.total });
+      }
+    } catch (err) {
+      setError(err.message || 'Bulk issuance failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = () => {
+    // Full keys are only returned at issuance: this file is the one place they are kept
+    const header = ['row', 'user_id', 'status', 'key', 'key_id', 'product', 'plan', 'expires_at', 'error'];
+    const lines = results.map((r) => [
+      r.row,
+      r.user_id,
+      r.status,
+      r.key,
+      r.key_id || r.existing_key_id,
+      r.product,
+      r.plan,
+      r.lifetime ? 'never' : r.expires_at,
+      r.error
+    ].map(csvCell).join(','));
+    const blob = new Blob([[header.join(','), ...lines].join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `bulk-keys-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <div className="bulk-upload">
+      <div className="bulk-upload-header">
+        <h3>Bulk issue keys</h3>
+        <button type="button" className="action-btn" onClick={onClose} disabled={running}>✖️</button>
+      </div>
+      <p className="bulk-upload-hint">
+        Upload a CSV with <code>user_id[,hours[,plan[,product]]]</code> per line or a JSON array of <code>{'{ "user_id", "hours", "plan", "product" }'}</code>.
+        Use <code>lifetime</code> as the hours (or <code>"lifetime": true</code>) for keys that never expire.
+        Users that already have a key for the product are skipped.
+        Keys are shown only once: download the CSV before closing.
+      </p>
+
+      <input type="file" accept=".csv,.json,.txt" onChange={handleFile} disabled={running} />
+      <textarea
+        className="bulk-upload-input"
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={'user_id,hours,plan\nuser-1,24\nuser-2,,pro'}
+        rows={6}
+        disabled={running}
+      />
+
+      <div className="bulk-upload-actions">
+        <button type="button" className="search-button" onClick={handleUpload} disabled={running || !content.trim()}>
+          {running ? <span className="loading-icon">⏳</span> : '📤'} Issue keys
+        </button>
+        {results.length > 0 && !running && (
+          <button type="button" className="search-button" onClick={handleDownload}>
+            📥 Download CSV
+          </button>
+        )}
+      </div>
+
+      {progress.total > 0 && (
+        <div className="bulk-progress">
+          <div className="bulk-progress-bar" style={{ width: `${percent}%` }} />
+          <span>{progress.done} / {progress.total} rows</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <>
+          <div className="bulk-summary">
+            <span className="status-badge active">Created {count('created')}</span>
+            <span className="status-badge inactive">Skipped {count('skipped')}</span>
+            <span className="status-badge revoked">Invalid {count('invalid') + count('failed')}</span>
+          </div>
+          <div className="bulk-results">
+            <table className="keys-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>User ID</th>
+                  <th>Status</th>
+                  <th>Key</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r) => (
+                  <tr key={r.row} className={`bulk-row ${r.status}`}>
+                    <td>{r.row}</td>
+                    <td>{r.user_id || '-'}</td>
+                    <td>{r.status}</td>
+                    <td className="key-id"><code>{r.key || r.existing_key_id || '-'}</code></td>
+                    <td>{r.error || (r.lifetime ? 'Never expires' : r.expires_at ? `Expires ${new Date(r.expires_at).toLocaleString()}` : '')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
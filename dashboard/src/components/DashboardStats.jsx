@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
+import AnalyticsCharts from './AnalyticsCharts';
 import './DashboardStats.css';
 
-function DashboardStats() {
+function DashboardStats({ product = '' }) {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -10,11 +11,12 @@ function DashboardStats() {
     fetchStats();
     const interval = setInterval(fetchStats, 30000); // Refresh every 30 seconds
     return () => clearInterval(interval);
-  }, []);
+  }, [product]);
 
   const fetchStats = async () => {
     try {
-      const response = await fetch('/admin/api/stats', {
+      const query = product ? `?product=${encodeURIComponent(product)}` : '';
+      const response = await fetch(`/admin/api/stats${query}`, {
         credentials: 'include'
       });
       
@@ -71,7 +73,7 @@ function DashboardStats() {
           <div className="stat-content">
             <h3>Total Keys</h3>
             <div className="stat-value">{stats.total_keys}</div>
-            <div className="stat-description">All API keys created</div>
+            <div className="stat-description">{product ? `API keys of ${product}` : 'All API keys created'}</div>
           </div>
         </div>
 
@@ -89,7 +91,9 @@ function DashboardStats() {
           <div className="stat-content">
             <h3>Expired Keys</h3>
             <div className="stat-value">{stats.expired_keys}</div>
-            <div className="stat-description">No longer valid</div>
+            <div className="stat-description">
+              {stats.grace_keys ? `No longer valid, plus ${stats.grace_keys} in grace period` : 'No longer valid'}
+            </div>
           </div>
         </div>
 
@@ -140,6 +144,8 @@ function DashboardStats() {
         </div>
       </div>
 
+      <AnalyticsCharts product={product} />
+
       {/* Additional Information */}
       <div className="stats-details">
         <div className="details-card">
@@ -147,6 +153,7 @@ function DashboardStats() {
           <div className="activity-chart">
             <div className="chart-bar">
               <div className="bar-segment active" style={{width: `${(stats.active_keys / (stats.total_keys || 1)) * 100}%`}}></div>
+              <div className="bar-segment grace" style={{width: `${((stats.grace_keys || 0) / (stats.total_keys || 1)) * 100}%`}}></div>
               <div className="bar-segment expired" style={{width: `${(stats.expired_keys / (stats.total_keys || 1)) * 100}%`}}></div>
             </div>
             <div className="chart-legend">
@@ -154,6 +161,12 @@ function DashboardStats() {
                 <div className="legend-color active"></div>
                 <span>Active ({Math.round((stats.active_keys / (stats.total_keys || 1)) * 100)}%)</span>
               </div>
+              {stats.grace_keys > 0 && (
+                <div className="legend-item">
+                  <div className="legend-color grace"></div>
+                  <span>In grace ({Math.round((stats.grace_keys / (stats.total_keys || 1)) * 100)}%)</span>
+                </div>
+              )}
               <div className="legend-item">
                 <div className="legend-color expired"></div>
                 <span>Expired ({Math.round((stats.expired_keys / (stats.total_keys || 1)) * 100)}%)</span>
@@ -162,6 +175,36 @@ function DashboardStats() {
           </div>
         </div>
 
+        {stats.products && stats.products.length > 1 && (
+          <div className="details-card">
+            <h3>Keys per Product</h3>
+            <table className="product-stats-table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Total</th>
+                  <th>Active</th>
+                  <th>In grace</th>
+                  <th>Expired</th>
+                  <th>Last 24h</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.products.map((item) => (
+                  <tr key={item.id} className={item.slug === product ? 'selected' : ''}>
+                    <td>{item.name} <code>{item.slug}</code></td>
+                    <td>{item.total_keys}</td>
+                    <td>{item.active_keys}</td>
+                    <td>{item.grace_keys}</td>
+                    <td>{item.expired_keys}</td>
+                    <td>{item.recent_keys}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         <div className="details-card">
           <h3>System Health</h3>
           <div className="health-indicators">
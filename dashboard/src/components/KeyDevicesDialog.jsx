@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import './KeyDevicesDialog.css';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Devices holding seats on a key, with the seat limit and per-device release
+export default function KeyDevicesDialog({ keyId, onClose, onKeyUpdated }) {
+  const [devices, setDevices] = useState([]);
+  const [seats, setSeats] = useState({ used: 0, allowed: null });
+  const [maxDevices, setMaxDevices] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchDevices();
+  }, [keyId]);
+
+  const fetchDevices = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${keyId}/devices`, { credentials: 'include' });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error loading devices');
+
+      setDevices(data.devices || []);
+      setSeats(data.seats);
+      setMaxDevices(data.seats.allowed ?? '');
+    } catch (err) {
+      setError('Error loading devices: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleRelease = async (device) => {
+    if (!window.confirm(`Release device "${device.fingerprint}"? Its seat becomes free for another device.`)) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${keyId}/devices/${device.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error releasing device');
+
+      setDevices(prev => prev.filter(d => d.id !== device.id));
+      setSeats(prev => ({ ...prev, used: Math.max(prev.used - 1, 0) }));
+    } catch (err) {
+      setError('Error releasing device: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleSaveLimit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const value = String(maxDevices).trim();
+
+    try {
+      const res = await fetch(`/admin/api/keys/${keyId}/max-devices`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ max_devices: value === '' ? null : parseInt(value, 10) })
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error updating device limit');
+
+      setSeats(prev => ({ ...prev, allowed: data.key.max_devices }));
+      onKeyUpdated(data.key);
+    } catch (err) {
+      setError('Error updating device limit: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => !loading && onClose()}>
+      <form className="modal key-devices-modal" onSubmit={handleSaveLimit} onClick={e => e.stopPropagation()}>
+        <h3>Devices</h3>
+        <p className="modal-subtitle">
+          <code>{keyId}</code>
+          <br />
+          Seats used: {seats.used}{seats.allowed != null ? ` / ${seats.allowed}` : ' (no limit)'}
+        </p>
+
+        <div className="modal-field">
+          <label htmlFor="max-devices">Max devices</label>
+          <input
+            id="max-devices"
+            type="number"
+            min="1"
+            value={maxDevices}
+            onChange={e => setMaxDevices(e.target.value)}
+            placeholder="Leave empty for no limit"
+            className="search-input"
+          />
+        </div>
+
+        {devices.length === 0 ? (
+          <p className="key-devices-empty">{loading ? 'Loading devices...' : 'No devices registered yet'}</p>
+        ) : (
+          <ul className="key-devices-list">
+            {devices.map(device => (
+              <li key={device.id} className="key-device">
+                <div>
+                  <code title={device.fingerprint}>{device.fingerprint}</code>
+                  <div className="key-device-meta">
+                    First seen {formatDate(device.first_seen_at)} · Last seen {formatDate(device.last_seen_at)}
+                    {device.last_ip && ` · ${device.last_ip}`}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  className="action-btn delete"
+                  onClick={() => handleRelease(device)}
+                  disabled={loading}
+                  title="Release device"
+                >
+                  ⏏️
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && (
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {error}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="action-btn" onClick={onClose} disabled={loading}>
+            Close
+          </button>
+          <button type="submit" className="search-button" disabled={loading}>
+            {loading ? 'Saving...' : 'Save limit'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import './KeyUsageDialog.css';
+
+const PAGE_SIZE = 50;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const isSuccess = (event) => event.outcome === 'valid' || event.outcome === 'grace';
+
+// Validate/bind/token attempts on a key, newest first, refused ones included
+export default function KeyUsageDialog({ keyId, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchUsage(1);
+  }, [keyId]);
+
+  const fetchUsage = async (page) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${keyId}/usage?page=${page}&limit=${PAGE_SIZE}`, { credentials: 'include' });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error loading usage');
+
+      setEvents(data.events || []);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError('Error loading usage: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal key-usage-modal" onClick={e => e.stopPropagation()}>
+        <h3>Usage</h3>
+        <p className="modal-subtitle">
+          <code>{keyId}</code>
+          <br />
+          {pagination.total} attempt{pagination.total === 1 ? '' : 's'} recorded
+        </p>
+
+        {events.length === 0 ? (
+          <p className="key-usage-empty">{loading ? 'Loading usage...' : 'No attempts recorded yet'}</p>
+        ) : (
+          <ol className="key-usage-timeline">
+            {events.map(event => (
+              <li key={event.id} className={`key-usage-event ${isSuccess(event) ? 'success' : 'refused'}`}>
+                <div className="key-usage-head">
+                  <span className="key-usage-endpoint">{event.endpoint}</span>
+                  <span className="key-usage-outcome">{event.outcome} · {event.code}</span>
+                  <span className="key-usage-date">{formatDate(event.occurred_at)}</span>
+                </div>
+                <div className="key-usage-meta" title={event.user_agent || undefined}>
+                  {event.ip_address || 'Unknown IP'}
+                  {event.country && ` (${event.country})`}
+                  {event.user_agent && ` · ${event.user_agent}`}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {error && (
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {error}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          {pagination.pages > 1 && (
+            <>
+              <button
+                type="button"
+                className="action-btn"
+                onClick={() => fetchUsage(pagination.page - 1)}
+                disabled={loading || pagination.page <= 1}
+              >
+                ← Newer
+              </button>
+              <span className="key-usage-page">Page {pagination.page} / {pagination.pages}</span>
+              <button
+                type="button"
+                className="action-btn"
+                onClick={() => fetchUsage(pagination.page + 1)}
+                disabled={loading || pagination.page >= pagination.pages}
+              >
+                Older →
+              </button>
+            </>
+          )}
+          <button type="button" className="action-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,59 @@
 import { useState, useEffect } from 'react';
+import BulkKeysUpload from './BulkKeysUpload';
+import KeyDevicesDialog from './KeyDevicesDialog';
+import KeyUsageDialog from './KeyUsageDialog';
 import './KeysManager.css';
 
-function KeysManager() {
+function KeysManager({ product = '' }) {
   const [keys, setKeys] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [searchType, setSearchType] = useState('key');
   const [searchValue, setSearchValue] = useState('');
   const [hasSearched, setHasSearched] = useState(false);
+  const [showBulk, setShowBulk] = useState(false);
+  const [devicesKeyId, setDevicesKeyId] = useState(null);
+  const [usageKeyId, setUsageKeyId] = useState(null);
 
   // API base URL (same-origin by default)
   const API_BASE = window.API_BASE || '';
 
+  // Normalize keys from snake_case API payloads for the table
+  const normalize = (item) => ({
+    keyId: item.key_id,
+    legacy: Boolean(item.legacy),
+    userId: item.user_id,
+    expiry: item.expires_at,
+    lifetime: Boolean(item.lifetime),
+    active: item.active !== false, // Default to true if not specified
+    status: item.status || 'active',
+    created: item.created_at,
+    usage: item.usage_count || 0,
+    lastAccessed: item.last_accessed,
+    revokedAt: item.revoked_at || null,
+    revokeReason: item.revoke_reason || null,
+    suspendedAt: item.suspended_at || null,
+    supersededAt: item.superseded_at || null,
+    rotatedFrom: item.rotated_from || null,
+    rotatedTo: item.rotated_to || null,
+    scopes: item.scopes || [],
+    quota: item.quota || null,
+    plan: item.plan || null,
+    product: item.product || null,
+    ipBinding: item.ip_binding || { mode: 'none', bound: false },
+    maxDevices: item.max_devices ?? null,
+    startsAt: item.starts_at || null,
+    graceEndsAt: item.in_grace ? item.grace_ends_at : null,
+    activateBy: item.activate_by || null,
+    pendingHours: item.time_remaining?.pending ? item.time_remaining.hours : null
+  });
+
+  // Results of the previous product would be misleading after switching
+  useEffect(() => {
+    setKeys([]);
+    setHasSearched(false);
+  }, [product]);
+
   const handleSearch = async (e) => {
     e.preventDefault();
 
@@ -27,31 +69,25 @@ function KeysManager() {
 
     let url = '';
     if (searchType === 'key') {
-      url = `${API_BASE}/api/keys/info/${searchValue}`;
+      // A pasted full key is looked up by its key ID; the secret never leaves the browser
+      const keyId = searchValue.trim().replace(/_[A-Za-z0-9_-]{43}$/, '');
+      url = `/admin/api/keys/${encodeURIComponent(keyId)}`;
     } else {
-      url = `${API_BASE}/api/keys/user/${searchValue}`;
+      url = `${API_BASE}/api/keys/user/${searchValue}${product ? `?product=${encodeURIComponent(product)}` : ''}`;
     }
 
     try {
-      const res = await fetch(url);
+      const res = await fetch(url, { credentials: 'include' });
       if (!res.ok) throw new Error('Not found or API error');
       const data = await res.json();
 
-      // Normalize keys to snake_case for table
-      const normalize = (item) => ({
-        keyId: item.key_id,
-        userId: item.user_id,
-        expiry: item.expires_at,
-        active: item.active !== false, // Default to true if not specified
-        status: item.status || 'active',
-        created: item.created_at,
-        usage: item.usage_count || 0,
-        lastAccessed: item.last_accessed
-      });
-
       if (searchType === 'key') {
-        // API returns { data: {...} }
-        setKeys(data && data.data ? [normalize(data.data)] : []);
+        // Admin API returns { success, key: {...} }
+        const found = data && data.key ? normalize(data.key) : null;
+        if (found && product && found.product !== product) {
+          throw new Error(`key belongs to product "${found.product}"`);
+        }
+        setKeys(found ? [found] : []);
       } else {
         // API returns { msg, code, user_id, keys: [...] }
         // For user search, use the user_id from the response root
@@ -75,11 +111,13 @@ function KeysManager() {
     setError('');
 
     try {
-      const res = await fetch(`${API_BASE}/api/keys/${keyId}`, {
-        method: 'DELETE'
+      const res = await fetch(`/admin/api/keys/${keyId}`, {
+        method: 'DELETE',
+        credentials: 'include'
       });
+      const data = await res.json();
 
-      if (!res.ok) throw new Error('Error deleting');
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error deleting');
 
       setKeys(keys.filter(k => k.keyId !== keyId));
     } catch (err) {
@@ -88,14 +126,247 @@ function KeysManager() {
     setLoading(false);
   };
 
-  // Desativado por enquanto: endpoint /api/keys/:keyId/active não existe no backend
-  const handleToggleActive = async (_keyId) => {
-    setError('Toggle active is not available yet');
+  const updateKeyRow = (updated) => {
+    setKeys(prev => prev.map(k => (k.keyId === updated.key_id ? {
+      ...k,
+      status: updated.status,
+      expiry: updated.expires_at,
+      lifetime: Boolean(updated.lifetime),
+      // A new expiry ends the grace period
+      graceEndsAt: updated.expires_at === k.expiry ? k.graceEndsAt : null,
+      revokedAt: updated.revoked_at || null,
+      revokeReason: updated.revoke_reason || null,
+      suspendedAt: updated.suspended_at || null,
+      supersededAt: updated.superseded_at || null,
+      scopes: updated.scopes || [],
+      // Admin endpoints return the raw binding (mode + bound_ip)
+      ipBinding: { mode: updated.ip_binding || 'none', bound: Boolean(updated.bound_ip) },
+      maxDevices: updated.max_devices ?? null,
+      rotatedTo: updated.rotated_to || k.rotatedTo
+    } : k)));
+  };
+
+  const handleRotate = async (key) => {
+    const overlap = window.prompt('Rotate this key? Minutes the old key keeps working (0 = stop immediately):', '0');
+    if (overlap === null) return;
+    const overlapMinutes = parseInt(overlap, 10);
+    if (!Number.isFinite(overlapMinutes) || overlapMinutes < 0) {
+      setError('Overlap must be a number of minutes (0 or more)');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${key.keyId}/rotate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ overlap_minutes: overlapMinutes })
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error rotating');
+
+      updateKeyRow(data.previous);
+      setKeys(prev => [normalize(data.key), ...prev]);
+      window.prompt('New key (copy it now, it will not be shown again):', data.access_key);
+    } catch (err) {
+      setError('Error rotating: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleEditScopes = async (key) => {
+    const input = window.prompt('Scopes for this key (comma separated, empty clears them):', key.scopes.join(', '));
+    if (input === null) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${key.keyId}/scopes`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ scopes: input })
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error updating scopes');
+
+      updateKeyRow(data.key);
+    } catch (err) {
+      setError('Error updating scopes: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleResetIpBinding = async (key) => {
+    if (!window.confirm('Reset the IP binding of this key? The next validation will lock it to the new address.')) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${key.keyId}/ip-binding/reset`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error resetting IP binding');
+
+      updateKeyRow(data.key);
+    } catch (err) {
+      setError('Error resetting IP binding: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const formatIpBinding = (binding) => {
+    if (binding.mode === 'cidr') return '🌐 CIDR allowlist';
+    const label = binding.mode === 'creation' ? 'creation IP' : 'first IP';
+    return binding.bound ? `🌐 Locked to ${label}` : '🌐 Locks on next use';
+  };
+
+  const handleRevoke = async (keyId) => {
+    const reason = window.prompt('Reason for revoking this key:');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('A reason is required to revoke a key');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${keyId}/revoke`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ reason: reason.trim() })
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error revoking');
+
+      updateKeyRow(data.key);
+    } catch (err) {
+      setError('Error revoking: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleUnrevoke = async (keyId) => {
+    if (!window.confirm('Restore this revoked key?')) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${keyId}/unrevoke`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error restoring');
+
+      updateKeyRow(data.key);
+    } catch (err) {
+      setError('Error restoring: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleToggleActive = async (key) => {
+    const suspending = key.status !== 'suspended';
+    if (suspending && !window.confirm('Suspend this key? Its remaining time will be paused.')) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${key.keyId}/${suspending ? 'suspend' : 'resume'}`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error updating key');
+
+      updateKeyRow(data.key);
+    } catch (err) {
+      setError(`Error ${suspending ? 'suspending' : 'resuming'}: ` + err.message);
+    }
+    setLoading(false);
+  };
+
+  const [expiryDialog, setExpiryDialog] = useState(null);
+
+  const toLocalInputValue = (dateString) => {
+    const date = new Date(dateString);
+    const offsetMs = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+  };
+
+  const handleEditExpiry = (key) => {
+    setError('');
+    setExpiryDialog({
+      keyId: key.keyId,
+      currentExpiry: key.expiry,
+      lifetime: key.lifetime,
+      mode: isKeyExpired(key) ? 'reactivate' : key.lifetime ? 'set' : 'add',
+      addHours: '',
+      expiresAt: key.expiry ? toLocalInputValue(key.expiry) : '',
+      hours: ''
+    });
+  };
+
+  const handleExpiryDialogChange = (e) => {
+    const { name, value } = e.target;
+    setExpiryDialog(prev => ({ ...prev, [name]: value }));
   };
 
-  // Desativado por enquanto: endpoint /api/keys/:keyId/expiry não existe no backend
-  const handleEditExpiry = async (_keyId) => {
-    setError('Edit expiry is not available yet');
+  const handleSaveExpiry = async (e) => {
+    e.preventDefault();
+    const dialog = expiryDialog;
+
+    let payload;
+    if (dialog.mode === 'add') {
+      payload = { add_hours: parseInt(dialog.addHours, 10) };
+    } else if (dialog.mode === 'set') {
+      payload = { expires_at: new Date(dialog.expiresAt).toISOString() };
+    } else if (dialog.mode === 'lifetime') {
+      payload = { lifetime: true };
+    } else {
+      payload = { reactivate: true };
+      if (dialog.hours) payload.hours = parseInt(dialog.hours, 10);
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/keys/${dialog.keyId}/expiry`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Error updating expiry');
+
+      updateKeyRow(data.key);
+      setExpiryDialog(null);
+    } catch (err) {
+      setError('Error updating expiry: ' + err.message);
+    }
+    setLoading(false);
   };
 
   const handleUserIdClick = (userId) => {
@@ -123,12 +394,76 @@ function KeysManager() {
     return new Date(expiryDate) < new Date();
   };
 
+  // Pending keys have no expiry yet, only an optional activation deadline; lifetime keys have none at all
+  const isKeyExpired = (key) => {
+    if (key.lifetime) return false;
+    if (key.status === 'pending') return Boolean(key.activateBy) && isExpired(key.activateBy);
+    return isExpired(key.expiry);
+  };
+
+  // Scheduled keys can't be used before starts_at
+  const isScheduled = (key) => (
+    (key.status === 'active' || key.status === 'pending') && Boolean(key.startsAt) && !isExpired(key.startsAt)
+  );
+
+  const formatPending = (key) => {
+    const duration = `Starts on first use (${key.pendingHours}h)`;
+    return key.activateBy ? `${duration}, activate by ${formatDate(key.activateBy)}` : duration;
+  };
+
+  // Remaining time is frozen while a key is suspended
+  const formatPaused = (key) => {
+    if (!key.suspendedAt) return 'Paused';
+    if (key.lifetime) return 'Paused (never expires)';
+    const diff = Math.max(new Date(key.expiry) - new Date(key.suspendedAt), 0);
+    const hours = Math.floor(diff / (1000 * 60 * 60));
+    const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+    return `Paused (${hours}h ${minutes}m left)`;
+  };
+
+  const getStatusBadge = (key) => {
+    if (key.status === 'revoked') {
+      return <span className="status-badge revoked">Revoked</span>;
+    }
+    if (key.status === 'suspended') {
+      return <span className="status-badge suspended">Suspended</span>;
+    }
+    if (key.status === 'superseded') {
+      return <span className="status-badge inactive">Rotated</span>;
+    }
+    if (key.quota?.exhausted && !isKeyExpired(key)) {
+      return <span className="status-badge suspended">Exhausted</span>;
+    }
+    if (isScheduled(key)) {
+      return <span className="status-badge scheduled" title={`Starts ${formatDate(key.startsAt)}`}>Scheduled</span>;
+    }
+    if (key.status === 'pending' && !isKeyExpired(key)) {
+      return <span className="status-badge pending">Pending</span>;
+    }
+    if (key.graceEndsAt && !isExpired(key.graceEndsAt)) {
+      return <span className="status-badge grace" title={`Grace period ends ${formatDate(key.graceEndsAt)}`}>Grace</span>;
+    }
+    const active = key.active && !isKeyExpired(key);
+    return (
+      <span className={`status-badge ${active ? 'active' : 'inactive'}`}>
+        {active ? 'Active' : 'Inactive'}
+      </span>
+    );
+  };
+
   return (
     <div className="keys-manager">
       <div className="manager-header">
         <h2>API Keys Manager</h2>
+        {!showBulk && (
+          <button type="button" className="search-button" onClick={() => setShowBulk(true)}>
+            📤 Bulk issue
+          </button>
+        )}
       </div>
 
+      {showBulk && <BulkKeysUpload onClose={() => setShowBulk(false)} />}
+
       <div className="search-section">
         <form onSubmit={handleSearch} className="search-form">
           <div className="search-controls">
@@ -201,6 +536,13 @@ function KeysManager() {
           </div>
         )}
 
+        {error && keys.length > 0 && (
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {error}
+          </div>
+        )}
+
         {keys.length > 0 && (
           <div className="keys-table-container">
             <table className="keys-table">
@@ -209,6 +551,7 @@ function KeysManager() {
                   <th>Key ID</th>
                   <th>User ID</th>
                   <th>Status</th>
+                  <th>Scopes</th>
                   <th>Created</th>
                   <th>Expires</th>
                   <th>Usage</th>
@@ -217,7 +560,7 @@ function KeysManager() {
               </thead>
               <tbody>
                 {keys.map((key) => (
-                  <tr key={key.keyId} className={isExpired(key.expiry) ? 'expired' : ''}>
+                  <tr key={key.keyId} className={(isKeyExpired(key) && key.status !== 'suspended') || key.status === 'revoked' ? 'expired' : ''}>
                     <td className="key-id" style={{ position: 'relative' }}>
                       <button
                         onClick={() => handleKeyIdClick(key.keyId)}
@@ -248,25 +591,141 @@ function KeysManager() {
                           Copied!
                         </span>
                       )}
+                      {key.legacy && (
+                        <div className="key-lineage" title="Plain UUID key from before hashed keys; rotate it to move to the new format">
+                          legacy key
+                        </div>
+                      )}
+                      {(key.rotatedFrom || key.rotatedTo) && (
+                        <div className="key-lineage">
+                          {key.rotatedFrom && <div title={key.rotatedFrom}>↳ from {key.rotatedFrom.substring(0, 8)}…</div>}
+                          {key.rotatedTo && <div title={key.rotatedTo}>↪ to {key.rotatedTo.substring(0, 8)}…</div>}
+                        </div>
+                      )}
                     </td>
                     <td className="user-id">
                       <button onClick={() => handleUserIdClick(key.userId)}>
                         {key.userId}
                       </button>
+                      {key.plan && <div className="key-plan" title="Plan">📦 {key.plan}</div>}
+                      {key.product && !product && <div className="key-plan" title="Product">🧩 {key.product}</div>}
                     </td>
                     <td>
-                      <span className={`status-badge ${key.active && !isExpired(key.expiry) ? 'active' : 'inactive'}`}>
-                        {key.active && !isExpired(key.expiry) ? 'Active' : 'Inactive'}
-                      </span>
+                      {getStatusBadge(key)}
+                      {key.ipBinding.mode !== 'none' && (
+                        <div className="revoke-info">{formatIpBinding(key.ipBinding)}</div>
+                      )}
+                      {key.maxDevices != null && (
+                        <div className="revoke-info">💻 Up to {key.maxDevices} device{key.maxDevices === 1 ? '' : 's'}</div>
+                      )}
+                      {key.status === 'revoked' && (
+                        <div className="revoke-info" title={key.revokedAt ? `Revoked ${formatDate(key.revokedAt)}` : undefined}>
+                          {key.revokeReason || 'No reason recorded'}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {key.scopes.length > 0 ? (
+                        <div className="scope-list">
+                          {key.scopes.map(scope => <span key={scope} className="scope-chip">{scope}</span>)}
+                        </div>
+                      ) : (
+                        <span className="scope-empty">No scopes</span>
+                      )}
                     </td>
                     <td>{formatDate(key.created)}</td>
-                    <td className={isExpired(key.expiry) ? 'expired-date' : ''}>
-                      {formatDate(key.expiry)}
+                    <td className={isKeyExpired(key) && key.status !== 'suspended' ? 'expired-date' : ''}>
+                      {key.status === 'suspended' ? formatPaused(key) : key.status === 'pending' ? formatPending(key) : key.lifetime ? 'Never' : formatDate(key.expiry)}
+                      {isScheduled(key) && (
+                        <div className="quota-info">Starts {formatDate(key.startsAt)}</div>
+                      )}
+                    </td>
+                    <td>
+                      {key.usage || 0}
+                      {key.quota?.max_uses != null && ` / ${key.quota.max_uses}`}
+                      {key.quota?.period_limit != null && (
+                        <div className="quota-info" title={key.quota.resets_at ? `Resets ${formatDate(key.quota.resets_at)}` : undefined}>
+                          {key.quota.period_used}/{key.quota.period_limit} per {key.quota.period}
+                        </div>
+                      )}
                     </td>
-                    <td>{key.usage || 0}</td>
                     <td>
                       <div className="action-buttons">
                         {/* Ações desativadas até implementação dos endpoints */}
+                        {key.status === 'active' && !isKeyExpired(key) && !isScheduled(key) && (
+                          <button
+                            onClick={() => handleRotate(key)}
+                            className="action-btn edit"
+                            title="Rotate key"
+                          >
+                            🔄
+                          </button>
+                        )}
+                        {(key.status === 'suspended' || (key.status === 'active' && !isKeyExpired(key) && !isScheduled(key))) && (
+                          <button
+                            onClick={() => handleToggleActive(key)}
+                            className={`action-btn ${key.status === 'suspended' ? 'activate' : 'deactivate'}`}
+                            title={key.status === 'suspended' ? 'Resume key' : 'Suspend key'}
+                          >
+                            {key.status === 'suspended' ? '▶️' : '⏸️'}
+                          </button>
+                        )}
+                        {key.ipBinding.bound && (
+                          <button
+                            onClick={() => handleResetIpBinding(key)}
+                            className="action-btn edit"
+                            title="Reset IP binding"
+                          >
+                            🔓
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setDevicesKeyId(key.keyId)}
+                          className="action-btn edit"
+                          title="Devices"
+                        >
+                          💻
+                        </button>
+                        <button
+                          onClick={() => setUsageKeyId(key.keyId)}
+                          className="action-btn edit"
+                          title="Usage history"
+                        >
+                          📜
+                        </button>
+                        <button
+                          onClick={() => handleEditScopes(key)}
+                          className="action-btn edit"
+                          title="Edit scopes"
+                        >
+                          🏷️
+                        </button>
+                        {key.status !== 'revoked' && key.status !== 'suspended' && key.status !== 'superseded' && key.status !== 'pending' && (
+                          <button
+                            onClick={() => handleEditExpiry(key)}
+                            className="action-btn edit"
+                            title="Edit expiry"
+                          >
+                            ⏱️
+                          </button>
+                        )}
+                        {key.status === 'revoked' ? (
+                          <button
+                            onClick={() => handleUnrevoke(key.keyId)}
+                            className="action-btn activate"
+                            title="Restore key"
+                          >
+                            ♻️
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleRevoke(key.keyId)}
+                            className="action-btn deactivate"
+                            title="Revoke key"
+                          >
+                            ⛔
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDelete(key.keyId)}
                           className="action-btn delete"
@@ -283,6 +742,112 @@ function KeysManager() {
           </div>
         )}
       </div>
+
+      {devicesKeyId && (
+        <KeyDevicesDialog
+          keyId={devicesKeyId}
+          onClose={() => setDevicesKeyId(null)}
+          onKeyUpdated={updateKeyRow}
+        />
+      )}
+
+      {usageKeyId && (
+        <KeyUsageDialog
+          keyId={usageKeyId}
+          onClose={() => setUsageKeyId(null)}
+        />
+      )}
+
+      {expiryDialog && (
+        <div className="modal-overlay" onClick={() => !loading && setExpiryDialog(null)}>
+          <form className="modal" onSubmit={handleSaveExpiry} onClick={e => e.stopPropagation()}>
+            <h3>Edit expiry</h3>
+            <p className="modal-subtitle">
+              <code>{expiryDialog.keyId}</code>
+              <br />
+              Current expiry: {expiryDialog.lifetime ? 'Never' : formatDate(expiryDialog.currentExpiry)}
+            </p>
+
+            <div className="modal-field">
+              <label htmlFor="expiry-mode">Action</label>
+              <select
+                id="expiry-mode"
+                name="mode"
+                value={expiryDialog.mode}
+                onChange={handleExpiryDialogChange}
+                className="search-type"
+              >
+                {!expiryDialog.lifetime && <option value="add">Add or remove hours</option>}
+                <option value="set">Set expiry date</option>
+                {!expiryDialog.lifetime && <option value="lifetime">Never expires</option>}
+                <option value="reactivate">Reactivate expired key</option>
+              </select>
+            </div>
+
+            {expiryDialog.mode === 'add' && (
+              <div className="modal-field">
+                <label htmlFor="expiry-add-hours">Hours (negative to shorten)</label>
+                <input
+                  id="expiry-add-hours"
+                  type="number"
+                  name="addHours"
+                  value={expiryDialog.addHours}
+                  onChange={handleExpiryDialogChange}
+                  className="search-input"
+                  required
+                />
+              </div>
+            )}
+
+            {expiryDialog.mode === 'set' && (
+              <div className="modal-field">
+                <label htmlFor="expiry-date">New expiry</label>
+                <input
+                  id="expiry-date"
+                  type="datetime-local"
+                  name="expiresAt"
+                  value={expiryDialog.expiresAt}
+                  onChange={handleExpiryDialogChange}
+                  className="search-input"
+                  required
+                />
+              </div>
+            )}
+
+            {expiryDialog.mode === 'reactivate' && (
+              <div className="modal-field">
+                <label htmlFor="expiry-hours">Valid for (hours from now)</label>
+                <input
+                  id="expiry-hours"
+                  type="number"
+                  name="hours"
+                  min="1"
+                  value={expiryDialog.hours}
+                  onChange={handleExpiryDialogChange}
+                  placeholder="Leave empty for the default duration"
+                  className="search-input"
+                />
+              </div>
+            )}
+
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button type="button" className="action-btn" onClick={() => setExpiryDialog(null)} disabled={loading}>
+                Cancel
+              </button>
+              <button type="submit" className="search-button" disabled={loading}>
+                {loading ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,493 @@
+import { useState, useEffect } from 'react';
+import './PlansManager.css';
+
+const EMPTY_FORM = {
+  slug: '',
+  name: '',
+  description: '',
+  default_hours: '',
+  max_hours: '',
+  max_active_keys: '1',
+  max_uses: '',
+  quota_limit: '',
+  quota_period: '',
+  rate_limit: '',
+  max_devices: '',
+  grace_period_minutes: '',
+  is_default: false,
+  is_public: true
+};
+
+// Optional numeric limits: an empty field is sent as null (global default / unlimited)
+const OPTIONAL_LIMITS = ['default_hours', 'max_hours', 'max_uses', 'quota_limit', 'rate_limit', 'max_devices', 'grace_period_minutes'];
+
+const toForm = (plan) => ({
+  slug: plan.slug,
+  name: plan.name,
+  description: plan.description || '',
+  default_hours: plan.default_hours ?? '',
+  max_hours: plan.max_hours ?? '',
+  max_active_keys: String(plan.max_active_keys),
+  max_uses: plan.max_uses ?? '',
+  quota_limit: plan.quota_limit ?? '',
+  quota_period: plan.quota_period || '',
+  rate_limit: plan.rate_limit ?? '',
+  max_devices: plan.max_devices ?? '',
+  grace_period_minutes: plan.grace_period_minutes ?? '',
+  is_default: plan.is_default,
+  is_public: plan.is_public
+});
+
+const toPayload = (form) => {
+  const payload = {
+    slug: form.slug.trim(),
+    name: form.name.trim(),
+    description: form.description.trim() || null,
+    max_active_keys: parseInt(form.max_active_keys, 10),
+    is_default: form.is_default,
+    is_public: form.is_public
+  };
+
+  OPTIONAL_LIMITS.forEach((field) => {
+    const value = String(form[field]).trim();
+    payload[field] = value === '' ? null : parseInt(value, 10);
+  });
+
+  payload.quota_period = payload.quota_limit ? form.quota_period || 'day' : null;
+  return payload;
+};
+
+function PlansManager() {
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchPlans();
+  }, []);
+
+  const fetchPlans = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/admin/api/plans', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setPlans(data.plans || []);
+      } else {
+        throw new Error(data.message || 'Failed to fetch plans');
+      }
+    } catch (error) {
+      setError('Error fetching plans: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const openCreate = () => {
+    if (showForm) {
+      setShowForm(false);
+      return;
+    }
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const openEdit = (plan) => {
+    setEditingId(plan.id);
+    setFormData(toForm(plan));
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(editingId ? `/admin/api/plans/${editingId}` : '/admin/api/plans', {
+        method: editingId ? 'PATCH' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(toPayload(formData))
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setFormData(EMPTY_FORM);
+        setEditingId(null);
+        setShowForm(false);
+        await fetchPlans();
+      } else {
+        throw new Error(data.message || 'Failed to save plan');
+      }
+    } catch (error) {
+      setError('Error saving plan: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Are you sure you want to delete plan "${plan.slug}"?`)) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/admin/api/plans/${plan.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        await fetchPlans();
+      } else {
+        throw new Error(data.message || 'Failed to delete plan');
+      }
+    } catch (error) {
+      setError('Error deleting plan: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatHours = (plan) => {
+    const defaults = plan.default_hours ? `${plan.default_hours}h` : 'global default';
+    const max = plan.max_hours ? `${plan.max_hours}h` : 'global max';
+    return `${defaults} / ${max}`;
+  };
+
+  const formatUsage = (plan) => {
+    const parts = [];
+    if (plan.max_uses) parts.push(`${plan.max_uses} uses`);
+    if (plan.quota_limit) parts.push(`${plan.quota_limit}/${plan.quota_period}`);
+    if (plan.max_devices) parts.push(`${plan.max_devices} devices`);
+    if (plan.grace_period_minutes) parts.push(`${plan.grace_period_minutes}min grace`);
+    return parts.length > 0 ? parts.join(', ') : 'Unlimited';
+  };
+
+  return (
+    <div className="plans-manager">
+      <div className="manager-header">
+        <div>
+          <h2>📦 Key Plans</h2>
+          <p>Durations, concurrent keys, quotas and rate limits applied to each key tier</p>
+        </div>
+        <button
+          onClick={openCreate}
+          className="btn-create"
+          disabled={loading}
+        >
+          {showForm ? '✕ Cancel' : '➕ Create Plan'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="create-form-container">
+          <form onSubmit={handleSubmit} className="create-form">
+            <h3>{editingId ? `Edit plan "${formData.slug}"` : 'Create New Plan'}</h3>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="plan-slug">Slug *</label>
+                <input
+                  type="text"
+                  id="plan-slug"
+                  name="slug"
+                  value={formData.slug}
+                  onChange={handleInputChange}
+                  placeholder="e.g. pro"
+                  pattern="[a-zA-Z0-9][a-zA-Z0-9_-]{0,31}"
+                  required
+                  disabled={loading}
+                />
+                <small>Sent as <code>plan</code> when creating keys</small>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-name">Name *</label>
+                <input
+                  type="text"
+                  id="plan-name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-description">Description</label>
+                <input
+                  type="text"
+                  id="plan-description"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="plan-default-hours">Default duration (hours)</label>
+                <input
+                  type="number"
+                  id="plan-default-hours"
+                  name="default_hours"
+                  value={formData.default_hours}
+                  onChange={handleInputChange}
+                  min="1"
+                  placeholder="Global default"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-max-hours">Max duration (hours)</label>
+                <input
+                  type="number"
+                  id="plan-max-hours"
+                  name="max_hours"
+                  value={formData.max_hours}
+                  onChange={handleInputChange}
+                  min="1"
+                  placeholder="Global maximum"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-max-active">Concurrent keys per user *</label>
+                <input
+                  type="number"
+                  id="plan-max-active"
+                  name="max_active_keys"
+                  value={formData.max_active_keys}
+                  onChange={handleInputChange}
+                  min="1"
+                  required
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="plan-max-uses">Max uses per key</label>
+                <input
+                  type="number"
+                  id="plan-max-uses"
+                  name="max_uses"
+                  value={formData.max_uses}
+                  onChange={handleInputChange}
+                  min="1"
+                  placeholder="Unlimited"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-quota-limit">Quota per period</label>
+                <div className="plan-quota-inputs">
+                  <input
+                    type="number"
+                    id="plan-quota-limit"
+                    name="quota_limit"
+                    value={formData.quota_limit}
+                    onChange={handleInputChange}
+                    min="1"
+                    placeholder="Unlimited"
+                    disabled={loading}
+                  />
+                  <select
+                    name="quota_period"
+                    value={formData.quota_period || 'day'}
+                    onChange={handleInputChange}
+                    disabled={loading}
+                  >
+                    <option value="day">per day</option>
+                    <option value="month">per month</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-rate-limit">Rate limit (requests/window)</label>
+                <input
+                  type="number"
+                  id="plan-rate-limit"
+                  name="rate_limit"
+                  value={formData.rate_limit}
+                  onChange={handleInputChange}
+                  min="1"
+                  placeholder="Global default"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-max-devices">Devices per key</label>
+                <input
+                  type="number"
+                  id="plan-max-devices"
+                  name="max_devices"
+                  value={formData.max_devices}
+                  onChange={handleInputChange}
+                  min="1"
+                  placeholder="Unlimited"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="plan-grace-period">Grace period (minutes)</label>
+                <input
+                  type="number"
+                  id="plan-grace-period"
+                  name="grace_period_minutes"
+                  value={formData.grace_period_minutes}
+                  onChange={handleInputChange}
+                  min="0"
+                  placeholder="Global default"
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="is_public"
+                    checked={formData.is_public}
+                    onChange={handleInputChange}
+                    disabled={loading}
+                  />
+                  <span>Available on the public API</span>
+                </label>
+              </div>
+
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="is_default"
+                    checked={formData.is_default}
+                    onChange={handleInputChange}
+                    disabled={loading}
+                  />
+                  <span>Default plan (used when no plan is given)</span>
+                </label>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn-submit" disabled={loading}>
+                {loading ? '⏳ Saving...' : editingId ? '✓ Save Plan' : '✓ Create Plan'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="plans-section">
+        <div className="section-header">
+          <h3>Plans ({plans.length})</h3>
+          <button onClick={fetchPlans} className="btn-refresh" disabled={loading}>
+            🔄 Refresh
+          </button>
+        </div>
+
+        {plans.length === 0 && !loading ? (
+          <div className="empty-state">
+            <p>No plans found</p>
+          </div>
+        ) : (
+          <div className="plans-table">
+            <div className="plans-table-header">
+              <div className="plans-header-cell">Plan</div>
+              <div className="plans-header-cell">Duration (default / max)</div>
+              <div className="plans-header-cell">Keys per user</div>
+              <div className="plans-header-cell">Usage</div>
+              <div className="plans-header-cell">Rate limit</div>
+              <div className="plans-header-cell">Keys</div>
+              <div className="plans-header-cell">Actions</div>
+            </div>
+
+            {plans.map((plan) => (
+              <div key={plan.id} className="plans-table-row">
+                <div className="plans-cell">
+                  <strong>{plan.name}</strong>
+                  <code>{plan.slug}</code>
+                  <div className="plan-badges">
+                    {plan.is_default && <span className="badge badge-active">Default</span>}
+                    {!plan.is_public && <span className="badge badge-disabled">Private</span>}
+                  </div>
+                </div>
+                <div className="plans-cell">{formatHours(plan)}</div>
+                <div className="plans-cell">{plan.max_active_keys}</div>
+                <div className="plans-cell">{formatUsage(plan)}</div>
+                <div className="plans-cell">{plan.rate_limit ? `${plan.rate_limit}/window` : 'Global default'}</div>
+                <div className="plans-cell">{plan.key_count}</div>
+                <div className="plans-cell plans-actions">
+                  <button
+                    onClick={() => openEdit(plan)}
+                    className="btn-action btn-toggle"
+                    disabled={loading}
+                    title="Edit plan"
+                  >
+                    ✏️
+                  </button>
+                  <button
+                    onClick={() => handleDelete(plan)}
+                    className="btn-action btn-delete"
+                    disabled={loading || plan.is_default || plan.key_count > 0}
+                    title={plan.is_default ? 'The default plan cannot be deleted' : 'Delete plan'}
+                  >
+                    🗑️
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PlansManager;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+
+// Header select that scopes the dashboard to one product ('' = all products)
+function ProductSwitcher({ value, onChange }) {
+  const [products, setProducts] = useState([]);
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  const fetchProducts = async () => {
+    try {
+      const response = await fetch('/admin/api/products', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (response.ok && data.success) {
+        setProducts(data.products || []);
+      }
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
+  // Nothing to switch between with a single product
+  if (products.length < 2) {
+    return null;
+  }
+
+  return (
+    <select
+      className="product-switcher"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      title="Product"
+    >
+      <option value="">All products</option>
+      {products.map((product) => (
+        <option key={product.id} value={product.slug}>
+          {product.name} ({product.slug})
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default ProductSwitcher;
@@ -0,0 +1,356 @@
+import { useState, useEffect } from 'react';
+import './RedeemCodesManager.css';
+
+const EMPTY_FORM = {
+  count: '10',
+  hours: '24',
+  product: '',
+  plan: '',
+  label: ''
+};
+
+const toPayload = (form) => ({
+  count: parseInt(form.count, 10),
+  hours: parseInt(form.hours, 10),
+  product: form.product || null,
+  plan: form.plan || null,
+  label: form.label.trim() || null
+});
+
+function RedeemCodesManager() {
+  const [batches, setBatches] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // Codes of the batch just minted: the API never returns them again
+  const [minted, setMinted] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchBatches();
+    fetchOptions();
+  }, []);
+
+  const fetchBatches = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/admin/api/redeem-batches', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setBatches(data.batches || []);
+      } else {
+        throw new Error(data.message || 'Failed to fetch redeem batches');
+      }
+    } catch (error) {
+      setError('Error fetching redeem batches: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [plansResponse, productsResponse] = await Promise.all([
+        fetch('/admin/api/plans', { credentials: 'include' }),
+        fetch('/admin/api/products', { credentials: 'include' })
+      ]);
+      const [plansData, productsData] = await Promise.all([plansResponse.json(), productsResponse.json()]);
+
+      if (plansResponse.ok && plansData.success) setPlans(plansData.plans || []);
+      if (productsResponse.ok && productsData.success) setProducts(productsData.products || []);
+    } catch (error) {
+      console.error('Error fetching plans and products:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/admin/api/redeem-batches', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(toPayload(formData))
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setMinted({ batch: data.batch, codes: data.codes });
+        setFormData(EMPTY_FORM);
+        setShowForm(false);
+        await fetchBatches();
+      } else {
+        throw new Error(data.message || 'Failed to mint codes');
+      }
+    } catch (error) {
+      setError('Error minting codes: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleBatch = async (batch) => {
+    if (expanded?.batch.id === batch.id) {
+      setExpanded(null);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/admin/api/redeem-batches/${batch.id}/codes`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setExpanded({ batch: data.batch, codes: data.codes });
+      } else {
+        throw new Error(data.message || 'Failed to fetch codes');
+      }
+    } catch (error) {
+      setError('Error fetching codes: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCodes = () => {
+    const { batch, codes } = minted;
+    const blob = new Blob([['code', ...codes].join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `redeem-codes-${batch.id}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  return (
+    <div className="redeem-manager">
+      <div className="manager-header">
+        <div>
+          <h2>🎟️ Redeem Codes</h2>
+          <p>Single-use codes that end users exchange for a key on POST /api/keys/redeem</p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="btn-create"
+          disabled={loading}
+        >
+          {showForm ? '✕ Cancel' : '➕ Mint Codes'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="create-form-container">
+          <form onSubmit={handleSubmit} className="create-form">
+            <h3>Mint a Batch</h3>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="redeem-count">Codes *</label>
+                <input
+                  type="number"
+                  id="redeem-count"
+                  name="count"
+                  value={formData.count}
+                  onChange={handleInputChange}
+                  min="1"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="redeem-hours">Key duration (hours) *</label>
+                <input
+                  type="number"
+                  id="redeem-hours"
+                  name="hours"
+                  value={formData.hours}
+                  onChange={handleInputChange}
+                  min="1"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="redeem-label">Label</label>
+                <input
+                  type="text"
+                  id="redeem-label"
+                  name="label"
+                  value={formData.label}
+                  onChange={handleInputChange}
+                  maxLength="100"
+                  placeholder="e.g. Partner pack"
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="redeem-product">Product</label>
+                <select
+                  id="redeem-product"
+                  name="product"
+                  value={formData.product}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                >
+                  <option value="">Default product</option>
+                  {products.map((product) => (
+                    <option key={product.id} value={product.slug}>{product.name} ({product.slug})</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="redeem-plan">Plan</label>
+                <select
+                  id="redeem-plan"
+                  name="plan"
+                  value={formData.plan}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                >
+                  <option value="">Default plan</option>
+                  {plans.map((plan) => (
+                    <option key={plan.id} value={plan.slug}>{plan.name} ({plan.slug})</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn-submit" disabled={loading}>
+                {loading ? '⏳ Minting...' : '✓ Mint Codes'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {minted && (
+        <div className="redeem-minted">
+          <div className="section-header">
+            <h3>{minted.codes.length} new codes{minted.batch.label ? ` for "${minted.batch.label}"` : ''}</h3>
+            <div className="redeem-minted-actions">
+              <button onClick={downloadCodes} className="btn-refresh">⬇️ Download CSV</button>
+              <button onClick={() => setMinted(null)} className="btn-refresh">✕ Close</button>
+            </div>
+          </div>
+          <p className="redeem-warning">Codes are shown only once: download them before closing.</p>
+          <pre className="redeem-code-list">{minted.codes.join('\n')}</pre>
+        </div>
+      )}
+
+      <div className="redeem-section">
+        <div className="section-header">
+          <h3>Batches ({batches.length})</h3>
+          <button onClick={fetchBatches} className="btn-refresh" disabled={loading}>
+            🔄 Refresh
+          </button>
+        </div>
+
+        {batches.length === 0 && !loading ? (
+          <div className="empty-state">
+            <p>No redeem batches yet</p>
+          </div>
+        ) : (
+          <div className="redeem-table">
+            <div className="redeem-table-header">
+              <div className="redeem-header-cell">Batch</div>
+              <div className="redeem-header-cell">Product / Plan</div>
+              <div className="redeem-header-cell">Duration</div>
+              <div className="redeem-header-cell">Redeemed</div>
+              <div className="redeem-header-cell">Created</div>
+              <div className="redeem-header-cell">Actions</div>
+            </div>
+
+            {batches.map((batch) => (
+              <div key={batch.id}>
+                <div className="redeem-table-row">
+                  <div className="redeem-cell">
+                    <strong>{batch.label || `Batch #${batch.id}`}</strong>
+                    <code>#{batch.id}</code>
+                  </div>
+                  <div className="redeem-cell">
+                    <span>{batch.product}</span>
+                    <code>{batch.plan || 'default plan'}</code>
+                  </div>
+                  <div className="redeem-cell">{batch.hours}h</div>
+                  <div className="redeem-cell">{batch.redeemed_codes} / {batch.total_codes}</div>
+                  <div className="redeem-cell">{formatDate(batch.created_at)}</div>
+                  <div className="redeem-cell redeem-actions">
+                    <button
+                      onClick={() => toggleBatch(batch)}
+                      className="btn-action btn-toggle"
+                      disabled={loading}
+                      title="Show codes"
+                    >
+                      {expanded?.batch.id === batch.id ? '▲' : '▼'}
+                    </button>
+                  </div>
+                </div>
+
+                {expanded?.batch.id === batch.id && (
+                  <div className="redeem-codes">
+                    {expanded.codes.map((code) => (
+                      <div key={code.id} className="redeem-code-row">
+                        <code>…{code.hint}</code>
+                        {code.redeemed ? (
+                          <span>
+                            <span className="badge badge-disabled">Redeemed</span>
+                            {' '}by {code.redeemed_by} on {formatDate(code.redeemed_at)}
+                            {code.key_id && <> → <code>{code.key_id}</code></>}
+                          </span>
+                        ) : (
+                          <span className="badge badge-active">Available</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RedeemCodesManager;
@@ -14,6 +14,36 @@ function Sidebar({ activeTab, onTabChange, onLogout, userSession }) {
       icon: '🔑',
       description: 'Manage API Keys'
     },
+    {
+      id: 'users',
+      label: 'Users',
+      icon: '👥',
+      description: 'End Users & Key History'
+    },
+    {
+      id: 'plans',
+      label: 'Plans',
+      icon: '📦',
+      description: 'Key Plans & Limits'
+    },
+    {
+      id: 'codes',
+      label: 'Redeem Codes',
+      icon: '🎟️',
+      description: 'Codes Exchanged for Keys'
+    },
+    {
+      id: 'suspicious',
+      label: 'Suspicious Keys',
+      icon: '🚩',
+      description: 'Possible Key Sharing'
+    },
+    {
+      id: 'bans',
+      label: 'Bans',
+      icon: '⛔',
+      description: 'Blocked Users & IPs'
+    },
     {
       id: 'settings',
       label: 'Settings',
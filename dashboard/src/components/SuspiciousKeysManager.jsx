@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import './SuspiciousKeysManager.css';
+
+const REASON_LABELS = {
+  ips: 'addresses',
+  networks: 'networks',
+  countries: 'countries'
+};
+
+const ACTION_LABELS = {
+  alert: 'Alert only',
+  throttle: 'Throttled',
+  suspend: 'Suspended'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+function SuspiciousKeysManager() {
+  const [flags, setFlags] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [status, setStatus] = useState('open');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchFlags();
+  }, [status]);
+
+  const fetchFlags = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/admin/api/suspicious-keys?status=${status}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setFlags(data.flags || []);
+        setPolicy(data.policy);
+      } else {
+        throw new Error(data.message || 'Failed to fetch suspicious keys');
+      }
+    } catch (error) {
+      setError('Error fetching suspicious keys: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDismiss = async (flag) => {
+    const undo = flag.action === 'throttle'
+      ? ' Its previous rate limit is restored.'
+      : flag.action === 'suspend' ? ' The key is resumed if it is still suspended.' : '';
+    if (!window.confirm(`Dismiss the flag on ${flag.key_id} as a false positive?${undo}`)) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/admin/api/suspicious-keys/${flag.id}/dismiss`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        await fetchFlags();
+      } else {
+        throw new Error(data.message || 'Failed to dismiss flag');
+      }
+    } catch (error) {
+      setError('Error dismissing flag: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeEvidence = (evidence) => evidence.reasons
+    .map(reason => `${evidence[`distinct_${reason}`]} ${REASON_LABELS[reason]} (max ${evidence.thresholds[`max_${reason}`]})`)
+    .join(', ');
+
+  return (
+    <div className="suspicious-manager">
+      <div className="manager-header">
+        <div>
+          <h2>🚩 Suspicious Keys</h2>
+          <p>
+            Keys used from more addresses, networks or countries than allowed, found by the detect-key-sharing job
+            {policy && ` · policy: ${policy}`}
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="suspicious-section">
+        <div className="section-header">
+          <h3>Flags ({flags.length})</h3>
+          <div className="suspicious-toolbar">
+            <select value={status} onChange={e => setStatus(e.target.value)} disabled={loading}>
+              <option value="open">Open</option>
+              <option value="dismissed">Dismissed</option>
+              <option value="all">All</option>
+            </select>
+            <button onClick={fetchFlags} className="btn-refresh" disabled={loading}>
+              🔄 Refresh
+            </button>
+          </div>
+        </div>
+
+        {flags.length === 0 && !loading ? (
+          <div className="empty-state">
+            <p>{status === 'open' ? 'No suspicious keys right now' : 'No flags'}</p>
+          </div>
+        ) : (
+          <div className="suspicious-table">
+            <div className="suspicious-table-header">
+              <div className="suspicious-header-cell">Key</div>
+              <div className="suspicious-header-cell">Action</div>
+              <div className="suspicious-header-cell">Evidence</div>
+              <div className="suspicious-header-cell">Detected</div>
+              <div className="suspicious-header-cell">Actions</div>
+            </div>
+
+            {flags.map((flag) => (
+              <div key={flag.id}>
+                <div className="suspicious-table-row">
+                  <div className="suspicious-cell">
+                    <strong>{flag.user_id}</strong>
+                    <code>{flag.key_id}</code>
+                    <code>{flag.product} · key {flag.key_status}</code>
+                  </div>
+                  <div className="suspicious-cell">
+                    <span className={`suspicious-action ${flag.action}`}>{ACTION_LABELS[flag.action]}</span>
+                    {flag.status === 'dismissed' && <code>Dismissed {formatDate(flag.dismissed_at)}</code>}
+                  </div>
+                  <div className="suspicious-cell">
+                    <span>{describeEvidence(flag.evidence)}</span>
+                    <code>{flag.evidence.uses} uses in {flag.evidence.window_minutes} min</code>
+                  </div>
+                  <div className="suspicious-cell">
+                    <span>{formatDate(flag.detected_at)}</span>
+                    {flag.last_detected_at !== flag.detected_at && <code>Last seen {formatDate(flag.last_detected_at)}</code>}
+                  </div>
+                  <div className="suspicious-cell suspicious-actions">
+                    <button
+                      onClick={() => setExpanded(expanded === flag.id ? null : flag.id)}
+                      className="btn-action btn-toggle"
+                      title="Show evidence"
+                    >
+                      {expanded === flag.id ? '▲' : '▼'}
+                    </button>
+                    {flag.status === 'open' && (
+                      <button
+                        onClick={() => handleDismiss(flag)}
+                        className="btn-action btn-toggle"
+                        disabled={loading}
+                        title="Dismiss as false positive"
+                      >
+                        ✓
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expanded === flag.id && (
+                  <div className="suspicious-evidence">
+                    <div>
+                      <span>Addresses</span>
+                      <code>{flag.evidence.ips.join(', ')}</code>
+                    </div>
+                    <div>
+                      <span>Networks</span>
+                      <code>{flag.evidence.networks.join(', ')}</code>
+                    </div>
+                    {flag.evidence.countries.length > 0 && (
+                      <div>
+                        <span>Countries</span>
+                        <code>{flag.evidence.countries.join(', ')}</code>
+                      </div>
+                    )}
+                    <div>
+                      <span>Window</span>
+                      <code>Since {formatDate(flag.evidence.since)}</code>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SuspiciousKeysManager;
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react';
+import KeyUsageDialog from './KeyUsageDialog';
+import './UsersManager.css';
+
+const PAGE_SIZE = 50;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Badge of a key from GET /admin/api/users/:userId, same wording as the Keys Manager
+const getKeyBadge = (key) => {
+  if (key.status === 'active' && key.starts_at && new Date(key.starts_at) > new Date()) {
+    return <span className="status-badge scheduled">Scheduled</span>;
+  }
+  if (key.in_grace) return <span className="status-badge grace">Grace</span>;
+  if (key.status === 'revoked') return <span className="status-badge revoked">Revoked</span>;
+  if (key.status === 'suspended') return <span className="status-badge suspended">Suspended</span>;
+  if (key.status === 'superseded') return <span className="status-badge inactive">Rotated</span>;
+  if (key.status === 'pending') return <span className="status-badge pending">Pending</span>;
+  return (
+    <span className={`status-badge ${key.valid ? 'active' : 'inactive'}`}>
+      {key.valid ? 'Active' : 'Expired'}
+    </span>
+  );
+};
+
+function UserDetail({ userId, onBack }) {
+  const [user, setUser] = useState(null);
+  const [keys, setKeys] = useState([]);
+  const [formData, setFormData] = useState({ display_name: '', notes: '', status: 'active' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [usageKeyId, setUsageKeyId] = useState(null);
+
+  useEffect(() => {
+    fetchUser();
+  }, [userId]);
+
+  const applyUser = (data) => {
+    setUser(data);
+    setFormData({ display_name: data.display_name || '', notes: data.notes || '', status: data.status });
+  };
+
+  const fetchUser = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/users/${encodeURIComponent(userId)}`, { credentials: 'include' });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Failed to fetch user');
+
+      applyUser(data.user);
+      setKeys(data.keys || []);
+    } catch (err) {
+      setError('Error fetching user: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const res = await fetch(`/admin/api/users/${encodeURIComponent(userId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(formData)
+      });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Failed to update user');
+
+      applyUser(data.user);
+    } catch (err) {
+      setError('Error updating user: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="users-manager">
+      <div className="manager-header">
+        <div>
+          <h2>👤 {user?.display_name || userId}</h2>
+          <p>
+            <code>{userId}</code>
+            {user && ` · first seen ${formatDate(user.created_at)} · last seen ${formatDate(user.last_seen_at)}`}
+          </p>
+        </div>
+        <button onClick={onBack} className="btn-refresh">
+          ← Users
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {user && (
+        <div className="create-form-container">
+          <form onSubmit={handleSubmit} className="create-form">
+            <h3>Profile</h3>
+
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="user-display-name">Display name</label>
+                <input
+                  type="text"
+                  id="user-display-name"
+                  name="display_name"
+                  value={formData.display_name}
+                  onChange={handleInputChange}
+                  maxLength={100}
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="user-status">Status</label>
+                <select
+                  id="user-status"
+                  name="status"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                >
+                  <option value="active">Active</option>
+                  <option value="disabled">Disabled</option>
+                </select>
+                <small>Disabled users can't get new keys; their current keys keep working</small>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="user-notes">Notes</label>
+              <textarea
+                id="user-notes"
+                name="notes"
+                value={formData.notes}
+                onChange={handleInputChange}
+                maxLength={2000}
+                rows={3}
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn-submit" disabled={loading}>
+                {loading ? '⏳ Saving...' : '✓ Save User'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="users-section">
+        <div className="section-header">
+          <h3>Key history ({keys.length})</h3>
+          <button onClick={fetchUser} className="btn-refresh" disabled={loading}>
+            🔄 Refresh
+          </button>
+        </div>
+
+        {keys.length === 0 && !loading ? (
+          <div className="empty-state">
+            <p>No keys left for this user</p>
+          </div>
+        ) : (
+          <div className="users-table">
+            <div className="users-table-header users-keys-grid">
+              <div className="users-header-cell">Key</div>
+              <div className="users-header-cell">Status</div>
+              <div className="users-header-cell">Created</div>
+              <div className="users-header-cell">Expires</div>
+              <div className="users-header-cell">Usage</div>
+              <div className="users-header-cell">Actions</div>
+            </div>
+
+            {keys.map(key => (
+              <div key={key.key_id} className="users-table-row users-keys-grid">
+                <div className="users-cell">
+                  <code>{key.key_id}</code>
+                  <code>{key.product} · {key.plan || 'no plan'}</code>
+                  {key.rotated_to && <code>Rotated to {key.rotated_to}</code>}
+                </div>
+                <div className="users-cell">
+                  {getKeyBadge(key)}
+                  {key.revoke_reason && <code title={key.revoke_reason}>{key.revoke_reason}</code>}
+                </div>
+                <div className="users-cell">{formatDate(key.created_at)}</div>
+                <div className="users-cell">
+                  {key.expires_at
+                    ? formatDate(key.expires_at)
+                    : key.status === 'pending' ? 'On first use' : key.time_remaining.formatted}
+                </div>
+                <div className="users-cell">
+                  <span>{key.usage_count} use{key.usage_count === 1 ? '' : 's'}</span>
+                  {key.last_accessed && <code>Last {formatDate(key.last_accessed)}</code>}
+                </div>
+                <div className="users-cell users-actions">
+                  <button
+                    onClick={() => setUsageKeyId(key.key_id)}
+                    className="btn-action btn-toggle"
+                    title="Usage history"
+                  >
+                    📜
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {usageKeyId && <KeyUsageDialog keyId={usageKeyId} onClose={() => setUsageKeyId(null)} />}
+    </div>
+  );
+}
+
+function UsersManager() {
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedUserId, setSelectedUserId] = useState(null);
+
+  useEffect(() => {
+    if (!selectedUserId) fetchUsers(1);
+  }, [status, selectedUserId]);
+
+  const fetchUsers = async (page) => {
+    setLoading(true);
+    setError('');
+
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+    if (search.trim()) params.set('search', search.trim());
+    if (status) params.set('status', status);
+
+    try {
+      const res = await fetch(`/admin/api/users?${params}`, { credentials: 'include' });
+      const data = await res.json();
+
+      if (!res.ok || !data.success) throw new Error(data.message || 'Failed to fetch users');
+
+      setUsers(data.users || []);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError('Error fetching users: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchUsers(1);
+  };
+
+  if (selectedUserId) {
+    return <UserDetail userId={selectedUserId} onBack={() => setSelectedUserId(null)} />;
+  }
+
+  return (
+    <div className="users-manager">
+      <div className="manager-header">
+        <div>
+          <h2>👥 Users</h2>
+          <p>Everyone keys were issued to, by their user_id</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="users-section">
+        <div className="section-header">
+          <h3>Users ({pagination.total})</h3>
+          <form className="users-toolbar" onSubmit={handleSearch}>
+            <input
+              type="text"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="User ID or name"
+              disabled={loading}
+            />
+            <select value={status} onChange={e => setStatus(e.target.value)} disabled={loading}>
+              <option value="">All</option>
+              <option value="active">Active</option>
+              <option value="disabled">Disabled</option>
+            </select>
+            <button type="submit" className="btn-refresh" disabled={loading}>
+              🔍 Search
+            </button>
+          </form>
+        </div>
+
+        {users.length === 0 && !loading ? (
+          <div className="empty-state">
+            <p>No users found</p>
+          </div>
+        ) : (
+          <div className="users-table">
+            <div className="users-table-header users-list-grid">
+              <div className="users-header-cell">User</div>
+              <div className="users-header-cell">Status</div>
+              <div className="users-header-cell">Keys</div>
+              <div className="users-header-cell">Last seen</div>
+              <div className="users-header-cell">First seen</div>
+            </div>
+
+            {users.map(user => (
+              <div
+                key={user.user_id}
+                className="users-table-row users-list-grid users-clickable"
+                onClick={() => setSelectedUserId(user.user_id)}
+                title="Open user"
+              >
+                <div className="users-cell">
+                  <strong>{user.display_name || user.user_id}</strong>
+                  {user.display_name && <code>{user.user_id}</code>}
+                </div>
+                <div className="users-cell">
+                  <span className={`status-badge ${user.status === 'active' ? 'active' : 'inactive'}`}>
+                    {user.status}
+                  </span>
+                </div>
+                <div className="users-cell">{user.key_count}</div>
+                <div className="users-cell">{formatDate(user.last_seen_at)}</div>
+                <div className="users-cell">{formatDate(user.created_at)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="users-pagination">
+            <button
+              type="button"
+              className="action-btn"
+              onClick={() => fetchUsers(pagination.page - 1)}
+              disabled={loading || pagination.page <= 1}
+            >
+              ← Previous
+            </button>
+            <span>Page {pagination.page} / {pagination.pages}</span>
+            <button
+              type="button"
+              className="action-btn"
+              onClick={() => fetchUsers(pagination.page + 1)}
+              disabled={loading || pagination.page >= pagination.pages}
+            >
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UsersManager;
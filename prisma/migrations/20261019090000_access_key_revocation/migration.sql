@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "revoked_at" TIMESTAMP(3),
+ADD COLUMN     "revoked_by" UUID,
+ADD COLUMN     "revoke_reason" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "AccessKey" ADD CONSTRAINT "AccessKey_revoked_by_fkey" FOREIGN KEY ("revoked_by") REFERENCES "AdminUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
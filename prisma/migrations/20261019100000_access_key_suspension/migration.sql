@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "AccessKeyStatus" ADD VALUE 'SUSPENDED';
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "suspended_at" TIMESTAMP(3);
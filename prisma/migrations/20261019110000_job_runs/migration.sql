@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "JobRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "JobRun" (
+    "id" UUID NOT NULL,
+    "job" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" "JobRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "result" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "JobRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_runs_job_started_idx" ON "JobRun"("job", "started_at");
+
+-- Backfill: keys already past their expiry become EXPIRED
+UPDATE "AccessKey" SET "status" = 'EXPIRED' WHERE "status" = 'ACTIVE' AND "expires_at" <= CURRENT_TIMESTAMP;
@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "AccessKeyStatus" ADD VALUE 'SUPERSEDED';
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "superseded_at" TIMESTAMP(3),
+ADD COLUMN     "rotated_from_id" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AccessKey_rotated_from_id_key" ON "AccessKey"("rotated_from_id");
+
+-- AddForeignKey
+ALTER TABLE "AccessKey" ADD CONSTRAINT "AccessKey_rotated_from_id_fkey" FOREIGN KEY ("rotated_from_id") REFERENCES "AccessKey"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "scopes" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "QuotaPeriod" AS ENUM ('DAY', 'MONTH');
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "max_uses" INTEGER,
+ADD COLUMN     "quota_limit" INTEGER,
+ADD COLUMN     "quota_period" "QuotaPeriod",
+ADD COLUMN     "quota_used" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "quota_reset_at" TIMESTAMP(3);
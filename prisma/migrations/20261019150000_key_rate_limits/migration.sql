@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "rate_limit" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RateLimitBucket" (
+    "key" TEXT NOT NULL,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "reset_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RateLimitBucket_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "rate_limit_buckets_reset_idx" ON "RateLimitBucket"("reset_at");
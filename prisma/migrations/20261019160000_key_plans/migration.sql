@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "KeyPlan" (
+    "id" SERIAL NOT NULL,
+    "slug" CITEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "default_hours" INTEGER,
+    "max_hours" INTEGER,
+    "max_active_keys" INTEGER NOT NULL DEFAULT 1,
+    "max_uses" INTEGER,
+    "quota_limit" INTEGER,
+    "quota_period" "QuotaPeriod",
+    "rate_limit" INTEGER,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "is_public" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "KeyPlan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KeyPlan_slug_key" ON "KeyPlan"("slug");
+
+-- Default plan: NULL limits fall back to DEFAULT_KEY_HOURS / MAX_KEY_HOURS / KEY_RATE_LIMIT_MAX,
+-- and one active key per user, exactly like before plans existed
+INSERT INTO "KeyPlan" ("slug", "name", "description", "max_active_keys", "is_default", "is_public", "updated_at")
+VALUES ('free', 'Free', 'Default plan', 1, true, true, CURRENT_TIMESTAMP);
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "plan_id" INTEGER;
+
+UPDATE "AccessKey" SET "plan_id" = (SELECT "id" FROM "KeyPlan" WHERE "slug" = 'free');
+
+ALTER TABLE "AccessKey" ALTER COLUMN "plan_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "access_keys_plan_idx" ON "AccessKey"("plan_id");
+
+-- AddForeignKey
+ALTER TABLE "AccessKey" ADD CONSTRAINT "AccessKey_plan_id_fkey" FOREIGN KEY ("plan_id") REFERENCES "KeyPlan"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "Product" (
+    "id" SERIAL NOT NULL,
+    "slug" CITEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "default_hours" INTEGER,
+    "max_hours" INTEGER,
+    "brand_color" TEXT,
+    "logo_url" TEXT,
+    "support_url" TEXT,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Product_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_slug_key" ON "Product"("slug");
+
+-- Existing keys belong to a default product, which also receives keys created without one
+INSERT INTO "Product" ("slug", "name", "description", "is_default", "updated_at")
+VALUES ('default', 'Default', 'Default product', true, CURRENT_TIMESTAMP);
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "product_id" INTEGER;
+
+UPDATE "AccessKey" SET "product_id" = (SELECT "id" FROM "Product" WHERE "slug" = 'default');
+
+ALTER TABLE "AccessKey" ALTER COLUMN "product_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "access_keys_product_user_idx" ON "AccessKey"("product_id", "user_id");
+
+-- AddForeignKey
+ALTER TABLE "AccessKey" ADD CONSTRAINT "AccessKey_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "IpBindingMode" AS ENUM ('NONE', 'CREATION', 'FIRST_USE', 'CIDR');
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "ip_binding_mode" "IpBindingMode" NOT NULL DEFAULT 'NONE',
+ADD COLUMN     "bound_ip" INET,
+ADD COLUMN     "bound_at" TIMESTAMP(3),
+ADD COLUMN     "allowed_cidrs" TEXT[] DEFAULT ARRAY[]::TEXT[];
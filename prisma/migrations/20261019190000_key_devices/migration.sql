@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "max_devices" INTEGER;
+
+-- AlterTable
+ALTER TABLE "KeyPlan" ADD COLUMN     "max_devices" INTEGER;
+
+-- CreateTable
+CREATE TABLE "KeyDevice" (
+    "id" SERIAL NOT NULL,
+    "key_id" INTEGER NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "first_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_seen_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_ip" INET,
+
+    CONSTRAINT "KeyDevice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "key_devices_key_fingerprint_key" ON "KeyDevice"("key_id", "fingerprint");
+
+-- AddForeignKey
+ALTER TABLE "KeyDevice" ADD CONSTRAINT "KeyDevice_key_id_fkey" FOREIGN KEY ("key_id") REFERENCES "AccessKey"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- New keys use a prefixed text ID (kbn_live_<id>) next to the hash of their secret.
+-- Existing UUID keys keep their value as ID and have no hash (legacy keys).
+-- AlterTable
+ALTER TABLE "AccessKey" ALTER COLUMN "key_id" TYPE TEXT USING "key_id"::TEXT;
+
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "secret_hash" TEXT;
@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "SigningKeyStatus" AS ENUM ('ACTIVE', 'RETIRED');
+
+-- CreateTable
+CREATE TABLE "SigningKey" (
+    "id" SERIAL NOT NULL,
+    "kid" TEXT NOT NULL,
+    "public_key" TEXT NOT NULL,
+    "private_key" TEXT NOT NULL,
+    "status" "SigningKeyStatus" NOT NULL DEFAULT 'ACTIVE',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "retired_at" TIMESTAMP(3),
+
+    CONSTRAINT "SigningKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SigningKey_kid_key" ON "SigningKey"("kid");
+
+-- CreateIndex
+CREATE INDEX "signing_keys_status_created_idx" ON "SigningKey"("status", "created_at");
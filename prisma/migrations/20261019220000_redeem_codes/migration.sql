@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "RedeemBatch" (
+    "id" SERIAL NOT NULL,
+    "label" TEXT,
+    "hours" INTEGER NOT NULL,
+    "plan_id" INTEGER,
+    "product_id" INTEGER NOT NULL,
+    "created_by" UUID,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RedeemBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RedeemCode" (
+    "id" SERIAL NOT NULL,
+    "batch_id" INTEGER NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "hint" TEXT NOT NULL,
+    "redeemed_at" TIMESTAMP(3),
+    "redeemed_by" TEXT,
+    "access_key_id" INTEGER,
+
+    CONSTRAINT "RedeemCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RedeemCode_code_hash_key" ON "RedeemCode"("code_hash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RedeemCode_access_key_id_key" ON "RedeemCode"("access_key_id");
+
+-- CreateIndex
+CREATE INDEX "redeem_codes_batch_redeemed_idx" ON "RedeemCode"("batch_id", "redeemed_at");
+
+-- AddForeignKey
+ALTER TABLE "RedeemBatch" ADD CONSTRAINT "RedeemBatch_plan_id_fkey" FOREIGN KEY ("plan_id") REFERENCES "KeyPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RedeemBatch" ADD CONSTRAINT "RedeemBatch_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RedeemCode" ADD CONSTRAINT "RedeemCode_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "RedeemBatch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RedeemCode" ADD CONSTRAINT "RedeemCode_access_key_id_fkey" FOREIGN KEY ("access_key_id") REFERENCES "AccessKey"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "AccessKeyStatus" ADD VALUE 'PENDING';
+
+-- AlterTable
+ALTER TABLE "AccessKey" ALTER COLUMN "expires_at" DROP NOT NULL,
+ADD COLUMN     "activation_hours" INTEGER,
+ADD COLUMN     "activate_by" TIMESTAMP(3),
+ADD COLUMN     "activated_at" TIMESTAMP(3);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "starts_at" TIMESTAMP(3);
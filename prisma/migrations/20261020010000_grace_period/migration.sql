@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "AccessKey" ADD COLUMN     "grace_period_minutes" INTEGER;
+
+-- AlterTable
+ALTER TABLE "KeyPlan" ADD COLUMN     "grace_period_minutes" INTEGER;
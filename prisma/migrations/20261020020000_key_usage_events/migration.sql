@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "KeyUsageEndpoint" AS ENUM ('VALIDATE', 'BIND', 'TOKEN');
+
+-- CreateTable
+CREATE TABLE "KeyUsageEvent" (
+    "id" SERIAL NOT NULL,
+    "key_id" TEXT NOT NULL,
+    "endpoint" "KeyUsageEndpoint" NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "code" INTEGER NOT NULL,
+    "ip_address" INET,
+    "user_agent" TEXT,
+    "occurred_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "KeyUsageEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "key_usage_events_key_occurred_idx" ON "KeyUsageEvent"("key_id", "occurred_at");
+
+-- CreateIndex
+CREATE INDEX "key_usage_events_occurred_idx" ON "KeyUsageEvent"("occurred_at");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "MetricsRollup" (
+    "bucket_start" TIMESTAMP(3) NOT NULL,
+    "product_id" INTEGER NOT NULL,
+    "keys_created" INTEGER NOT NULL DEFAULT 0,
+    "validations" INTEGER NOT NULL DEFAULT 0,
+    "failed_validations" INTEGER NOT NULL DEFAULT 0,
+    "expirations" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "MetricsRollup_pkey" PRIMARY KEY ("bucket_start","product_id")
+);
+
+-- CreateTable
+CREATE TABLE "UserActivityRollup" (
+    "bucket_start" TIMESTAMP(3) NOT NULL,
+    "product_id" INTEGER NOT NULL,
+    "user_id" TEXT NOT NULL,
+
+    CONSTRAINT "UserActivityRollup_pkey" PRIMARY KEY ("bucket_start","product_id","user_id")
+);
+
+-- CreateIndex
+CREATE INDEX "access_keys_created_idx" ON "AccessKey"("created_at");
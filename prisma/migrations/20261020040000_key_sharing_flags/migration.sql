@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "KeySharingAction" AS ENUM ('ALERT', 'THROTTLE', 'SUSPEND');
+
+-- CreateEnum
+CREATE TYPE "KeySharingFlagStatus" AS ENUM ('OPEN', 'DISMISSED');
+
+-- AlterTable
+ALTER TABLE "KeyUsageEvent" ADD COLUMN     "country" TEXT;
+
+-- CreateTable
+CREATE TABLE "KeySharingFlag" (
+    "id" SERIAL NOT NULL,
+    "key_id" INTEGER NOT NULL,
+    "status" "KeySharingFlagStatus" NOT NULL DEFAULT 'OPEN',
+    "action" "KeySharingAction" NOT NULL,
+    "evidence" JSONB NOT NULL,
+    "previous_rate_limit" INTEGER,
+    "detected_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_detected_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dismissed_at" TIMESTAMP(3),
+    "dismissed_by" UUID,
+
+    CONSTRAINT "KeySharingFlag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "key_sharing_flags_status_detected_idx" ON "KeySharingFlag"("status", "last_detected_at");
+
+-- CreateIndex
+CREATE INDEX "key_sharing_flags_key_idx" ON "KeySharingFlag"("key_id");
+
+-- AddForeignKey
+ALTER TABLE "KeySharingFlag" ADD CONSTRAINT "KeySharingFlag_key_id_fkey" FOREIGN KEY ("key_id") REFERENCES "AccessKey"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "EndUserStatus" AS ENUM ('ACTIVE', 'DISABLED');
+
+-- CreateTable
+CREATE TABLE "EndUser" (
+    "id" TEXT NOT NULL,
+    "display_name" TEXT,
+    "notes" TEXT,
+    "status" "EndUserStatus" NOT NULL DEFAULT 'ACTIVE',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "last_seen_at" TIMESTAMP(3),
+
+    CONSTRAINT "EndUser_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "end_users_last_seen_idx" ON "EndUser"("last_seen_at");
+
+-- Every user_id that already has keys becomes a user, first seen when their first key was issued
+INSERT INTO "EndUser" ("id", "created_at", "updated_at", "last_seen_at")
+SELECT "user_id", MIN("created_at"), CURRENT_TIMESTAMP, GREATEST(MAX("created_at"), MAX("last_accessed_at"))
+FROM "AccessKey"
+GROUP BY "user_id";
+
+-- AddForeignKey
+ALTER TABLE "AccessKey" ADD CONSTRAINT "AccessKey_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "EndUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "BanType" AS ENUM ('USER', 'IP');
+
+-- CreateTable
+CREATE TABLE "Ban" (
+    "id" SERIAL NOT NULL,
+    "type" "BanType" NOT NULL,
+    "value" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_by" UUID,
+
+    CONSTRAINT "Ban_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bans_type_expires_idx" ON "Ban"("type", "expires_at");
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "Ban" ADD COLUMN "network" INET,
+ADD COLUMN "pattern" BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill: IP ban values are normalized addresses/CIDR blocks, user patterns contain "*"
+UPDATE "Ban" SET "network" = "value"::inet WHERE "type" = 'IP';
+UPDATE "Ban" SET "pattern" = true WHERE "type" = 'USER' AND strpos("value", '*') > 0;
+
+-- CreateIndex
+CREATE INDEX "bans_type_value_idx" ON "Ban"("type", "value");
+
+-- CreateIndex
+CREATE INDEX "bans_type_pattern_idx" ON "Ban"("type", "pattern");
+
+-- CreateIndex
+CREATE INDEX "bans_network_idx" ON "Ban" USING GIST ("network" inet_ops);
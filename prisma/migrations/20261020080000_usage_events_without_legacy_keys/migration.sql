@@ -0,0 +1,3 @@
+-- Legacy UUID keys are their own secret: drop the attempts recorded under them
+DELETE FROM "KeyUsageEvent"
+WHERE "key_id" ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$';
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "job_runs_started_idx" ON "JobRun"("started_at");
@@ -60,6 +60,7 @@ rl.question('Escolha o ambiente (1, 2 ou 3): ', (env) => {
             if (res.statusCode === 200 || json.code === 200) {
               console.log('Chave criada com sucesso!');
               if (json.data) {
+                console.log('Chave (exibida só agora, guarde-a):', json.data.key);
                 console.log('ID:', json.data.key_id);
                 console.log('Usuário:', json.data.user_id);
                 console.log('Expira em:', json.data.expires_at);
@@ -51,6 +51,10 @@ const { errorHandler, notFoundHandler, requestLogger } = require('./middleware/e
 const keyRoutes = require('./routes/keyRoutes');
 const appRoutes = require('./routes/appRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const internalRoutes = require('./routes/internalRoutes');
+
+// Background jobs (timer only used by long-running processes)
+const jobScheduler = require('./jobs/scheduler');
 
 // Initialize logger
 const logger = new Logger(config.logging.level);
@@ -58,9 +62,9 @@ const logger = new Logger(config.logging.level);
 class Application {
   constructor() {
     this.app = express();
-  // Enable trust proxy only in production (helps with real client IP and rate limiting)
-    if (process.env.NODE_ENV === 'production' || config.nodeEnv === 'production') {
-      this.app.set('trust proxy', 1); // Corrigido para evitar erro do express-rate-limit
+    // Proxies allowed to set X-Forwarded-For (TRUST_PROXY, one hop by default in production)
+    if (config.trustProxy !== false) {
+      this.app.set('trust proxy', config.trustProxy); // Corrigido para evitar erro do express-rate-limit
     }
     this.server = null;
   }
@@ -129,6 +133,9 @@ class Application {
   // Admin routes (with authentication)
     this.app.use('/admin', adminRoutes);
 
+  // Internal routes (cron triggers, shared secret)
+    this.app.use('/internal', internalRoutes);
+
   // App routes
     this.app.use('/', appRoutes);
 
@@ -155,6 +162,11 @@ class Application {
         logger.info(`Access at: http://localhost:${config.port}`);
       });
 
+  // Periodic jobs (expiry sweeper, session cleanup)
+      if (config.jobs.enabled) {
+        jobScheduler.start();
+      }
+
   // Graceful shutdown handlers
       this.setupGracefulShutdown();
 
@@ -168,6 +180,8 @@ class Application {
     const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}, shutting down gracefully...`);
 
+      jobScheduler.stop();
+
       if (this.server) {
         this.server.close(async () => {
           logger.info('HTTP server closed');
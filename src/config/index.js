@@ -1,3 +1,15 @@
+// TRUST_PROXY: hop count, true/false or a comma-separated list of proxy addresses/subnets
+function parseTrustProxy(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) {
+    // One hop (the platform's edge) in production, none when the API is reached directly
+    return (process.env.NODE_ENV || 'development') === 'production' ? 1 : false;
+  }
+  if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  return trimmed.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
 const config = {
   // Server configuration
   port: parseInt(process.env.PORT) || 3000,
@@ -38,10 +50,72 @@ const config = {
     max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to 100 requests per windowMs
   },
 
+  // Per-key limit for validate/bind, counted in the database (shared across instances)
+  keyRateLimit: {
+    enabled: !(/^(false|0)$/i).test(process.env.KEY_RATE_LIMIT_ENABLED || ''),
+    windowMs: parseInt(process.env.KEY_RATE_LIMIT_WINDOW_SECONDS) * 1000 || 60 * 1000,
+    max: parseInt(process.env.KEY_RATE_LIMIT_MAX) || 60 // default requests per key per window
+  },
+
   // Key configuration
   keys: {
     defaultHours: parseInt(process.env.DEFAULT_KEY_HOURS) || 24,
     maxHours: parseInt(process.env.MAX_KEY_HOURS) || 168, // 7 days
+    // Prefix of new keys (`kbn_live_…`); lowercase letters/digits in "_" separated segments
+    prefix: (/^[a-z0-9]+(_[a-z0-9]+)*$/).test(process.env.KEY_PREFIX || '') ? process.env.KEY_PREFIX : 'kbn_live',
+    // Plain UUID keys from before hashed keys keep validating until this is turned off
+    acceptLegacyKeys: !(/^(false|0)$/i).test(process.env.ACCEPT_LEGACY_KEYS || ''),
+    // How long a rotated key keeps working next to its successor
+    rotationOverlapMinutes: parseInt(process.env.KEY_ROTATION_OVERLAP_MINUTES) || 0,
+    maxRotationOverlapMinutes: parseInt(process.env.KEY_ROTATION_MAX_OVERLAP_MINUTES) || 24 * 60,
+    // Minutes an expired key keeps validating (flagged in_grace) unless its plan or the key sets its own
+    gracePeriodMinutes: parseInt(process.env.GRACE_PERIOD_MINUTES) || 0,
+    // Maximum rows accepted by a single bulk issuance request
+    bulkMaxRows: parseInt(process.env.BULK_KEYS_MAX_ROWS) || 100,
+    // A bulk request stops starting rows after this long and reports the rest as not_processed,
+    // so it answers before the platform's function timeout (10s on Vercel by default)
+    bulkTimeBudgetSeconds: parseInt(process.env.BULK_KEYS_TIME_BUDGET_SECONDS) || 8,
+    // Whether a key scheduled to start later counts against the plan's active key limit
+    scheduledKeysBlockCreation: !(/^(false|0)$/i).test(process.env.SCHEDULED_KEYS_BLOCK_CREATION || ''),
+    // When off, POST /api/keys/create is refused and end users get keys by redeeming codes
+    publicCreation: !(/^(false|0)$/i).test(process.env.PUBLIC_KEY_CREATION || ''),
+    // Maximum codes minted by a single redeem batch
+    redeemBatchMaxCodes: parseInt(process.env.REDEEM_BATCH_MAX_CODES) || 1000,
+    // Days validate/bind/token attempts are kept in the usage log
+    usageEventsRetentionDays: parseInt(process.env.USAGE_EVENTS_RETENTION_DAYS) || 90,
+  },
+
+  // Signed license tokens (Ed25519 JWTs) exchanged for valid keys
+  licenseTokens: {
+    ttlMinutes: parseInt(process.env.LICENSE_TOKEN_TTL_MINUTES) || 60,
+    issuer: process.env.LICENSE_TOKEN_ISSUER || 'koban-api',
+    // Encrypts the signing private keys stored in the database; required in production,
+    // where tokens are refused (503) rather than signed with a plaintext key
+    signingKeyPassphrase: process.env.SIGNING_KEY_PASSPHRASE || ''
+  },
+
+  // Key-sharing detection over the usage log (detect-key-sharing job)
+  keySharing: {
+    // What a flagged key gets: 'off' | 'alert' (flag only) | 'throttle' | 'suspend'
+    policy: ['off', 'alert', 'throttle', 'suspend'].includes(process.env.KEY_SHARING_POLICY) ? process.env.KEY_SHARING_POLICY : 'alert',
+    windowMinutes: parseInt(process.env.KEY_SHARING_WINDOW_MINUTES) || 60,
+    // A key is flagged when successful uses in the window come from more than any of these
+    maxIps: parseInt(process.env.KEY_SHARING_MAX_IPS) || 5,
+    maxNetworks: parseInt(process.env.KEY_SHARING_MAX_NETWORKS) || 3, // IPv4 /24, IPv6 /48
+    maxCountries: parseInt(process.env.KEY_SHARING_MAX_COUNTRIES) || 2, // needs COUNTRY_HEADER
+    // Requests per KEY_RATE_LIMIT window left to a throttled key
+    throttleLimit: parseInt(process.env.KEY_SHARING_THROTTLE_LIMIT) || 5
+  },
+
+  // Background jobs (expiry sweeper, session cleanup)
+  jobs: {
+    // Timer only runs under a long-lived process (npm start); Vercel relies on the internal endpoint
+    enabled: !(/^(false|0)$/i).test(process.env.JOBS_ENABLED || ''),
+    intervalMinutes: parseInt(process.env.JOBS_INTERVAL_MINUTES) || 15,
+    // Shared secret for /internal/jobs/* (Authorization: Bearer <secret> or X-Cron-Secret)
+    cronSecret: process.env.CRON_SECRET || '',
+    // Days JobRun records are kept (purged by the purge-job-runs job)
+    runsRetentionDays: parseInt(process.env.JOB_RUNS_RETENTION_DAYS) || 30
   },
 
   // Logging configuration
@@ -49,6 +123,14 @@ const config = {
     level: process.env.LOG_LEVEL || 'info'
   },
 
+  // Express "trust proxy": only these proxies may set X-Forwarded-For, which req.ip honors.
+  // Bans, IP bindings and usage events use req.ip, never the client-supplied IP headers.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // Geolocation header the platform in front of the API sets (e.g. cf-ipcountry behind Cloudflare).
+  // Clients can send any of these headers themselves, so only this one is read; empty records no country.
+  countryHeader: (process.env.COUNTRY_HEADER || (process.env.VERCEL === '1' ? 'x-vercel-ip-country' : '')).trim().toLowerCase(),
+
   // Client IP preference for display/logging: 'public' | 'private'
   ipPreference: (process.env.IP_PREFERENCE || (process.env.NODE_ENV === 'development' ? 'private' : 'public')).toLowerCase()
 };
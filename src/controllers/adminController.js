@@ -339,27 +339,48 @@ class AdminController {
   async getAdminStats(req, res) {
     try {
       const keyService = require('../services/keyService');
+      const productService = require('../services/productService');
+
+      // ?product=<slug> scopes the totals to one product
+      let product = null;
+      if (req.query.product) {
+        product = await productService.getProductBySlug(String(req.query.product).trim().toLowerCase());
+        if (!product) {
+          return res.status(404).json({
+            success: false,
+            message: 'Product not found'
+          });
+        }
+      }
+      const filter = { productId: product ? product.id : null };
 
       // Get various statistics
       const [
         totalKeys,
         activeKeys,
         expiredKeys,
-        recentKeys
+        graceKeys,
+        recentKeys,
+        products
       ] = await Promise.all([
-        keyService.getTotalKeysCount(),
-        keyService.getActiveKeysCount(),
-        keyService.getExpiredKeysCount(),
-        keyService.getRecentKeys(24) // Last 24 hours
+        keyService.getTotalKeysCount(filter),
+        keyService.getActiveKeysCount(filter),
+        keyService.getExpiredKeysCount(filter),
+        keyService.getGraceKeysCount(filter),
+        keyService.getRecentKeys(24, filter), // Last 24 hours
+        keyService.getKeyStatsByProduct()
       ]);
 
       res.json({
         success: true,
         stats: {
+          product: product ? product.slug : null,
           total_keys: totalKeys,
           active_keys: activeKeys,
           expired_keys: expiredKeys,
+          grace_keys: graceKeys,
           recent_keys: recentKeys.length,
+          products,
           uptime: process.uptime(),
           memory_usage: process.memoryUsage(),
           environment: config.nodeEnv
@@ -374,6 +395,71 @@ class AdminController {
     }
   }
 
+  /**
+   * Keys created, validations, unique users and expirations over time, from the hourly rollups
+   * Query: ?interval=hour|day|week&from=<ISO>&to=<ISO>&product=<slug>
+   */
+  async getAnalytics(req, res) {
+    try {
+      const analyticsService = require('../services/analyticsService');
+      const productService = require('../services/productService');
+
+      const parseDate = (value) => (value ? new Date(String(value)) : null);
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be ISO dates'
+        });
+      }
+
+      const interval = req.query.interval ? String(req.query.interval) : 'day';
+      const range = analyticsService.resolveRange({ interval, from, to });
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      let product = null;
+      if (req.query.product) {
+        product = await productService.getProductBySlug(String(req.query.product).trim().toLowerCase());
+        if (!product) {
+          return res.status(404).json({
+            success: false,
+            message: 'Product not found'
+          });
+        }
+      }
+
+      const analytics = await analyticsService.getAnalytics({
+        interval,
+        from: range.from,
+        to: range.to,
+        productId: product ? product.id : null
+      });
+
+      res.json({
+        success: true,
+        analytics: {
+          interval,
+          from: range.from.toISOString(),
+          to: range.to.toISOString(),
+          product: product ? product.slug : null,
+          ...analytics
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting analytics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error retrieving analytics'
+      });
+    }
+  }
+
     async listAdmins(req, res) {
         try {
             const admins = await adminService.listAdmins();
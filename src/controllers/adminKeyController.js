@@ -0,0 +1,644 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const keyService = require('../services/keyService');
+const usageService = require('../services/usageService');
+const { isValidKeyId } = require('../utils/keyUtils');
+const { parseCsv } = require('../utils/csv');
+const { normalizeCreateKeyInput, normalizeScopes, normalizeIpBinding, normalizeMaxDevices, normalizeGracePeriod } = require('../middleware/validation');
+
+const logger = new Logger(config.logging.level);
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Turn a bulk issuance body into { user_id, hours, ... } rows
+ * Accepts a JSON array, { rows: [...] }, { csv: "..." } or a raw text/csv body.
+ * CSV rows are `user_id[,hours[,plan[,product]]]` with an optional header line;
+ * `lifetime` in the hours column issues a key that never expires.
+ */
+function extractBulkRows(body) {
+  let csvText = null;
+  if (typeof body === 'string') {
+    csvText = body;
+  } else if (body && typeof body.csv === 'string') {
+    csvText = body.csv;
+  }
+
+  if (csvText !== null) {
+    const lines = parseCsv(csvText);
+    if (lines.length > 0 && lines[0][0].toLowerCase() === 'user_id') {
+      lines.shift();
+    }
+    return lines.map(([user_id, hours, plan, product]) => ({
+      user_id,
+      hours: hours && hours.toLowerCase() !== 'lifetime' ? hours : undefined,
+      lifetime: hours ? hours.toLowerCase() === 'lifetime' : undefined,
+      plan: plan ? plan : undefined,
+      product: product ? product : undefined
+    }));
+  }
+
+  const items = Array.isArray(body) ? body : body?.rows;
+  if (!Array.isArray(items)) {
+    return null;
+  }
+
+  return items.map((item) => (typeof item === 'string'
+    ? { user_id: item }
+    : {
+      user_id: item?.user_id,
+      hours: item?.hours,
+      plan: item?.plan,
+      product: item?.product,
+      scopes: item?.scopes,
+      max_uses: item?.max_uses,
+      quota_limit: item?.quota_limit,
+      quota_period: item?.quota_period,
+      ip_binding: item?.ip_binding,
+      allowed_cidrs: item?.allowed_cidrs,
+      max_devices: item?.max_devices,
+      activation: item?.activation,
+      activate_by: item?.activate_by,
+      starts_at: item?.starts_at,
+      lifetime: item?.lifetime
+    }));
+}
+
+class AdminKeyController {
+  /**
+   * Key details by key ID (no secret needed)
+   */
+  async getKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.getKeyInfo(keyId, { byKeyId: true });
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.data });
+    } catch (error) {
+      logger.error('Error loading key', error);
+      res.status(500).json({ success: false, message: 'Unable to load key' });
+    }
+  }
+
+  /**
+   * Delete a key and its history for good
+   */
+  async deleteKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.deleteKey(keyId, {
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, message: 'Key deleted' });
+    } catch (error) {
+      logger.error('Error deleting key', error);
+      res.status(500).json({ success: false, message: 'Unable to delete key' });
+    }
+  }
+
+  /**
+   * Revoke a key (soft, keeps the record and usage history)
+   */
+  async revokeKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ success: false, message: `reason must have at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    try {
+      const result = await keyService.revokeKey(keyId, {
+        reason,
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error revoking key', error);
+      res.status(500).json({ success: false, message: 'Unable to revoke key' });
+    }
+  }
+
+  /**
+   * Lift a previous revocation
+   */
+  async unrevokeKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.unrevokeKey(keyId, {
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error, data: result.data });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error lifting key revocation', error);
+      res.status(500).json({ success: false, message: 'Unable to unrevoke key' });
+    }
+  }
+
+  /**
+   * Suspend a key, pausing its expiry clock
+   */
+  async suspendKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.suspendKey(keyId, {
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error suspending key', error);
+      res.status(500).json({ success: false, message: 'Unable to suspend key' });
+    }
+  }
+
+  /**
+   * Resume a suspended key
+   */
+  async resumeKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.resumeKey(keyId, {
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error, data: result.data });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error resuming key', error);
+      res.status(500).json({ success: false, message: 'Unable to resume key' });
+    }
+  }
+
+  /**
+   * Rotate a key, optionally keeping the old one valid for an overlap window
+   */
+  async rotateKey(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    const options = { actorId: req.adminUser?.id || null };
+    const { overlap_minutes } = req.body || {};
+    if (overlap_minutes !== undefined) {
+      const parsed = parseInt(overlap_minutes, 10);
+      if (isNaN(parsed) || parsed < 0 || parsed > config.keys.maxRotationOverlapMinutes) {
+        return res.status(400).json({ success: false, message: `overlap_minutes must be a number between 0 and ${config.keys.maxRotationOverlapMinutes}` });
+      }
+      options.overlapMinutes = parsed;
+    }
+
+    try {
+      const result = await keyService.rotateKey(keyId, options);
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key, previous: result.previous, access_key: result.access_key });
+    } catch (error) {
+      logger.error('Error rotating key', error);
+      res.status(500).json({ success: false, message: 'Unable to rotate key' });
+    }
+  }
+
+  /**
+   * Replace the scopes carried by a key
+   * Body: { scopes: string[] | "a,b" } (empty list clears them)
+   */
+  async updateKeyScopes(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    if (req.body?.scopes === undefined) {
+      return res.status(400).json({ success: false, message: 'scopes is required' });
+    }
+
+    const input = normalizeScopes(req.body.scopes);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const result = await keyService.updateKeyScopes(keyId, {
+        scopes: input.scopes,
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error updating key scopes', error);
+      res.status(500).json({ success: false, message: 'Unable to update key scopes' });
+    }
+  }
+
+  /**
+   * Set the requests-per-window limit of a key for validate/bind
+   * Body: { rate_limit: number | null } (null goes back to the default)
+   */
+  async updateKeyRateLimit(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    const { rate_limit } = req.body || {};
+    if (rate_limit === undefined) {
+      return res.status(400).json({ success: false, message: 'rate_limit is required (null restores the default)' });
+    }
+
+    let rateLimit = null;
+    if (rate_limit !== null) {
+      rateLimit = parseInt(rate_limit, 10);
+      if (isNaN(rateLimit) || rateLimit <= 0 || rateLimit > 1000000) {
+        return res.status(400).json({ success: false, message: 'rate_limit must be a number between 1 and 1000000, or null' });
+      }
+    }
+
+    try {
+      const result = await keyService.updateKeyRateLimit(keyId, {
+        rateLimit,
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error updating key rate limit', error);
+      res.status(500).json({ success: false, message: 'Unable to update key rate limit' });
+    }
+  }
+
+  /**
+   * Change the IP binding mode of a key
+   * Body: { ip_binding: "none" | "creation" | "first_use" | "cidr", allowed_cidrs?: string[] }
+   */
+  async updateKeyIpBinding(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    if (req.body?.ip_binding === undefined) {
+      return res.status(400).json({ success: false, message: 'ip_binding is required' });
+    }
+
+    const input = normalizeIpBinding(req.body);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const result = await keyService.updateKeyIpBinding(keyId, {
+        mode: input.ip_binding,
+        allowedCidrs: input.allowed_cidrs,
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error updating key IP binding', error);
+      res.status(500).json({ success: false, message: 'Unable to update key IP binding' });
+    }
+  }
+
+  /**
+   * Clear the address a key is locked to (e.g. the user's IP changed)
+   */
+  async resetIpBinding(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.resetIpBinding(keyId, {
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error resetting key IP binding', error);
+      res.status(500).json({ success: false, message: 'Unable to reset key IP binding' });
+    }
+  }
+
+  /**
+   * List the devices holding seats on a key
+   */
+  async listKeyDevices(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    try {
+      const result = await keyService.getKeyDevices(keyId);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, devices: result.devices, seats: result.seats });
+    } catch (error) {
+      logger.error('Error listing key devices', error);
+      res.status(500).json({ success: false, message: 'Unable to list key devices' });
+    }
+  }
+
+  /**
+   * Release a device's seat so another device can use the key
+   */
+  async releaseKeyDevice(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    const deviceId = parseInt(req.params.deviceId, 10);
+    if (!Number.isInteger(deviceId) || deviceId <= 0 || String(deviceId) !== req.params.deviceId) {
+      return res.status(400).json({ success: false, message: 'Invalid device id' });
+    }
+
+    try {
+      const result = await keyService.releaseKeyDevice(keyId, deviceId, {
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, message: 'Device released' });
+    } catch (error) {
+      logger.error('Error releasing key device', error);
+      res.status(500).json({ success: false, message: 'Unable to release key device' });
+    }
+  }
+
+  /**
+   * Set the number of devices a key can be used from
+   * Body: { max_devices: number | null } (null removes the limit)
+   */
+  async updateKeyMaxDevices(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    if (req.body?.max_devices === undefined) {
+      return res.status(400).json({ success: false, message: 'max_devices is required (null removes the limit)' });
+    }
+
+    const input = normalizeMaxDevices(req.body.max_devices);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const result = await keyService.updateKeyMaxDevices(keyId, {
+        maxDevices: input.max_devices,
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error updating key device limit', error);
+      res.status(500).json({ success: false, message: 'Unable to update key device limit' });
+    }
+  }
+
+  /**
+   * Set how long a key keeps validating after it expires
+   * Body: { grace_period_minutes: number | null } (0 disables it, null uses the plan's or the global default)
+   */
+  async updateKeyGracePeriod(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    if (req.body?.grace_period_minutes === undefined) {
+      return res.status(400).json({ success: false, message: 'grace_period_minutes is required (null uses the default)' });
+    }
+
+    const input = normalizeGracePeriod(req.body.grace_period_minutes);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const result = await keyService.updateKeyGracePeriod(keyId, {
+        gracePeriodMinutes: input.grace_period_minutes,
+        actorId: req.adminUser?.id || null
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error updating key grace period', error);
+      res.status(500).json({ success: false, message: 'Unable to update key grace period' });
+    }
+  }
+
+  /**
+   * Validate/bind/token attempts on a key, newest first, refused ones included
+   * Query: ?page=1&limit=50 (limit up to 200)
+   */
+  async listKeyUsage(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+      const result = await usageService.listUsageEvents(keyId, { page, limit });
+      res.json({ success: true, events: result.events, pagination: result.pagination });
+    } catch (error) {
+      logger.error('Error listing key usage', error);
+      res.status(500).json({ success: false, message: 'Unable to list key usage' });
+    }
+  }
+
+  /**
+   * Issue keys in bulk from a JSON list or CSV, returning a per-row report
+   */
+  async bulkCreateKeys(req, res) {
+    const rows = extractBulkRows(req.body);
+    if (!rows) {
+      return res.status(400).json({ success: false, message: 'Provide a JSON array of rows, { rows: [...] } or CSV (user_id[,hours[,plan[,product]]])' });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'No rows to process' });
+    }
+
+    if (rows.length > config.keys.bulkMaxRows) {
+      return res.status(400).json({ success: false, message: `A single request accepts at most ${config.keys.bulkMaxRows} rows` });
+    }
+
+    const normalized = rows.map((row, index) => {
+      const input = normalizeCreateKeyInput(row, { allowLifetime: true, allowScopes: true });
+      return input.error
+        ? { row: index + 1, user_id: typeof row.user_id === 'string' ? row.user_id : null, error: input.error }
+        : { row: index + 1, ...input };
+    });
+
+    try {
+      // Bulk keys are not tied to the admin's IP address
+      const report = await keyService.createKeysBulk(normalized, {
+        createdById: req.adminUser?.id || null
+      });
+
+      res.json({ success: true, ...report });
+    } catch (error) {
+      logger.error('Error issuing keys in bulk', error);
+      res.status(500).json({ success: false, message: 'Unable to issue keys' });
+    }
+  }
+
+  /**
+   * Extend, shorten or reactivate a key
+   * Body: { add_hours } | { expires_at } | { reactivate: true, hours? } | { lifetime: true }
+   */
+  async updateKeyExpiry(req, res) {
+    const { keyId } = req.params;
+    if (!isValidKeyId(keyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid key id' });
+    }
+
+    const { add_hours, expires_at, reactivate, hours, lifetime } = req.body || {};
+    const modes = [add_hours !== undefined, expires_at !== undefined, Boolean(reactivate), lifetime === true].filter(Boolean);
+    if (modes.length !== 1) {
+      return res.status(400).json({ success: false, message: 'Provide exactly one of add_hours, expires_at, reactivate or lifetime' });
+    }
+
+    const changes = { actorId: req.adminUser?.id || null };
+
+    if (add_hours !== undefined) {
+      // The plan's maximum is enforced by keyService against the resulting expiry
+      const parsed = parseInt(add_hours, 10);
+      if (isNaN(parsed) || parsed === 0) {
+        return res.status(400).json({ success: false, message: 'add_hours must be a non-zero number' });
+      }
+      changes.addHours = parsed;
+    }
+
+    if (expires_at !== undefined) {
+      const parsed = new Date(expires_at);
+      if (!expires_at || Number.isNaN(parsed.getTime())) {
+        return res.status(400).json({ success: false, message: 'expires_at must be a valid date' });
+      }
+      changes.expiresAt = parsed;
+    }
+
+    if (lifetime === true) {
+      changes.lifetime = true;
+    }
+
+    if (reactivate) {
+      changes.reactivate = true;
+      if (hours !== undefined) {
+        const parsed = parseInt(hours, 10);
+        if (isNaN(parsed) || parsed <= 0) {
+          return res.status(400).json({ success: false, message: 'hours must be a positive number' });
+        }
+        changes.hours = parsed;
+      }
+    }
+
+    try {
+      const result = await keyService.updateKeyExpiry(keyId, changes);
+
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error, data: result.data });
+      }
+
+      res.json({ success: true, key: result.key });
+    } catch (error) {
+      logger.error('Error updating key expiry', error);
+      res.status(500).json({ success: false, message: 'Unable to update key expiry' });
+    }
+  }
+}
+
+module.exports = new AdminKeyController();
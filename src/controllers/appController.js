@@ -1,5 +1,6 @@
 const Logger = require('../utils/logger');
 const config = require('../config');
+const signingKeyService = require('../services/signingKeyService');
 
 const logger = new Logger(config.logging.level);
 
@@ -17,6 +18,21 @@ class AppController {
     });
   }
 
+  /**
+   * Public keys (JWK Set) that verify license tokens offline
+   */
+  async getJwks(req, res) {
+    try {
+      const jwks = await signingKeyService.getJwks();
+      // Verifiers may cache it, but should pick up rotations within minutes
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(jwks);
+    } catch (error) {
+      logger.error('Error loading JWKS', error);
+      res.status(500).json({ error: 'Unable to load signing keys', code: 500 });
+    }
+  }
+
   /**
    * Root endpoint with API documentation
    */
@@ -26,11 +42,15 @@ class AppController {
       code: 200,
       version: '2.0.0',
       endpoints: {
-        'POST /api/keys/create': 'Create new access key',
-        'GET /api/keys/validate/:keyId': 'Validate a key',
+        'POST /api/keys/create': 'Create new access key (optional product and plan)',
+        'POST /api/keys/redeem': 'Redeem a code minted by an admin for a new key',
+        'GET /api/keys/validate/:keyId': 'Validate a key (optional ?scope= and ?product= checks, X-Device-Fingerprint for device-limited keys)',
         'GET /api/keys/info/:keyId': 'Get key information',
         'GET /api/keys/user/:userId': 'Get all keys for user',
         'DELETE /api/keys/:keyId': 'Delete a key by keyId',
+        'POST /api/keys/:keyId/rotate': 'Rotate a key (new key, same user and lifetime)',
+        'POST /api/keys/:keyId/token': 'Exchange a valid key for a signed license token',
+        'GET /.well-known/jwks.json': 'Public keys that verify license tokens',
         'GET /bind/:keyId.js': 'Get validation JS file',
   'GET /test/:keyId': 'Test validation with visual interface',
   'GET /ip': 'Show detected client IP (debug)',
@@ -50,8 +70,8 @@ class AppController {
     const { keyId } = req.params;
 
   // Validate keyId format using shared util
-  const { isValidUUID } = require('../utils/keyUtils');
-  if (!isValidUUID(keyId)) {
+  const { parseAccessKey } = require('../utils/keyUtils');
+  if (!parseAccessKey(keyId)) {
       return res.status(400).send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -86,12 +106,13 @@ class AppController {
 
   /**
    * Simple endpoint to echo detected client IP (uses util.getClientIp)
+   * `trusted` is the address bans and IP bindings see.
    */
   getClientIp(req, res) {
-  const { getClientIp, getIpVariants } = require('../utils/keyUtils');
+  const { getClientIp, getTrustedClientIp, getIpVariants } = require('../utils/keyUtils');
   const ip = getClientIp(req);
   const variants = getIpVariants(req);
-  res.json({ ip, variants });
+  res.json({ ip, trusted: getTrustedClientIp(req), variants });
   }
 }
 
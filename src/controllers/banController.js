@@ -0,0 +1,135 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const banService = require('../services/banService');
+const { sanitizeInput, normalizeCidr } = require('../utils/keyUtils');
+
+const logger = new Logger(config.logging.level);
+
+const BAN_TYPES = ['user', 'ip'];
+const BAN_STATUSES = ['active', 'expired', 'all'];
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Validate a ban body and turn it into service input
+ * User IDs are sanitized like the user_id of new keys, so the ban matches what is stored.
+ * @param {Object} body - { type, value, reason, expires_at, revoke_keys }
+ * @returns {Object} { data, revokeKeys } or { error }
+ */
+function parseBanInput(body = {}) {
+  const type = typeof body.type === 'string' ? body.type.toLowerCase() : '';
+  if (!BAN_TYPES.includes(type)) {
+    return { error: `type must be one of: ${BAN_TYPES.join(', ')}` };
+  }
+
+  let value;
+  if (type === 'user') {
+    value = sanitizeInput(body.value);
+    if (!value) {
+      return { error: 'value must be a user ID or a pattern such as "spam_*"' };
+    }
+    if (/^\*+$/.test(value)) {
+      return { error: 'value would ban every user' };
+    }
+  } else {
+    value = normalizeCidr(body.value);
+    if (!value) {
+      return { error: 'value must be an IP address or CIDR block' };
+    }
+  }
+
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) {
+    return { error: 'reason is required' };
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `reason must be at most ${MAX_REASON_LENGTH} characters` };
+  }
+
+  let expiresAt = null;
+  if (body.expires_at !== undefined && body.expires_at !== null) {
+    expiresAt = new Date(body.expires_at);
+    if (typeof body.expires_at !== 'string' || isNaN(expiresAt.getTime())) {
+      return { error: 'expires_at must be an ISO date or null' };
+    }
+    if (expiresAt <= new Date()) {
+      return { error: 'expires_at must be in the future' };
+    }
+  }
+
+  const revokeKeys = body.revoke_keys === true;
+  if (revokeKeys && type !== 'user') {
+    return { error: 'revoke_keys only applies to user bans' };
+  }
+
+  return { data: { type: type.toUpperCase(), value, reason, expiresAt }, revokeKeys };
+}
+
+function parseBanId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+class BanController {
+  /**
+   * Query: ?status=active|expired|all (default active)
+   */
+  async listBans(req, res) {
+    const status = req.query.status ? String(req.query.status).toLowerCase() : 'active';
+    if (!BAN_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${BAN_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const bans = await banService.listBans({ status });
+      res.json({ success: true, bans });
+    } catch (error) {
+      logger.error('Error listing bans', error);
+      res.status(500).json({ success: false, message: 'Unable to list bans' });
+    }
+  }
+
+  /**
+   * Body: { type: 'user' | 'ip', value, reason, expires_at?: ISODate | null, revoke_keys?: boolean }
+   */
+  async createBan(req, res) {
+    const input = parseBanInput(req.body || {});
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const result = await banService.createBan(input.data, {
+        revokeKeys: input.revokeKeys,
+        actorId: req.adminUser?.id || null
+      });
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error creating ban', error);
+      res.status(500).json({ success: false, message: 'Unable to create ban' });
+    }
+  }
+
+  /**
+   * Lift a ban before it expires
+   */
+  async deleteBan(req, res) {
+    const id = parseBanId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid ban id' });
+    }
+
+    try {
+      const result = await banService.deleteBan(id, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error lifting ban', error);
+      res.status(500).json({ success: false, message: 'Unable to lift ban' });
+    }
+  }
+}
+
+module.exports = new BanController();
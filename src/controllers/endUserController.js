@@ -0,0 +1,135 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const endUserService = require('../services/endUserService');
+const { sanitizeInput } = require('../utils/keyUtils');
+
+const logger = new Logger(config.logging.level);
+
+const USER_STATUSES = ['active', 'disabled'];
+const MAX_DISPLAY_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Validate a user update body and turn it into Prisma fields
+ * Empty display_name/notes clear them, like null.
+ * @param {Object} body - { display_name, notes, status }
+ * @returns {Object} { data } or { error }
+ */
+function parseEndUserInput(body = {}) {
+  const data = {};
+
+  for (const [field, prismaField, maxLength] of [
+    ['display_name', 'displayName', MAX_DISPLAY_NAME_LENGTH],
+    ['notes', 'notes', MAX_NOTES_LENGTH]
+  ]) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value !== null && typeof value !== 'string') {
+      return { error: `${field} must be a string or null` };
+    }
+
+    const trimmed = value ? value.trim() : '';
+    if (trimmed.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    data[prismaField] = trimmed || null;
+  }
+
+  if (body.status !== undefined) {
+    const status = typeof body.status === 'string' ? body.status.toLowerCase() : '';
+    if (!USER_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${USER_STATUSES.join(', ')}` };
+    }
+    data.status = status.toUpperCase();
+  }
+
+  return { data };
+}
+
+// User IDs are stored sanitized, so lookups go through the same sanitizing as key creation
+function parseUserId(value) {
+  const userId = sanitizeInput(value);
+  return userId.length > 0 ? userId : null;
+}
+
+class EndUserController {
+  /**
+   * Users keys were issued to, with their key count
+   * Query: ?search=<text>&status=active|disabled&page=1&limit=50 (limit up to 200)
+   */
+  async listUsers(req, res) {
+    const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+    if (status && !USER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${USER_STATUSES.join(', ')}` });
+    }
+
+    const search = req.query.search ? String(req.query.search).trim() : '';
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+      const result = await endUserService.listEndUsers({ search, status, page, limit });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error listing users', error);
+      res.status(500).json({ success: false, message: 'Unable to list users' });
+    }
+  }
+
+  /**
+   * A user and every key they were ever issued, in the shape of GET /api/keys/user/:userId
+   */
+  async getUser(req, res) {
+    const userId = parseUserId(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+
+    try {
+      const result = await endUserService.getEndUser(userId);
+      if (!result) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error getting user', error);
+      res.status(500).json({ success: false, message: 'Unable to get user' });
+    }
+  }
+
+  /**
+   * Body: { display_name?, notes?, status?: 'active' | 'disabled' }
+   * Disabling a user refuses them new keys; the keys they already have are left alone.
+   */
+  async updateUser(req, res) {
+    const userId = parseUserId(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+
+    const input = parseEndUserInput(req.body || {});
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    if (Object.keys(input.data).length === 0) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    try {
+      const result = await endUserService.updateEndUser(userId, input.data, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, user: result.user });
+    } catch (error) {
+      logger.error('Error updating user', error);
+      res.status(500).json({ success: false, message: 'Unable to update user' });
+    }
+  }
+}
+
+module.exports = new EndUserController();
@@ -0,0 +1,84 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const jobs = require('../jobs');
+
+const logger = new Logger(config.logging.level);
+
+function toRunResponse(run) {
+  return {
+    id: run.id,
+    job: run.job,
+    trigger: run.trigger,
+    status: run.status.toLowerCase(),
+    started_at: run.startedAt.toISOString(),
+    finished_at: run.finishedAt ? run.finishedAt.toISOString() : null,
+    result: run.result,
+    error: run.error
+  };
+}
+
+class JobController {
+  /**
+   * Run every job (internal, secret-protected)
+   */
+  async runAll(req, res) {
+    try {
+      const runs = await jobs.runAllJobs({ trigger: 'http' });
+      const failed = runs.some((run) => run.status === 'failed');
+
+      res.status(failed ? 500 : 200).json({
+        msg: failed ? 'Some jobs failed' : 'Jobs executed',
+        code: failed ? 500 : 200,
+        runs
+      });
+    } catch (error) {
+      logger.error('Error running jobs:', error);
+      res.status(500).json({ error: 'Failed to run jobs', code: 500 });
+    }
+  }
+
+  /**
+   * Run a single job by name (internal, secret-protected)
+   */
+  async runOne(req, res) {
+    const { name } = req.params;
+    if (!jobs.getJob(name)) {
+      return res.status(404).json({ error: 'Job not found', code: 404 });
+    }
+
+    try {
+      const run = await jobs.runJob(name, { trigger: 'http' });
+      const failed = run.status === 'failed';
+
+      res.status(failed ? 500 : 200).json({
+        msg: failed ? 'Job failed' : 'Job executed',
+        code: failed ? 500 : 200,
+        run
+      });
+    } catch (error) {
+      logger.error('Error running job:', error);
+      res.status(500).json({ error: 'Failed to run job', code: 500 });
+    }
+  }
+
+  /**
+   * List registered jobs and their recent runs (admin dashboard)
+   */
+  async listRuns(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const runs = await jobs.getRecentRuns(limit);
+
+      res.json({
+        success: true,
+        jobs: jobs.listJobs(),
+        runs: runs.map(toRunResponse)
+      });
+    } catch (error) {
+      logger.error('Error listing job runs', error);
+      res.status(500).json({ success: false, message: 'Unable to list job runs' });
+    }
+  }
+}
+
+module.exports = new JobController();
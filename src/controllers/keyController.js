@@ -1,23 +1,37 @@
 const keyService = require('../services/keyService');
-const { getClientIp, isKeyValid } = require('../utils/keyUtils');
+const banService = require('../services/banService');
+const redeemService = require('../services/redeemService');
+const usageService = require('../services/usageService');
+const { getTrustedClientIp, getClientCountry, isKeyValid, isKeyInGrace, getKeyState, getRemainingTime, getGraceEnd } = require('../utils/keyUtils');
 const { handleDatabaseError } = require('../middleware/errorHandler');
 const Logger = require('../utils/logger');
 const config = require('../config');
 
 const logger = new Logger(config.logging.level);
 
+// Who made a validate/bind/token attempt, as recorded in the usage log
+const getUsageClient = (req, ipAddress) => ({
+  ipAddress,
+  userAgent: req.get('user-agent'),
+  country: getClientCountry(req)
+});
+
 class KeyController {
   /**
-   * Delete a key by keyId
+   * Delete a key, authenticated by the full key
    */
   async deleteKey(req, res) {
     try {
-      const { keyId } = req.params;
-      const result = await keyService.deleteKey(keyId);
+      const key = await keyService.authenticateKey(req.params.keyId);
+      if (!key) {
+        return res.status(404).json({ error: 'Key not found', code: 404 });
+      }
+
+      const result = await keyService.deleteKey(key.key_id);
       if (result.error) {
         return res.status(result.code || 400).json({ error: result.error, code: result.code || 400 });
       }
-      res.json({ msg: 'Key deleted successfully', code: 200, key_id: keyId });
+      res.json({ msg: 'Key deleted successfully', code: 200, key_id: key.key_id });
     } catch (error) {
       handleDatabaseError(error, req, res);
     }
@@ -26,16 +40,38 @@ class KeyController {
    * Create a new access key
    */
   async createKey(req, res) {
+    if (!config.keys.publicCreation) {
+      return res.status(403).json({
+        error: 'Public key creation is disabled, redeem a code instead',
+        code: 403,
+        error_code: 'public_creation_disabled'
+      });
+    }
+
     try {
-      const { user_id, hours } = req.body;
-      const ipAddress = getClientIp(req);
+      const { user_id, hours, product, plan, max_uses, quota_limit, quota_period, ip_binding, allowed_cidrs, max_devices, activation, activate_by, starts_at } = req.body;
+      const ipAddress = getTrustedClientIp(req);
 
-      const keyData = await keyService.createKey(user_id, hours, ipAddress);
+      const keyData = await keyService.createKey(user_id, hours, ipAddress, null, {
+        product,
+        plan,
+        maxUses: max_uses,
+        quotaLimit: quota_limit,
+        quotaPeriod: quota_period,
+        ipBinding: ip_binding,
+        allowedCidrs: allowed_cidrs,
+        maxDevices: max_devices,
+        activation,
+        activateBy: activate_by,
+        startsAt: starts_at
+      });
 
-      if (keyData && keyData.error && keyData.code === 409) {
-        return res.status(409).json({
+      if (keyData && keyData.error) {
+        res.locals.ban = keyData.ban;
+        return res.status(keyData.code).json({
           error: keyData.error,
-          code: 409,
+          code: keyData.code,
+          error_code: keyData.error_code,
           data: keyData.data
         });
       }
@@ -50,18 +86,107 @@ class KeyController {
     }
   }
 
+  /**
+   * Redeem a code for a new key
+   */
+  async redeemCode(req, res) {
+    try {
+      const { code, user_id } = req.body;
+      const keyData = await redeemService.redeemCode(code, user_id, getTrustedClientIp(req));
+
+      if (keyData.error) {
+        res.locals.ban = keyData.ban;
+        return res.status(keyData.code).json({
+          error: keyData.error,
+          code: keyData.code,
+          error_code: keyData.error_code,
+          data: keyData.data
+        });
+      }
+
+      res.json({
+        msg: 'Code redeemed successfully',
+        code: 200,
+        data: keyData
+      });
+    } catch (error) {
+      handleDatabaseError(error, req, res);
+    }
+  }
+
+  /**
+   * Rotate a key: issue a new one for the same user and supersede the current
+   */
+  async rotateKey(req, res) {
+    try {
+      const key = await keyService.authenticateKey(req.params.keyId);
+      if (!key) {
+        return res.status(404).json({ error: 'Key not found', code: 404 });
+      }
+
+      const options = { ipAddress: getTrustedClientIp(req) };
+      if (req.body?.overlap_minutes !== undefined) {
+        options.overlapMinutes = req.body.overlap_minutes;
+      }
+
+      const result = await keyService.rotateKey(key.key_id, options);
+
+      if (result.error) {
+        res.locals.ban = result.ban;
+        return res.status(result.code).json({
+          error: result.error,
+          code: result.code,
+          error_code: result.error_code,
+          data: result.data
+        });
+      }
+
+      res.json({
+        msg: 'Key rotated successfully',
+        code: 200,
+        data: {
+          key: result.access_key,
+          key_id: result.key.key_id,
+          user_id: result.key.user_id,
+          expires_at: result.key.expires_at,
+          rotated_from: key.key_id,
+          previous_key_valid_until: result.previous.expires_at
+        }
+      });
+    } catch (error) {
+      handleDatabaseError(error, req, res);
+    }
+  }
+
   /**
    * Validate a key
    */
   async validateKey(req, res) {
     try {
       const { keyId } = req.params;
-      const result = await keyService.validateKey(keyId);
+      const ipAddress = getTrustedClientIp(req);
+      const result = await keyService.validateKey(keyId, {
+        requiredScopes: req.requiredScopes,
+        product: req.productSlug,
+        ipAddress,
+        deviceFingerprint: req.deviceFingerprint
+      });
+      await usageService.recordUsageEvent(keyId, 'validate', result, getUsageClient(req, ipAddress));
 
       if (result.error) {
+        res.locals.ban = result.ban;
+        // A period quota comes back on its own; a spent max_uses never does
+        const quota = result.data?.quota;
+        if (quota?.resets_at && quota.uses_remaining !== 0) {
+          const seconds = Math.ceil((new Date(quota.resets_at) - Date.now()) / 1000);
+          res.set('Retry-After', String(Math.max(seconds, 1)));
+        }
+
         return res.status(result.code).json({
           error: result.error,
-          code: result.code
+          code: result.code,
+          error_code: result.error_code,
+          data: result.data
         });
       }
 
@@ -71,6 +196,46 @@ class KeyController {
     }
   }
 
+  /**
+   * Exchange a valid key for a signed license token (verifiable offline with the JWKS)
+   */
+  async issueLicenseToken(req, res) {
+    try {
+      const ipAddress = getTrustedClientIp(req);
+      const result = await keyService.issueLicenseToken(req.params.keyId, {
+        requiredScopes: req.requiredScopes,
+        product: req.productSlug,
+        ipAddress,
+        deviceFingerprint: req.deviceFingerprint
+      });
+      await usageService.recordUsageEvent(req.params.keyId, 'token', result.error ? result : { code: 200 }, getUsageClient(req, ipAddress));
+
+      if (result.error) {
+        res.locals.ban = result.ban;
+        return res.status(result.code).json({
+          error: result.error,
+          code: result.code,
+          error_code: result.error_code,
+          data: result.data
+        });
+      }
+
+      res.json({
+        msg: 'License token issued',
+        code: 200,
+        data: {
+          token: result.token,
+          token_type: 'JWT',
+          kid: result.kid,
+          expires_at: result.expires_at,
+          claims: result.claims
+        }
+      });
+    } catch (error) {
+      handleDatabaseError(error, req, res);
+    }
+  }
+
   /**
    * Get key information
    */
@@ -98,12 +263,13 @@ class KeyController {
   async getUserKeys(req, res) {
     try {
       const { userId } = req.params;
-      const keys = await keyService.getUserKeys(userId);
+      const keys = await keyService.getUserKeys(userId, { product: req.productSlug });
 
       res.json({
         msg: `Found ${keys.length} keys for user`,
         code: 200,
         user_id: userId,
+        product: req.productSlug || null,
         keys
       });
     } catch (error) {
@@ -116,8 +282,18 @@ class KeyController {
    */
   async generateBindingScript(req, res) {
     try {
-      const { keyId } = req.params;
-      const key = await keyService.getKeyById(keyId);
+      const key = await keyService.authenticateKey(req.params.keyId);
+      const ipAddress = getTrustedClientIp(req);
+      const usable = key ? getKeyState(key) === 'active' : false;
+      // Banned users and addresses, addresses outside the key's IP binding and devices
+      // beyond its seats are refused before anything else
+      const ban = key ? await banService.findBan({ userId: key.user_id, ipAddress }) : null;
+      const ipRefusal = key && !ban
+        ? await keyService.enforceIpBinding(key, ipAddress, { claim: usable })
+        : null;
+      const device = key && !ban && !ipRefusal
+        ? await keyService.enforceDeviceBinding(key, req.deviceFingerprint, { register: usable, ipAddress })
+        : {};
 
       let response;
 
@@ -126,16 +302,81 @@ class KeyController {
           msg: "Binding failed, key not found.",
           code: 404
         };
+      } else if (ban) {
+        const refusal = banService.getBanRefusal(ban);
+        res.locals.ban = refusal.ban;
+        response = {
+          msg: `Binding failed, ${refusal.error.toLowerCase()}.`,
+          code: refusal.code,
+          error_code: refusal.error_code,
+          banned_until: refusal.data.banned_until
+        };
+      } else if (ipRefusal) {
+        response = {
+          msg: "Binding failed, request IP is not allowed for this key.",
+          code: 403,
+          error_code: ipRefusal.error_code
+        };
+      } else if (device.error) {
+        response = {
+          msg: device.error_code === 'device_required'
+            ? "Binding failed, a device fingerprint is required for this key."
+            : "Binding failed, device limit reached for this key.",
+          code: 403,
+          error_code: device.error_code,
+          seats: device.data.seats
+        };
+      } else if (key.status === 'revoked') {
+        response = {
+          msg: "Binding failed, key has been revoked.",
+          code: 403
+        };
+      } else if (key.status === 'suspended') {
+        response = {
+          msg: "Binding failed, key is suspended.",
+          code: 423
+        };
+      } else if (getKeyState(key) === 'scheduled') {
+        response = {
+          msg: "Binding failed, key is not active yet.",
+          code: 425,
+          starts_at: key.starts_at,
+          starts_in: getRemainingTime(key.starts_at).formatted
+        };
       } else {
-  const valid = isKeyValid(key);
+        const valid = isKeyValid(key);
+        // Update usage statistics, refused once the usage quota is spent
+        const use = usable ? await keyService.consumeKeyUse(key) : { consumed: false };
 
-        if (valid) {
-          // Update usage statistics
-          await keyService.updateKeyUsage(keyId);
+        if (valid && !use.consumed) {
           response = {
-            msg: "Binding is ok, you can now use it normally.",
+            msg: "Binding failed, key usage quota exhausted.",
+            code: 429
+          };
+        } else if (valid) {
+          const inGrace = isKeyInGrace(key);
+          response = {
+            msg: key.status === 'superseded'
+              ? "Binding is ok, but this key has been rotated. Switch to the new key soon."
+              : inGrace
+                ? "Binding is ok, but this key has expired. Renew it before the grace period ends."
+                : "Binding is ok, you can now use it normally.",
             code: 200
           };
+          if (inGrace) {
+            const graceEnd = getGraceEnd(key);
+            response.in_grace = true;
+            response.grace_ends_at = graceEnd;
+            response.grace_remaining = getRemainingTime(graceEnd).formatted;
+          }
+          if (device.seats) {
+            response.seats = device.seats;
+          }
+        } else if (key.status === 'superseded') {
+          response = {
+            msg: "Binding failed, key has been rotated.",
+            code: 410
+          };
         } else {
           response = {
             msg: "Binding failed, key has expired.",
@@ -144,6 +385,8 @@ class KeyController {
         }
       }
 
+      await usageService.recordUsageEvent(req.params.keyId, 'bind', { ...response, status: key?.status }, getUsageClient(req, ipAddress));
+
       // Generate safe JavaScript without eval
       const scriptContent = `
 // Koban Free API - Key Validation
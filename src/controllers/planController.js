@@ -0,0 +1,184 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const planService = require('../services/planService');
+const { normalizeQuota, normalizeGracePeriod, SLUG_PATTERN } = require('../middleware/validation');
+
+const logger = new Logger(config.logging.level);
+
+// Numeric plan fields: body name → Prisma field, and whether null (use the global default) is allowed
+const NUMERIC_FIELDS = [
+  ['default_hours', 'defaultHours', true],
+  ['max_hours', 'maxHours', true],
+  ['max_active_keys', 'maxActiveKeys', false],
+  ['rate_limit', 'rateLimit', true],
+  ['max_devices', 'maxDevices', true]
+];
+
+/**
+ * Validate a plan body and turn it into Prisma fields
+ * @param {Object} body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {Object} { data } or { error }
+ */
+function parsePlanInput(body = {}, partial = false) {
+  const data = {};
+
+  if (body.slug !== undefined || !partial) {
+    const slug = typeof body.slug === 'string' ? body.slug.trim().toLowerCase() : '';
+    if (!SLUG_PATTERN.test(slug)) {
+      return { error: 'slug must have 1-32 letters, digits, "_" or "-"' };
+    }
+    data.slug = slug;
+  }
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      return { error: 'name is required' };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    data.description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+  }
+
+  for (const [field, prismaField, nullable] of NUMERIC_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value === null && nullable) {
+      data[prismaField] = null;
+      continue;
+    }
+
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed <= 0) {
+      return { error: `${field} must be a positive number${nullable ? ' or null' : ''}` };
+    }
+    data[prismaField] = parsed;
+  }
+
+  if (data.defaultHours && data.maxHours && data.defaultHours > data.maxHours) {
+    return { error: 'default_hours cannot be greater than max_hours' };
+  }
+
+  if (body.max_uses !== undefined || body.quota_limit !== undefined || body.quota_period !== undefined) {
+    const quota = normalizeQuota(body);
+    if (quota.error) {
+      return { error: quota.error };
+    }
+    if (body.max_uses !== undefined) {
+      data.maxUses = quota.max_uses;
+    }
+    if (body.quota_limit !== undefined || body.quota_period !== undefined) {
+      data.quotaLimit = quota.quota_limit;
+      data.quotaPeriod = quota.quota_period ? quota.quota_period.toUpperCase() : null;
+    }
+  }
+
+  // Zero is allowed here: it turns the grace period off for the plan's keys
+  if (body.grace_period_minutes !== undefined) {
+    const grace = normalizeGracePeriod(body.grace_period_minutes);
+    if (grace.error) {
+      return { error: grace.error };
+    }
+    data.gracePeriodMinutes = grace.grace_period_minutes;
+  }
+
+  if (body.is_default !== undefined) {
+    data.isDefault = Boolean(body.is_default);
+  }
+
+  if (body.is_public !== undefined) {
+    data.isPublic = Boolean(body.is_public);
+  }
+
+  return { data };
+}
+
+function parsePlanId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+class PlanController {
+  async listPlans(req, res) {
+    try {
+      const plans = await planService.listPlans();
+      res.json({ success: true, plans });
+    } catch (error) {
+      logger.error('Error listing plans', error);
+      res.status(500).json({ success: false, message: 'Unable to list plans' });
+    }
+  }
+
+  async createPlan(req, res) {
+    const input = parsePlanInput(req.body || {});
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const plan = await planService.createPlan(input.data, req.adminUser?.id || null);
+      res.status(201).json({ success: true, plan });
+    } catch (error) {
+      if (error?.code === 'P2002') {
+        return res.status(409).json({ success: false, message: 'Plan slug already exists' });
+      }
+      logger.error('Error creating plan', error);
+      res.status(500).json({ success: false, message: 'Unable to create plan' });
+    }
+  }
+
+  async updatePlan(req, res) {
+    const id = parsePlanId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid plan id' });
+    }
+
+    const input = parsePlanInput(req.body || {}, true);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    if (Object.keys(input.data).length === 0) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    try {
+      const result = await planService.updatePlan(id, input.data, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, plan: result.plan });
+    } catch (error) {
+      if (error?.code === 'P2002') {
+        return res.status(409).json({ success: false, message: 'Plan slug already exists' });
+      }
+      logger.error('Error updating plan', error);
+      res.status(500).json({ success: false, message: 'Unable to update plan' });
+    }
+  }
+
+  async deletePlan(req, res) {
+    const id = parsePlanId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid plan id' });
+    }
+
+    try {
+      const result = await planService.deletePlan(id, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting plan', error);
+      res.status(500).json({ success: false, message: 'Unable to delete plan' });
+    }
+  }
+}
+
+module.exports = new PlanController();
@@ -0,0 +1,191 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const productService = require('../services/productService');
+const { SLUG_PATTERN } = require('../middleware/validation');
+
+const logger = new Logger(config.logging.level);
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_URL_LENGTH = 2048;
+
+// Branding fields: body name → Prisma field
+const URL_FIELDS = [
+  ['logo_url', 'logoUrl'],
+  ['support_url', 'supportUrl']
+];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a product body and turn it into Prisma fields
+ * @param {Object} body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {Object} { data } or { error }
+ */
+function parseProductInput(body = {}, partial = false) {
+  const data = {};
+
+  if (body.slug !== undefined || !partial) {
+    const slug = typeof body.slug === 'string' ? body.slug.trim().toLowerCase() : '';
+    if (!SLUG_PATTERN.test(slug)) {
+      return { error: 'slug must have 1-32 letters, digits, "_" or "-"' };
+    }
+    data.slug = slug;
+  }
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0) {
+      return { error: 'name is required' };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    data.description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+  }
+
+  for (const [field, prismaField] of [['default_hours', 'defaultHours'], ['max_hours', 'maxHours']]) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value === null) {
+      data[prismaField] = null;
+      continue;
+    }
+
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed <= 0) {
+      return { error: `${field} must be a positive number or null` };
+    }
+    data[prismaField] = parsed;
+  }
+
+  if (data.defaultHours && data.maxHours && data.defaultHours > data.maxHours) {
+    return { error: 'default_hours cannot be greater than max_hours' };
+  }
+
+  if (body.brand_color !== undefined) {
+    if (body.brand_color === null || body.brand_color === '') {
+      data.brandColor = null;
+    } else if (typeof body.brand_color !== 'string' || !COLOR_PATTERN.test(body.brand_color.trim())) {
+      return { error: 'brand_color must be a hex color like #5865f2' };
+    } else {
+      data.brandColor = body.brand_color.trim().toLowerCase();
+    }
+  }
+
+  for (const [field, prismaField] of URL_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value === null || value === '') {
+      data[prismaField] = null;
+      continue;
+    }
+
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH || !isHttpUrl(value.trim())) {
+      return { error: `${field} must be an http(s) URL` };
+    }
+    data[prismaField] = value.trim();
+  }
+
+  if (body.is_default !== undefined) {
+    data.isDefault = Boolean(body.is_default);
+  }
+
+  return { data };
+}
+
+function parseProductId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+class ProductController {
+  async listProducts(req, res) {
+    try {
+      const products = await productService.listProducts();
+      res.json({ success: true, products });
+    } catch (error) {
+      logger.error('Error listing products', error);
+      res.status(500).json({ success: false, message: 'Unable to list products' });
+    }
+  }
+
+  async createProduct(req, res) {
+    const input = parseProductInput(req.body || {});
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const product = await productService.createProduct(input.data, req.adminUser?.id || null);
+      res.status(201).json({ success: true, product });
+    } catch (error) {
+      if (error?.code === 'P2002') {
+        return res.status(409).json({ success: false, message: 'Product slug already exists' });
+      }
+      logger.error('Error creating product', error);
+      res.status(500).json({ success: false, message: 'Unable to create product' });
+    }
+  }
+
+  async updateProduct(req, res) {
+    const id = parseProductId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
+
+    const input = parseProductInput(req.body || {}, true);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    if (Object.keys(input.data).length === 0) {
+      return res.status(400).json({ success: false, message: 'No valid fields to update' });
+    }
+
+    try {
+      const result = await productService.updateProduct(id, input.data, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, product: result.product });
+    } catch (error) {
+      if (error?.code === 'P2002') {
+        return res.status(409).json({ success: false, message: 'Product slug already exists' });
+      }
+      logger.error('Error updating product', error);
+      res.status(500).json({ success: false, message: 'Unable to update product' });
+    }
+  }
+
+  async deleteProduct(req, res) {
+    const id = parseProductId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
+
+    try {
+      const result = await productService.deleteProduct(id, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting product', error);
+      res.status(500).json({ success: false, message: 'Unable to delete product' });
+    }
+  }
+}
+
+module.exports = new ProductController();
@@ -0,0 +1,107 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const redeemService = require('../services/redeemService');
+const { SLUG_PATTERN } = require('../middleware/validation');
+
+const logger = new Logger(config.logging.level);
+
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Validate a batch body
+ * @returns {Object} { data } or { error }
+ */
+function parseBatchInput(body = {}) {
+  const maxCodes = config.keys.redeemBatchMaxCodes;
+  const count = parseInt(body.count, 10);
+  if (isNaN(count) || count <= 0 || count > maxCodes) {
+    return { error: `count must be a number between 1 and ${maxCodes}` };
+  }
+
+  const hours = parseInt(body.hours, 10);
+  if (isNaN(hours) || hours <= 0) {
+    return { error: 'hours must be a positive number' };
+  }
+
+  const data = { count, hours };
+
+  for (const field of ['product', 'plan']) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const slug = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!SLUG_PATTERN.test(slug)) {
+      return { error: `${field} must be a slug with 1-32 letters, digits, "_" or "-"` };
+    }
+    data[field] = slug;
+  }
+
+  if (body.label !== undefined && body.label !== null) {
+    if (typeof body.label !== 'string' || body.label.trim().length > MAX_LABEL_LENGTH) {
+      return { error: `label must be a string of at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    data.label = body.label.trim() || null;
+  }
+
+  return { data };
+}
+
+function parseBatchId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+class RedeemController {
+  async listBatches(req, res) {
+    try {
+      const batches = await redeemService.listBatches();
+      res.json({ success: true, batches });
+    } catch (error) {
+      logger.error('Error listing redeem batches', error);
+      res.status(500).json({ success: false, message: 'Unable to list redeem batches' });
+    }
+  }
+
+  /**
+   * Mint a batch; the codes are in this response only
+   */
+  async createBatch(req, res) {
+    const input = parseBatchInput(req.body || {});
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    try {
+      const result = await redeemService.mintBatch(input.data, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.status(201).json({ success: true, batch: result.batch, codes: result.codes });
+    } catch (error) {
+      logger.error('Error minting redeem batch', error);
+      res.status(500).json({ success: false, message: 'Unable to mint redeem batch' });
+    }
+  }
+
+  async getBatchCodes(req, res) {
+    const id = parseBatchId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid batch id' });
+    }
+
+    try {
+      const result = await redeemService.getBatchCodes(id);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, batch: result.batch, codes: result.codes });
+    } catch (error) {
+      logger.error('Error listing redeem codes', error);
+      res.status(500).json({ success: false, message: 'Unable to list redeem codes' });
+    }
+  }
+}
+
+module.exports = new RedeemController();
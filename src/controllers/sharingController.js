@@ -0,0 +1,57 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const sharingService = require('../services/sharingService');
+
+const logger = new Logger(config.logging.level);
+
+const FLAG_STATUSES = ['open', 'dismissed', 'all'];
+
+function parseFlagId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+class SharingController {
+  /**
+   * Keys flagged by the key-sharing detector, with the evidence behind each flag
+   * Query: ?status=open|dismissed|all (default open)
+   */
+  async listFlags(req, res) {
+    const status = req.query.status ? String(req.query.status).toLowerCase() : 'open';
+    if (!FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${FLAG_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const flags = await sharingService.listFlags({ status });
+      res.json({ success: true, policy: config.keySharing.policy, flags });
+    } catch (error) {
+      logger.error('Error listing suspicious keys', error);
+      res.status(500).json({ success: false, message: 'Unable to list suspicious keys' });
+    }
+  }
+
+  /**
+   * Dismiss a flag as a false positive and undo its throttle or suspension
+   */
+  async dismissFlag(req, res) {
+    const id = parseFlagId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid flag id' });
+    }
+
+    try {
+      const result = await sharingService.dismissFlag(id, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, flag: result.flag });
+    } catch (error) {
+      logger.error('Error dismissing suspicious key flag', error);
+      res.status(500).json({ success: false, message: 'Unable to dismiss flag' });
+    }
+  }
+}
+
+module.exports = new SharingController();
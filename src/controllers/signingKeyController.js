@@ -0,0 +1,60 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const signingKeyService = require('../services/signingKeyService');
+
+const logger = new Logger(config.logging.level);
+
+function parseSigningKeyId(value) {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+class SigningKeyController {
+  async listSigningKeys(req, res) {
+    try {
+      const signingKeys = await signingKeyService.listSigningKeys();
+      res.json({ success: true, signing_keys: signingKeys });
+    } catch (error) {
+      logger.error('Error listing signing keys', error);
+      res.status(500).json({ success: false, message: 'Unable to list signing keys' });
+    }
+  }
+
+  /**
+   * Rotate: the new key signs from now on, older active keys keep verifying until retired
+   */
+  async createSigningKey(req, res) {
+    try {
+      const result = await signingKeyService.createSigningKey(req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.status(201).json({ success: true, signing_key: result.signingKey });
+    } catch (error) {
+      logger.error('Error creating signing key', error);
+      res.status(500).json({ success: false, message: 'Unable to create signing key' });
+    }
+  }
+
+  async retireSigningKey(req, res) {
+    const id = parseSigningKeyId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid signing key id' });
+    }
+
+    try {
+      const result = await signingKeyService.retireSigningKey(id, req.adminUser?.id || null);
+      if (result.error) {
+        return res.status(result.code).json({ success: false, message: result.error });
+      }
+
+      res.json({ success: true, signing_key: result.signingKey });
+    } catch (error) {
+      logger.error('Error retiring signing key', error);
+      res.status(500).json({ success: false, message: 'Unable to retire signing key' });
+    }
+  }
+}
+
+module.exports = new SigningKeyController();
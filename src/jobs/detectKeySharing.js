@@ -0,0 +1,10 @@
+const sharingService = require('../services/sharingService');
+
+module.exports = {
+  name: 'detect-key-sharing',
+  description: 'Flag keys used from too many addresses, networks or countries and apply KEY_SHARING_POLICY',
+
+  async run() {
+    return sharingService.detectKeySharing();
+  }
+};
@@ -0,0 +1,11 @@
+const keyService = require('../services/keyService');
+
+module.exports = {
+  name: 'expire-keys',
+  description: 'Move active keys past their expiry to EXPIRED',
+
+  async run() {
+    const expiredKeys = await keyService.expireOverdueKeys();
+    return { expired_keys: expiredKeys };
+  }
+};
@@ -0,0 +1,94 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+const expireKeys = require('./expireKeys');
+const rollupMetrics = require('./rollupMetrics');
+const detectKeySharing = require('./detectKeySharing');
+const purgeAdminSessions = require('./purgeAdminSessions');
+const purgeRateLimits = require('./purgeRateLimits');
+const purgeUsageEvents = require('./purgeUsageEvents');
+const purgeJobRuns = require('./purgeJobRuns');
+
+const logger = new Logger(config.logging.level);
+
+// Registered jobs, executed in this order by runAllJobs
+const JOBS = [
+  expireKeys,
+  rollupMetrics,
+  detectKeySharing,
+  purgeAdminSessions,
+  purgeRateLimits,
+  purgeUsageEvents,
+  purgeJobRuns
+];
+
+function listJobs() {
+  return JOBS.map(({ name, description }) => ({ name, description }));
+}
+
+function getJob(name) {
+  return JOBS.find((job) => job.name === name) || null;
+}
+
+/**
+ * Run a single job and record the outcome in JobRun
+ * @param {string} name - Job name
+ * @param {Object} options
+ * @param {string} options.trigger - What started the run ('timer' | 'http' | ...)
+ * @returns {Promise<Object>} Run summary
+ */
+async function runJob(name, { trigger = 'manual' } = {}) {
+  const job = getJob(name);
+  if (!job) {
+    return { job: name, status: 'unknown', error: 'Job not found' };
+  }
+
+  const run = await prisma.jobRun.create({
+    data: { job: job.name, trigger }
+  });
+
+  try {
+    const result = await job.run();
+    await prisma.jobRun.update({
+      where: { id: run.id },
+      data: { status: 'SUCCEEDED', finishedAt: new Date(), result }
+    });
+
+    logger.debug('Job finished', { job: job.name, trigger, result });
+    return { job: job.name, run_id: run.id, status: 'succeeded', result };
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+    await prisma.jobRun.update({
+      where: { id: run.id },
+      data: { status: 'FAILED', finishedAt: new Date(), error: error.message }
+    }).catch(() => {});
+
+    return { job: job.name, run_id: run.id, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Run every registered job sequentially
+ */
+async function runAllJobs({ trigger = 'manual' } = {}) {
+  const results = [];
+  for (const job of JOBS) {
+    results.push(await runJob(job.name, { trigger }));
+  }
+  return results;
+}
+
+async function getRecentRuns(limit = 50) {
+  return prisma.jobRun.findMany({
+    orderBy: { startedAt: 'desc' },
+    take: limit
+  });
+}
+
+module.exports = {
+  listJobs,
+  getJob,
+  runJob,
+  runAllJobs,
+  getRecentRuns
+};
@@ -0,0 +1,11 @@
+const adminService = require('../services/adminService');
+
+module.exports = {
+  name: 'purge-admin-sessions',
+  description: 'Delete expired and revoked admin sessions',
+
+  async run() {
+    const deletedSessions = await adminService.purgeStaleSessions();
+    return { deleted_sessions: deletedSessions };
+  }
+};
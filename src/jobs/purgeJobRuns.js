@@ -0,0 +1,11 @@
+const jobRunService = require('../services/jobRunService');
+
+module.exports = {
+  name: 'purge-job-runs',
+  description: 'Delete job run records older than the retention period',
+
+  async run() {
+    const deletedRuns = await jobRunService.purgeOldJobRuns();
+    return { deleted_runs: deletedRuns };
+  }
+};
@@ -0,0 +1,11 @@
+const rateLimitService = require('../services/rateLimitService');
+
+module.exports = {
+  name: 'purge-rate-limits',
+  description: 'Delete per-key rate limit buckets whose window is over',
+
+  async run() {
+    const deletedBuckets = await rateLimitService.purgeExpiredBuckets();
+    return { deleted_buckets: deletedBuckets };
+  }
+};
@@ -0,0 +1,11 @@
+const usageService = require('../services/usageService');
+
+module.exports = {
+  name: 'purge-usage-events',
+  description: 'Delete key usage events older than the retention period',
+
+  async run() {
+    const deletedEvents = await usageService.purgeOldUsageEvents();
+    return { deleted_events: deletedEvents };
+  }
+};
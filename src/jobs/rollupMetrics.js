@@ -0,0 +1,10 @@
+const analyticsService = require('../services/analyticsService');
+
+module.exports = {
+  name: 'rollup-metrics',
+  description: 'Roll keys created, validations, unique users and expirations up into hourly buckets',
+
+  async run() {
+    return analyticsService.rollupMetrics();
+  }
+};
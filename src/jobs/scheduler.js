@@ -0,0 +1,51 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const { runAllJobs } = require('./index');
+
+const logger = new Logger(config.logging.level);
+
+/**
+ * In-process timer for long-running deployments (npm start).
+ * Serverless deployments trigger the same jobs through /internal/jobs/run.
+ */
+class JobScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMinutes = config.jobs.intervalMinutes) {
+    if (this.timer) return;
+
+    const intervalMs = intervalMinutes * 60 * 1000;
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    // Do not keep the process alive just for the timer
+    this.timer.unref();
+
+    logger.info(`Job scheduler started (every ${intervalMinutes} min)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Job scheduler stopped');
+  }
+
+  async tick() {
+    // Skip overlapping runs if a previous tick is still in progress
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await runAllJobs({ trigger: 'timer' });
+    } catch (error) {
+      logger.error('Scheduled job run failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new JobScheduler();
@@ -56,7 +56,9 @@ function requestLogger(req, res, next) {
       url: req.url,
       status: res.statusCode,
       duration: `${duration}ms`,
-      ip: getClientIp(req)
+      ip: getClientIp(req),
+      // Set by handlers that refused the request because of a ban
+      ...(res.locals.ban ? { ban: res.locals.ban } : {})
     });
   });
 
@@ -0,0 +1,43 @@
+const Logger = require('../utils/logger');
+const config = require('../config');
+const { getClientIp } = require('../utils/keyUtils');
+const { safeCompare } = require('../utils/security');
+
+const logger = new Logger(config.logging.level);
+
+/**
+ * Protect internal endpoints (cron triggers) with a shared secret.
+ * Accepts `Authorization: Bearer <CRON_SECRET>` (sent by Vercel Cron) or `X-Cron-Secret`.
+ * When CRON_SECRET is not configured the endpoints behave as if they did not exist.
+ */
+function requireCronSecret(req, res, next) {
+  const secret = config.jobs.cronSecret;
+  if (!secret) {
+    return res.status(404).json({
+      error: 'Endpoint not found',
+      code: 404
+    });
+  }
+
+  const authorization = req.headers.authorization || '';
+  const provided = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.headers['x-cron-secret'];
+
+  if (!safeCompare(provided, secret)) {
+    logger.warn('Rejected internal request with invalid secret', {
+      url: req.url,
+      ip: getClientIp(req)
+    });
+    return res.status(401).json({
+      error: 'Invalid or missing secret',
+      code: 401
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireCronSecret
+};
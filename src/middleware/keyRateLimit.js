@@ -0,0 +1,89 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const keyService = require('../services/keyService');
+const rateLimitService = require('../services/rateLimitService');
+const { parseAccessKey, hashKeySecret } = require('../utils/keyUtils');
+const Logger = require('../utils/logger');
+
+const logger = new Logger(config.logging.level);
+
+/**
+ * express-rate-limit store backed by the RateLimitBucket table, so every
+ * instance (and every cold start) sees the same counters.
+ */
+class DatabaseStore {
+  constructor() {
+    this.prefix = 'key:';
+    this.localKeys = false;
+    this.windowMs = config.keyRateLimit.windowMs;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const bucket = await rateLimitService.getBucket(this.prefix + key);
+    return bucket ? { totalHits: bucket.hits, resetTime: bucket.resetAt } : undefined;
+  }
+
+  async increment(key) {
+    const { hits, resetAt } = await rateLimitService.hit(this.prefix + key, this.windowMs);
+    return { totalHits: hits, resetTime: resetAt };
+  }
+
+  async decrement(key) {
+    await rateLimitService.undoHit(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await rateLimitService.resetBucket(this.prefix + key);
+  }
+}
+
+/**
+ * Requests allowed per window for the key in the URL: its own limit when set,
+ * otherwise the default
+ */
+async function resolveKeyLimit(req) {
+  const keyLimit = await keyService.getKeyRateLimit(parseAccessKey(req.params.keyId).keyId);
+  return keyLimit ?? config.keyRateLimit.max;
+}
+
+/**
+ * Bucket of the key in the URL: a hash of the full key, so secrets never reach the
+ * bucket table and guesses at a known key ID can't use up the real key's budget
+ */
+function keyBucket(req) {
+  const { keyId, secret } = parseAccessKey(req.params.keyId);
+  return hashKeySecret(secret ? req.params.keyId : keyId);
+}
+
+/**
+ * Rate limiter keyed by keyId, for the endpoints that validate a key
+ * (`/api/keys/validate/:keyId` and `/bind/:keyId.js` share the same budget).
+ * Complements the global per-IP limiter: a shared key is throttled no matter
+ * how many IPs it is used from.
+ */
+const keyRateLimiter = rateLimit({
+  windowMs: config.keyRateLimit.windowMs,
+  limit: resolveKeyLimit,
+  keyGenerator: keyBucket,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  store: new DatabaseStore(),
+  // A database hiccup should not take validation down with it
+  passOnStoreError: true,
+  skip: () => !config.keyRateLimit.enabled,
+  handler: (req, res, next, options) => {
+    logger.warn('Key rate limit exceeded', { keyId: parseAccessKey(req.params.keyId).keyId, path: req.path });
+    res.status(options.statusCode).json({
+      error: 'Too many validation requests for this key, try again later',
+      code: options.statusCode
+    });
+  }
+});
+
+module.exports = {
+  keyRateLimiter
+};
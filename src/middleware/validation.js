@@ -1,49 +1,391 @@
-const { sanitizeInput, isValidUUID } = require('../utils/keyUtils');
+const { sanitizeInput, parseAccessKey, normalizeCidr, normalizeRedeemCode } = require('../utils/keyUtils');
 const config = require('../config');
 
+// Scopes look like `api:read` or `bot:premium`: lowercase segments separated by colons
+const SCOPE_PATTERN = /^[a-z0-9][a-z0-9_.-]*(:[a-z0-9_.-]+)*$/;
+const MAX_SCOPES = 32;
+const MAX_SCOPE_LENGTH = 64;
+
 /**
- * Validation middleware for creating keys
+ * Normalize a scope list given as an array and/or comma separated strings
+ * @returns {Object} { scopes } (deduplicated, lowercase) or { error }
  */
-function validateCreateKey(req, res, next) {
-  const { user_id, hours } = req.body;
+function normalizeScopes(value) {
+  if (value === undefined || value === null) {
+    return { scopes: [] };
+  }
+
+  const items = Array.isArray(value) ? value : [value];
+  if (items.some((item) => typeof item !== 'string')) {
+    return { error: 'scopes must be a list of strings' };
+  }
+
+  const scopes = [...new Set(items
+    .flatMap((item) => item.split(','))
+    .map((scope) => scope.trim().toLowerCase())
+    .filter(Boolean))];
+
+  if (scopes.length > MAX_SCOPES) {
+    return { error: `A key can have at most ${MAX_SCOPES} scopes` };
+  }
+
+  const invalid = scopes.find((scope) => scope.length > MAX_SCOPE_LENGTH || !SCOPE_PATTERN.test(scope));
+  if (invalid) {
+    return { error: `Invalid scope "${invalid}" (use letters, digits, "_", "." or "-" in colon separated segments)` };
+  }
+
+  return { scopes };
+}
+
+// Plan and product slugs: lowercase letters, digits, "_" or "-"
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Largest value a Postgres INTEGER column holds
+const MAX_QUOTA_VALUE = 2147483647;
+const QUOTA_PERIODS = ['day', 'month'];
+
+/**
+ * Normalize the optional usage limits of a key
+ * @returns {Object} { max_uses, quota_limit, quota_period } (null when unset) or { error }
+ */
+function normalizeQuota({ max_uses, quota_limit, quota_period } = {}) {
+  const quota = { max_uses: null, quota_limit: null, quota_period: null };
+
+  if (max_uses !== undefined && max_uses !== null) {
+    quota.max_uses = parseInt(max_uses);
+    if (isNaN(quota.max_uses) || quota.max_uses <= 0 || quota.max_uses > MAX_QUOTA_VALUE) {
+      return { error: 'max_uses must be a positive number' };
+    }
+  }
+
+  if (quota_limit !== undefined && quota_limit !== null) {
+    quota.quota_limit = parseInt(quota_limit);
+    if (isNaN(quota.quota_limit) || quota.quota_limit <= 0 || quota.quota_limit > MAX_QUOTA_VALUE) {
+      return { error: 'quota_limit must be a positive number' };
+    }
+
+    if (!QUOTA_PERIODS.includes(quota_period)) {
+      return { error: `quota_period must be one of: ${QUOTA_PERIODS.join(', ')}` };
+    }
+    quota.quota_period = quota_period;
+  } else if (quota_period !== undefined && quota_period !== null) {
+    return { error: 'quota_period requires quota_limit' };
+  }
+
+  return quota;
+}
+
+const MAX_DEVICES = 1000;
+
+/**
+ * Normalize the device seat limit of a key
+ * @returns {Object} { max_devices } (null when unlimited) or { error }
+ */
+function normalizeMaxDevices(value) {
+  if (value === undefined || value === null || value === '') {
+    return { max_devices: null };
+  }
+
+  const maxDevices = parseInt(value);
+  if (isNaN(maxDevices) || maxDevices <= 0 || maxDevices > MAX_DEVICES) {
+    return { error: `max_devices must be a number between 1 and ${MAX_DEVICES}` };
+  }
+
+  return { max_devices: maxDevices };
+}
+
+const MAX_GRACE_PERIOD_MINUTES = 30 * 24 * 60;
+
+/**
+ * Normalize a grace period override (plan or key)
+ * Zero disables the grace period; null falls back to the next level.
+ * @returns {Object} { grace_period_minutes } or { error }
+ */
+function normalizeGracePeriod(value) {
+  if (value === undefined || value === null || value === '') {
+    return { grace_period_minutes: null };
+  }
+
+  const minutes = parseInt(value);
+  if (isNaN(minutes) || minutes < 0 || minutes > MAX_GRACE_PERIOD_MINUTES) {
+    return { error: `grace_period_minutes must be a number between 0 and ${MAX_GRACE_PERIOD_MINUTES}` };
+  }
+
+  return { grace_period_minutes: minutes };
+}
+
+// Device fingerprints are opaque client-chosen identifiers (hashes, UUIDs, serials)
+const DEVICE_FINGERPRINT_PATTERN = /^[A-Za-z0-9._:+/=-]{4,128}$/;
+
+const IP_BINDING_MODES = ['none', 'creation', 'first_use', 'cidr'];
+const MAX_ALLOWED_CIDRS = 32;
+
+/**
+ * Normalize the IP binding of a key
+ * `cidr` needs a non-empty allowed_cidrs list (IPv4/IPv6 addresses or blocks),
+ * which the other modes don't take.
+ * @returns {Object} { ip_binding, allowed_cidrs } or { error }
+ */
+function normalizeIpBinding({ ip_binding, allowed_cidrs } = {}) {
+  const mode = ip_binding === undefined || ip_binding === null || ip_binding === ''
+    ? 'none'
+    : String(ip_binding).trim().toLowerCase();
+
+  if (!IP_BINDING_MODES.includes(mode)) {
+    return { error: `ip_binding must be one of: ${IP_BINDING_MODES.join(', ')}` };
+  }
+
+  if (mode !== 'cidr') {
+    if (allowed_cidrs !== undefined && allowed_cidrs !== null && [].concat(allowed_cidrs).length > 0) {
+      return { error: 'allowed_cidrs requires ip_binding "cidr"' };
+    }
+    return { ip_binding: mode, allowed_cidrs: [] };
+  }
 
+  const items = allowed_cidrs === undefined || allowed_cidrs === null ? [] : [].concat(allowed_cidrs);
+  if (items.some((item) => typeof item !== 'string')) {
+    return { error: 'allowed_cidrs must be a list of IP addresses or CIDR blocks' };
+  }
+
+  const entries = items.flatMap((item) => item.split(',')).map((item) => item.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    return { error: 'ip_binding "cidr" requires allowed_cidrs' };
+  }
+
+  if (entries.length > MAX_ALLOWED_CIDRS) {
+    return { error: `A key can have at most ${MAX_ALLOWED_CIDRS} allowed CIDRs` };
+  }
+
+  const cidrs = [];
+  for (const entry of entries) {
+    const cidr = normalizeCidr(entry);
+    if (!cidr) {
+      return { error: `Invalid CIDR "${entry}"` };
+    }
+    if (!cidrs.includes(cidr)) {
+      cidrs.push(cidr);
+    }
+  }
+
+  return { ip_binding: mode, allowed_cidrs: cidrs };
+}
+
+const ACTIVATION_MODES = ['immediate', 'first_use'];
+
+/**
+ * Normalize the activation of a key
+ * `first_use` keys start their clock on the first validation or bind, optionally
+ * before an activate_by deadline, which the immediate mode doesn't take.
+ * @returns {Object} { activation, activate_by } (activate_by is a Date or null) or { error }
+ */
+function normalizeActivation({ activation, activate_by } = {}) {
+  const mode = activation === undefined || activation === null || activation === ''
+    ? 'immediate'
+    : String(activation).trim().toLowerCase();
+
+  if (!ACTIVATION_MODES.includes(mode)) {
+    return { error: `activation must be one of: ${ACTIVATION_MODES.join(', ')}` };
+  }
+
+  if (activate_by === undefined || activate_by === null || activate_by === '') {
+    return { activation: mode, activate_by: null };
+  }
+
+  if (mode !== 'first_use') {
+    return { error: 'activate_by requires activation "first_use"' };
+  }
+
+  const deadline = new Date(activate_by);
+  if (typeof activate_by !== 'string' || Number.isNaN(deadline.getTime())) {
+    return { error: 'activate_by must be a valid date' };
+  }
+
+  if (deadline <= new Date()) {
+    return { error: 'activate_by must be in the future' };
+  }
+
+  return { activation: mode, activate_by: deadline };
+}
+
+/**
+ * Normalize the optional time a scheduled key starts working
+ * @returns {Object} { starts_at } (a Date or null) or { error }
+ */
+function normalizeStartsAt(starts_at) {
+  if (starts_at === undefined || starts_at === null || starts_at === '') {
+    return { starts_at: null };
+  }
+
+  const startsAt = new Date(starts_at);
+  if (typeof starts_at !== 'string' || Number.isNaN(startsAt.getTime())) {
+    return { error: 'starts_at must be a valid date' };
+  }
+
+  if (startsAt <= new Date()) {
+    return { error: 'starts_at must be in the future' };
+  }
+
+  return { starts_at: startsAt };
+}
+
+/**
+ * Normalize an optional slug parameter
+ * @returns {Object} { slug } (undefined when empty) or { error }
+ */
+function normalizeSlug(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return { slug: undefined };
+  }
+
+  const slug = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!SLUG_PATTERN.test(slug)) {
+    return { error: `${field} must be a ${field} slug (letters, digits, "_" or "-")` };
+  }
+
+  return { slug };
+}
+
+/**
+ * Apply the key creation rules to a single create input
+ * Shared by validateCreateKey and bulk issuance. Hours are checked against
+ * the plan's maximum (and defaulted) by keyService.createKey.
+ * Lifetime keys never expire, so they take no hours; only admins may issue them.
+ * Scopes grant permissions, so only admins may set them as well.
+ * @param {Object} input
+ * @param {Object} options
+ * @param {boolean} [options.allowLifetime]
+ * @param {boolean} [options.allowScopes]
+ * @returns {Object} { user_id, hours, product, plan, scopes, max_uses, quota_limit, quota_period, ip_binding, allowed_cidrs, max_devices, activation, activate_by, starts_at, lifetime } or { error }
+ */
+function normalizeCreateKeyInput({ user_id, hours, product, plan, scopes, ip_binding, allowed_cidrs, max_devices, activation, activate_by, starts_at, lifetime, ...limits } = {}, { allowLifetime = false, allowScopes = false } = {}) {
   // Validate user_id
   if (!user_id) {
-    return res.status(400).json({
-      error: 'user_id is required',
-      code: 400
-    });
+    return { error: 'user_id is required' };
   }
 
   if (typeof user_id !== 'string' || user_id.trim().length === 0) {
-    return res.status(400).json({
-      error: 'user_id must be a non-empty string',
-      code: 400
-    });
+    return { error: 'user_id must be a non-empty string' };
   }
 
-  // Sanitize user_id
-  req.body.user_id = sanitizeInput(user_id);
-
   // Validate hours if provided
+  let hoursNum;
   if (hours !== undefined) {
-    const hoursNum = parseInt(hours);
-    if (isNaN(hoursNum) || hoursNum <= 0 || hoursNum > config.keys.maxHours) {
-      return res.status(400).json({
-        error: `hours must be a positive number between 1 and ${config.keys.maxHours}`,
-        code: 400
-      });
+    hoursNum = parseInt(hours);
+    if (isNaN(hoursNum) || hoursNum <= 0 || hoursNum > MAX_QUOTA_VALUE) {
+      return { error: 'hours must be a positive number' };
     }
-    req.body.hours = hoursNum;
-  } else {
-    req.body.hours = config.keys.defaultHours;
   }
 
+  const productInput = normalizeSlug(product, 'product');
+  if (productInput.error) {
+    return { error: productInput.error };
+  }
+
+  const planInput = normalizeSlug(plan, 'plan');
+  if (planInput.error) {
+    return { error: planInput.error };
+  }
+
+  if (scopes !== undefined && scopes !== null && !allowScopes) {
+    return { error: 'scopes can only be set by admins' };
+  }
+
+  const scopeInput = normalizeScopes(scopes);
+  if (scopeInput.error) {
+    return { error: scopeInput.error };
+  }
+
+  const quota = normalizeQuota(limits);
+  if (quota.error) {
+    return { error: quota.error };
+  }
+
+  const binding = normalizeIpBinding({ ip_binding, allowed_cidrs });
+  if (binding.error) {
+    return { error: binding.error };
+  }
+
+  const devices = normalizeMaxDevices(max_devices);
+  if (devices.error) {
+    return { error: devices.error };
+  }
+
+  const activationInput = normalizeActivation({ activation, activate_by });
+  if (activationInput.error) {
+    return { error: activationInput.error };
+  }
+
+  const schedule = normalizeStartsAt(starts_at);
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+
+  if (schedule.starts_at && activationInput.activate_by && activationInput.activate_by <= schedule.starts_at) {
+    return { error: 'activate_by must be after starts_at' };
+  }
+
+  const isLifetime = lifetime === true || lifetime === 'true';
+  if (isLifetime) {
+    if (!allowLifetime) {
+      return { error: 'lifetime keys can only be issued by admins' };
+    }
+
+    if (hoursNum !== undefined) {
+      return { error: 'hours cannot be combined with lifetime' };
+    }
+
+    if (activationInput.activation === 'first_use') {
+      return { error: 'lifetime keys cannot use activation "first_use"' };
+    }
+  }
+
+  return {
+    user_id: sanitizeInput(user_id),
+    hours: hoursNum,
+    product: productInput.slug,
+    plan: planInput.slug,
+    scopes: scopeInput.scopes,
+    ...quota,
+    ...binding,
+    ...devices,
+    ...activationInput,
+    ...schedule,
+    lifetime: isLifetime
+  };
+}
+
+/**
+ * Validation middleware for creating keys
+ */
+function validateCreateKey(req, res, next) {
+  const input = normalizeCreateKeyInput(req.body);
+
+  if (input.error) {
+    return res.status(400).json({
+      error: input.error,
+      code: 400
+    });
+  }
+
+  req.body.user_id = input.user_id;
+  req.body.hours = input.hours;
+  req.body.product = input.product;
+  req.body.plan = input.plan;
+  req.body.max_uses = input.max_uses;
+  req.body.quota_limit = input.quota_limit;
+  req.body.quota_period = input.quota_period;
+  req.body.ip_binding = input.ip_binding;
+  req.body.allowed_cidrs = input.allowed_cidrs;
+  req.body.max_devices = input.max_devices;
+  req.body.activation = input.activation;
+  req.body.activate_by = input.activate_by;
+  req.body.starts_at = input.starts_at;
+
   next();
 }
 
 /**
- * Validation middleware for key ID parameters
+ * Validation middleware for key parameters: a full `kbn_live_…` key or a legacy UUID key
  */
 function validateKeyId(req, res, next) {
   const { keyId } = req.params;
@@ -55,7 +397,7 @@ function validateKeyId(req, res, next) {
     });
   }
 
-  if (!isValidUUID(keyId)) {
+  if (!parseAccessKey(keyId)) {
     return res.status(400).json({
       error: 'Invalid keyId format',
       code: 400
@@ -91,9 +433,127 @@ function validateUserId(req, res, next) {
   next();
 }
 
+/**
+ * Validation middleware for the `scope` query (repeatable or comma separated)
+ * Exposes the normalized list as req.requiredScopes.
+ */
+function validateScopeQuery(req, res, next) {
+  const input = normalizeScopes(req.query.scope);
+
+  if (input.error) {
+    return res.status(400).json({
+      error: input.error,
+      code: 400
+    });
+  }
+
+  req.requiredScopes = input.scopes;
+  next();
+}
+
+/**
+ * Validation middleware for the optional `product` query
+ * Exposes the normalized slug as req.productSlug.
+ */
+function validateProductQuery(req, res, next) {
+  const input = normalizeSlug(req.query.product, 'product');
+
+  if (input.error) {
+    return res.status(400).json({
+      error: input.error,
+      code: 400
+    });
+  }
+
+  req.productSlug = input.slug;
+  next();
+}
+
+/**
+ * Validation middleware for the device fingerprint of validate and bind requests
+ * Read from the X-Device-Fingerprint header, or the `device` query where headers
+ * can't be set (the bind script tag). Exposes it as req.deviceFingerprint.
+ */
+function validateDeviceFingerprint(req, res, next) {
+  const value = req.get('X-Device-Fingerprint') ?? req.query.device;
+
+  if (value === undefined || value === '') {
+    req.deviceFingerprint = null;
+    return next();
+  }
+
+  if (typeof value !== 'string' || !DEVICE_FINGERPRINT_PATTERN.test(value.trim())) {
+    return res.status(400).json({
+      error: 'Device fingerprint must have 4-128 letters, digits or ".", "_", ":", "+", "/", "=", "-"',
+      code: 400
+    });
+  }
+
+  req.deviceFingerprint = value.trim();
+  next();
+}
+
+/**
+ * Validation middleware for redeeming a code
+ * Exposes the normalized code as req.body.code.
+ */
+function validateRedeemCode(req, res, next) {
+  const { code, user_id } = req.body || {};
+
+  const normalizedCode = normalizeRedeemCode(code);
+  if (!normalizedCode) {
+    return res.status(400).json({
+      error: 'code must be a 16 character redeem code like XXXX-XXXX-XXXX-XXXX',
+      code: 400
+    });
+  }
+
+  if (typeof user_id !== 'string' || user_id.trim().length === 0) {
+    return res.status(400).json({
+      error: 'user_id must be a non-empty string',
+      code: 400
+    });
+  }
+
+  req.body.code = normalizedCode;
+  req.body.user_id = sanitizeInput(user_id);
+  next();
+}
+
+/**
+ * Validation middleware for key rotation
+ */
+function validateRotateKey(req, res, next) {
+  const { overlap_minutes } = req.body || {};
+
+  if (overlap_minutes !== undefined) {
+    const minutes = parseInt(overlap_minutes);
+    if (isNaN(minutes) || minutes < 0 || minutes > config.keys.maxRotationOverlapMinutes) {
+      return res.status(400).json({
+        error: `overlap_minutes must be a number between 0 and ${config.keys.maxRotationOverlapMinutes}`,
+        code: 400
+      });
+    }
+    req.body.overlap_minutes = minutes;
+  }
+
+  next();
+}
 
 module.exports = {
+  normalizeCreateKeyInput,
+  normalizeScopes,
+  normalizeQuota,
+  normalizeIpBinding,
+  normalizeMaxDevices,
+  normalizeGracePeriod,
+  SLUG_PATTERN,
   validateCreateKey,
   validateKeyId,
-  validateUserId
+  validateUserId,
+  validateRotateKey,
+  validateRedeemCode,
+  validateScopeQuery,
+  validateProductQuery,
+  validateDeviceFingerprint
 };
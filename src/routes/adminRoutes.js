@@ -1,5 +1,14 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
+const adminKeyController = require('../controllers/adminKeyController');
+const banController = require('../controllers/banController');
+const endUserController = require('../controllers/endUserController');
+const jobController = require('../controllers/jobController');
+const planController = require('../controllers/planController');
+const productController = require('../controllers/productController');
+const redeemController = require('../controllers/redeemController');
+const sharingController = require('../controllers/sharingController');
+const signingKeyController = require('../controllers/signingKeyController');
 const adminAuth = require('../middleware/adminAuth');
 
 const router = express.Router();
@@ -51,13 +60,55 @@ router.get('/', adminController.getAdminDashboard.bind(adminController));
 
 // Admin API endpoints
 router.get('/api/stats', adminController.getAdminStats.bind(adminController));
+router.get('/api/analytics', adminController.getAnalytics.bind(adminController));
 router.get('/api/session', adminAuth.getSessionInfo.bind(adminAuth));
 router.get('/api/sessions', adminAuth.getActiveSessions.bind(adminAuth));
 router.delete('/api/sessions', adminAuth.clearAllSessions.bind(adminAuth));
+router.get('/api/jobs', jobController.listRuns.bind(jobController));
 router.get('/api/admins', adminController.listAdmins.bind(adminController));
 router.get('/api/admins/:id', adminController.getAdmin.bind(adminController));
 router.post('/api/admins', adminController.createAdmin.bind(adminController));
 router.patch('/api/admins/:id', adminController.updateAdmin.bind(adminController));
 router.delete('/api/admins/:id', adminController.deleteAdmin.bind(adminController));
+router.get('/api/plans', planController.listPlans.bind(planController));
+router.post('/api/plans', planController.createPlan.bind(planController));
+router.patch('/api/plans/:id', planController.updatePlan.bind(planController));
+router.delete('/api/plans/:id', planController.deletePlan.bind(planController));
+router.get('/api/products', productController.listProducts.bind(productController));
+router.post('/api/products', productController.createProduct.bind(productController));
+router.patch('/api/products/:id', productController.updateProduct.bind(productController));
+router.delete('/api/products/:id', productController.deleteProduct.bind(productController));
+router.get('/api/redeem-batches', redeemController.listBatches.bind(redeemController));
+router.post('/api/redeem-batches', redeemController.createBatch.bind(redeemController));
+router.get('/api/redeem-batches/:id/codes', redeemController.getBatchCodes.bind(redeemController));
+router.get('/api/users', endUserController.listUsers.bind(endUserController));
+router.get('/api/users/:userId', endUserController.getUser.bind(endUserController));
+router.patch('/api/users/:userId', endUserController.updateUser.bind(endUserController));
+router.get('/api/bans', banController.listBans.bind(banController));
+router.post('/api/bans', banController.createBan.bind(banController));
+router.delete('/api/bans/:id', banController.deleteBan.bind(banController));
+router.get('/api/suspicious-keys', sharingController.listFlags.bind(sharingController));
+router.post('/api/suspicious-keys/:id/dismiss', sharingController.dismissFlag.bind(sharingController));
+router.get('/api/signing-keys', signingKeyController.listSigningKeys.bind(signingKeyController));
+router.post('/api/signing-keys', signingKeyController.createSigningKey.bind(signingKeyController));
+router.post('/api/signing-keys/:id/retire', signingKeyController.retireSigningKey.bind(signingKeyController));
+router.post('/api/keys/bulk', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), adminKeyController.bulkCreateKeys.bind(adminKeyController));
+router.get('/api/keys/:keyId', adminKeyController.getKey.bind(adminKeyController));
+router.delete('/api/keys/:keyId', adminKeyController.deleteKey.bind(adminKeyController));
+router.post('/api/keys/:keyId/revoke', adminKeyController.revokeKey.bind(adminKeyController));
+router.post('/api/keys/:keyId/unrevoke', adminKeyController.unrevokeKey.bind(adminKeyController));
+router.post('/api/keys/:keyId/suspend', adminKeyController.suspendKey.bind(adminKeyController));
+router.post('/api/keys/:keyId/resume', adminKeyController.resumeKey.bind(adminKeyController));
+router.patch('/api/keys/:keyId/expiry', adminKeyController.updateKeyExpiry.bind(adminKeyController));
+router.patch('/api/keys/:keyId/scopes', adminKeyController.updateKeyScopes.bind(adminKeyController));
+router.patch('/api/keys/:keyId/rate-limit', adminKeyController.updateKeyRateLimit.bind(adminKeyController));
+router.patch('/api/keys/:keyId/ip-binding', adminKeyController.updateKeyIpBinding.bind(adminKeyController));
+router.post('/api/keys/:keyId/ip-binding/reset', adminKeyController.resetIpBinding.bind(adminKeyController));
+router.get('/api/keys/:keyId/devices', adminKeyController.listKeyDevices.bind(adminKeyController));
+router.delete('/api/keys/:keyId/devices/:deviceId', adminKeyController.releaseKeyDevice.bind(adminKeyController));
+router.patch('/api/keys/:keyId/max-devices', adminKeyController.updateKeyMaxDevices.bind(adminKeyController));
+router.patch('/api/keys/:keyId/grace-period', adminKeyController.updateKeyGracePeriod.bind(adminKeyController));
+router.get('/api/keys/:keyId/usage', adminKeyController.listKeyUsage.bind(adminKeyController));
+router.post('/api/keys/:keyId/rotate', adminKeyController.rotateKey.bind(adminKeyController));
 
 module.exports = router;
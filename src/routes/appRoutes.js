@@ -1,7 +1,8 @@
 const express = require('express');
 const appController = require('../controllers/appController');
 const keyController = require('../controllers/keyController');
-const { validateKeyId } = require('../middleware/validation');
+const { validateKeyId, validateDeviceFingerprint } = require('../middleware/validation');
+const { keyRateLimiter } = require('../middleware/keyRateLimit');
 
 const router = express.Router();
 
@@ -11,6 +12,9 @@ router.get('/health', appController.healthCheck.bind(appController));
 // Root endpoint
 router.get('/', appController.getApiInfo.bind(appController));
 
+// Public keys for offline license token verification
+router.get('/.well-known/jwks.json', appController.getJwks.bind(appController));
+
 // Show detected client IP (for debugging/verification)
 router.get('/ip', appController.getClientIp.bind(appController));
 
@@ -18,6 +22,6 @@ router.get('/ip', appController.getClientIp.bind(appController));
 router.get('/test/:keyId', appController.getTestPage.bind(appController));
 
 // Binding script endpoint
-router.get('/bind/:keyId.js', validateKeyId, keyController.generateBindingScript.bind(keyController));
+router.get('/bind/:keyId.js', validateKeyId, keyRateLimiter, validateDeviceFingerprint, keyController.generateBindingScript.bind(keyController));
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const { requireCronSecret } = require('../middleware/internalAuth');
+
+const router = express.Router();
+
+router.use(requireCronSecret);
+
+// Run all jobs (GET is what Vercel Cron sends)
+router.get('/jobs/run', jobController.runAll.bind(jobController));
+router.post('/jobs/run', jobController.runAll.bind(jobController));
+
+// Run a single job
+router.post('/jobs/:name/run', jobController.runOne.bind(jobController));
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const keyController = require('../controllers/keyController');
-const { validateCreateKey, validateKeyId, validateUserId } = require('../middleware/validation');
+const { keyRateLimiter } = require('../middleware/keyRateLimit');
+const { validateCreateKey, validateKeyId, validateUserId, validateRotateKey, validateRedeemCode, validateScopeQuery, validateProductQuery, validateDeviceFingerprint } = require('../middleware/validation');
 
 const router = express.Router();
 // Delete key
@@ -9,13 +10,22 @@ router.delete('/:keyId', validateKeyId, keyController.deleteKey.bind(keyControll
 // Create new key
 router.post('/create', validateCreateKey, keyController.createKey.bind(keyController));
 
+// Redeem a code minted by an admin for a new key
+router.post('/redeem', validateRedeemCode, keyController.redeemCode.bind(keyController));
+
+// Rotate key (the caller proves ownership by presenting the key)
+router.post('/:keyId/rotate', validateKeyId, validateRotateKey, keyController.rotateKey.bind(keyController));
+
 // Validate key
-router.get('/validate/:keyId', validateKeyId, keyController.validateKey.bind(keyController));
+router.get('/validate/:keyId', validateKeyId, keyRateLimiter, validateScopeQuery, validateProductQuery, validateDeviceFingerprint, keyController.validateKey.bind(keyController));
+
+// Exchange a valid key for a signed license token
+router.post('/:keyId/token', validateKeyId, keyRateLimiter, validateScopeQuery, validateProductQuery, validateDeviceFingerprint, keyController.issueLicenseToken.bind(keyController));
 
 // Get key information
 router.get('/info/:keyId', validateKeyId, keyController.getKeyInfo.bind(keyController));
 
 // Get all keys for a user
-router.get('/user/:userId', validateUserId, keyController.getUserKeys.bind(keyController));
+router.get('/user/:userId', validateUserId, validateProductQuery, keyController.getUserKeys.bind(keyController));
 
 module.exports = router;
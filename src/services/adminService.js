@@ -111,6 +111,10 @@ async function deleteAdmin(id) {
       where: { createdById: id },
       data: { createdById: null }
     });
+    await tx.accessKey.updateMany({
+      where: { revokedById: id },
+      data: { revokedById: null }
+    });
     await tx.adminUser.delete({ where: { id } });
   });
 
@@ -173,6 +177,23 @@ async function ensureDefaultAdmin() {
   return sanitizeAdmin(admin);
 }
 
+async function purgeStaleSessions(now = new Date()) {
+  const result = await prisma.adminSession.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lte: now } },
+        { revokedAt: { not: null } }
+      ]
+    }
+  });
+
+  if (result.count > 0) {
+    logger.info('Purged stale admin sessions', { count: result.count });
+  }
+
+  return result.count;
+}
+
 module.exports = {
   listAdmins,
   getAdminById,
@@ -184,5 +205,6 @@ module.exports = {
   validateCredentials,
   recordLogin,
   ensureDefaultAdmin,
+  purgeStaleSessions,
   sanitizeAdmin
 };
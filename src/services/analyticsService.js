@@ -0,0 +1,223 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+
+const logger = new Logger(config.logging.level);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bucket sizes of the series, with the range shown when none is asked for
+const INTERVALS = {
+  hour: { ms: HOUR_MS, defaultRangeMs: 48 * HOUR_MS },
+  day: { ms: 24 * HOUR_MS, defaultRangeMs: 30 * 24 * HOUR_MS },
+  week: { ms: 7 * 24 * HOUR_MS, defaultRangeMs: 12 * 7 * 24 * HOUR_MS }
+};
+
+// Longest series a single request can ask for
+const MAX_BUCKETS = 1000;
+
+// Advisory lock name serializing rollups
+const ROLLUP_LOCK = 'metrics_rollup';
+
+// Usage outcomes counted as successful validations
+const SUCCESS_OUTCOMES = ['valid', 'grace'];
+
+// Timestamps go in as ISO strings and are converted to UTC, matching how Prisma stores DateTime
+const toUtc = (date) => date.toISOString();
+
+const truncateToHour = (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+/**
+ * First hour the next rollup recomputes
+ * The hour before the newest rolled-up one is redone too, for events that landed
+ * after the previous run; an empty table is backfilled from the oldest key.
+ * @returns {Promise<Date|null>} null when there is nothing to roll up
+ */
+async function getRollupStart() {
+  const latest = await prisma.metricsRollup.aggregate({ _max: { bucketStart: true } });
+  if (latest._max.bucketStart) {
+    return new Date(latest._max.bucketStart.getTime() - HOUR_MS);
+  }
+
+  const oldest = await prisma.accessKey.aggregate({ _min: { createdAt: true } });
+  return oldest._min.createdAt ? truncateToHour(oldest._min.createdAt) : null;
+}
+
+/**
+ * Recompute the hourly rollups from the last rolled-up hour until now
+ * Keys created, validations and expirations come from AccessKey and KeyUsageEvent;
+ * validations of unknown keys have no product and are left out.
+ * @param {Date} now
+ * @returns {Promise<Object>} { from, buckets, active_users }
+ */
+async function rollupMetrics(now = new Date()) {
+  const from = await getRollupStart();
+  if (!from || from >= now) {
+    return { from: null, buckets: 0, active_users: 0 };
+  }
+
+  // The timer and /internal/jobs/run can overlap: a second run waits for the first to
+  // commit, then deletes and recomputes the same hours instead of adding to them
+  const [, , , buckets, activeUsers] = await prisma.$transaction([
+    prisma.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${ROLLUP_LOCK}))`,
+    prisma.$executeRaw`
+      DELETE FROM "MetricsRollup"
+      WHERE "bucket_start" >= CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'
+    `,
+    prisma.$executeRaw`
+      DELETE FROM "UserActivityRollup"
+      WHERE "bucket_start" >= CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'
+    `,
+    prisma.$executeRaw`
+      INSERT INTO "MetricsRollup" ("bucket_start", "product_id", "keys_created", "validations", "failed_validations", "expirations")
+      SELECT "bucket", "product_id", SUM("created"), SUM("validated"), SUM("failed"), SUM("expired")
+      FROM (
+        SELECT date_trunc('hour', k."created_at") AS "bucket", k."product_id", 1 AS "created", 0 AS "validated", 0 AS "failed", 0 AS "expired"
+        FROM "AccessKey" k
+        WHERE k."created_at" >= CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'
+          AND k."created_at" < CAST(${toUtc(now)} AS timestamptz) AT TIME ZONE 'UTC'
+        UNION ALL
+        SELECT date_trunc('hour', e."occurred_at"), k."product_id", 0, 1,
+          CASE WHEN e."outcome" = ANY(${SUCCESS_OUTCOMES}) THEN 0 ELSE 1 END, 0
+        FROM "KeyUsageEvent" e
+        JOIN "AccessKey" k ON k."key_id" = e."key_id"
+        WHERE e."endpoint" = 'VALIDATE'
+          AND e."occurred_at" >= CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'
+          AND e."occurred_at" < CAST(${toUtc(now)} AS timestamptz) AT TIME ZONE 'UTC'
+        UNION ALL
+        -- Keys revoked before their expiry never expired
+        SELECT date_trunc('hour', k."expires_at"), k."product_id", 0, 0, 0, 1
+        FROM "AccessKey" k
+        WHERE k."expires_at" >= CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'
+          AND k."expires_at" < CAST(${toUtc(now)} AS timestamptz) AT TIME ZONE 'UTC'
+          AND (k."revoked_at" IS NULL OR k."revoked_at" > k."expires_at")
+      ) AS "activity"
+      GROUP BY "bucket", "product_id"
+    `,
+    prisma.$executeRaw`
+      INSERT INTO "UserActivityRollup" ("bucket_start", "product_id", "user_id")
+      SELECT DISTINCT date_trunc('hour', e."occurred_at"), k."product_id", k."user_id"
+      FROM "KeyUsageEvent" e
+      JOIN "AccessKey" k ON k."key_id" = e."key_id"
+      WHERE e."endpoint" = 'VALIDATE'
+        AND e."outcome" = ANY(${SUCCESS_OUTCOMES})
+        AND e."occurred_at" >= CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'
+        AND e."occurred_at" < CAST(${toUtc(now)} AS timestamptz) AT TIME ZONE 'UTC'
+    `
+  ]);
+
+  logger.debug('Metrics rolled up', { from: from.toISOString(), buckets, activeUsers });
+  return { from: from.toISOString(), buckets, active_users: activeUsers };
+}
+
+/**
+ * Resolve the range of a series, defaulting to the interval's usual range until now
+ * @param {Object} options - { interval, from, to } with from/to as Dates or null
+ * @returns {Object} { from, to } or { error }
+ */
+function resolveRange({ interval, from = null, to = null }) {
+  const size = Object.hasOwn(INTERVALS, interval) ? INTERVALS[interval] : null;
+  if (!size) {
+    return { error: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+  }
+
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - size.defaultRangeMs);
+
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+
+  if ((end - start) / size.ms > MAX_BUCKETS) {
+    return { error: `Range too long for ${interval} buckets (max ${MAX_BUCKETS}), pick a larger interval` };
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Keys created, validations, unique users and expirations per bucket
+ * Buckets are UTC and weeks start on Monday; every bucket of the range is
+ * present, empty ones with zeros. Data is as fresh as the last rollup-metrics run.
+ * @param {Object} options
+ * @param {string} options.interval - 'hour' | 'day' | 'week'
+ * @param {Date} options.from
+ * @param {Date} options.to - Exclusive
+ * @param {number|null} options.productId - Scope to one product
+ * @returns {Promise<Object>} { series, totals, last_rollup_at }
+ */
+async function getAnalytics({ interval, from, to, productId = null }) {
+  const step = `1 ${interval}`;
+
+  const [series, users, lastRun] = await Promise.all([
+    prisma.$queryRaw`
+      WITH "metrics" AS (
+        SELECT date_trunc(${interval}, "bucket_start") AS "bucket",
+          SUM("keys_created") AS "keys_created",
+          SUM("validations") AS "validations",
+          SUM("failed_validations") AS "failed_validations",
+          SUM("expirations") AS "expirations"
+        FROM "MetricsRollup"
+        WHERE "bucket_start" >= date_trunc(${interval}, CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC')
+          AND "bucket_start" < CAST(${toUtc(to)} AS timestamptz) AT TIME ZONE 'UTC'
+          AND (${productId}::int IS NULL OR "product_id" = ${productId}::int)
+        GROUP BY 1
+      ), "users" AS (
+        SELECT date_trunc(${interval}, "bucket_start") AS "bucket", COUNT(DISTINCT "user_id") AS "unique_users"
+        FROM "UserActivityRollup"
+        WHERE "bucket_start" >= date_trunc(${interval}, CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC')
+          AND "bucket_start" < CAST(${toUtc(to)} AS timestamptz) AT TIME ZONE 'UTC'
+          AND (${productId}::int IS NULL OR "product_id" = ${productId}::int)
+        GROUP BY 1
+      )
+      SELECT b."bucket",
+        COALESCE(m."keys_created", 0)::int AS "keys_created",
+        COALESCE(m."validations", 0)::int AS "validations",
+        COALESCE(m."failed_validations", 0)::int AS "failed_validations",
+        COALESCE(u."unique_users", 0)::int AS "unique_users",
+        COALESCE(m."expirations", 0)::int AS "expirations"
+      FROM generate_series(
+        date_trunc(${interval}, CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC'),
+        CAST(${toUtc(to)} AS timestamptz) AT TIME ZONE 'UTC',
+        CAST(${step} AS interval)
+      ) AS b("bucket")
+      LEFT JOIN "metrics" m ON m."bucket" = b."bucket"
+      LEFT JOIN "users" u ON u."bucket" = b."bucket"
+      WHERE b."bucket" < CAST(${toUtc(to)} AS timestamptz) AT TIME ZONE 'UTC'
+      ORDER BY b."bucket"
+    `,
+    // Users active in several buckets count once for the whole range
+    prisma.$queryRaw`
+      SELECT COUNT(DISTINCT "user_id")::int AS "unique_users"
+      FROM "UserActivityRollup"
+      WHERE "bucket_start" >= date_trunc(${interval}, CAST(${toUtc(from)} AS timestamptz) AT TIME ZONE 'UTC')
+        AND "bucket_start" < CAST(${toUtc(to)} AS timestamptz) AT TIME ZONE 'UTC'
+        AND (${productId}::int IS NULL OR "product_id" = ${productId}::int)
+    `,
+    prisma.jobRun.findFirst({
+      where: { job: 'rollup-metrics', status: 'SUCCEEDED' },
+      orderBy: { startedAt: 'desc' }
+    })
+  ]);
+
+  const totals = { keys_created: 0, validations: 0, failed_validations: 0, unique_users: users[0].unique_users, expirations: 0 };
+  for (const row of series) {
+    totals.keys_created += row.keys_created;
+    totals.validations += row.validations;
+    totals.failed_validations += row.failed_validations;
+    totals.expirations += row.expirations;
+  }
+
+  return {
+    series: series.map((row) => ({ ...row, bucket: row.bucket.toISOString() })),
+    totals,
+    last_rollup_at: lastRun ? lastRun.startedAt.toISOString() : null
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  resolveRange,
+  rollupMetrics,
+  getAnalytics
+};
@@ -0,0 +1,193 @@
+const net = require('net');
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+const { isIpInRanges } = require('../utils/keyUtils');
+
+const logger = new Logger(config.logging.level);
+
+const TYPE_USER = 'USER';
+const TYPE_IP = 'IP';
+
+// Key statuses that still give (or will give) access, revoked when a user ban asks for it
+const REVOCABLE_STATUSES = ['ACTIVE', 'PENDING', 'SUSPENDED'];
+
+const isPattern = (value) => value.includes('*');
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+// LIKE form of a user ban: "*" becomes "%", and the characters LIKE treats as special are escaped
+const toLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+
+function mapBanRecord(record, now = new Date()) {
+  return {
+    id: record.id,
+    type: record.type.toLowerCase(),
+    value: record.value,
+    pattern: record.type === TYPE_USER && isPattern(record.value),
+    reason: record.reason,
+    expires_at: record.expiresAt ? record.expiresAt.toISOString() : null,
+    active: !record.expiresAt || record.expiresAt > now,
+    created_at: record.createdAt.toISOString(),
+    created_by: record.createdById || null
+  };
+}
+
+/**
+ * The rule of a ban as written to the request log
+ * @param {Object} ban - Ban record
+ * @returns {Object} { id, type, value }
+ */
+function describeBan(ban) {
+  return { id: ban.id, type: ban.type.toLowerCase(), value: ban.value };
+}
+
+function matchesBan(ban, { userId, ipAddress }) {
+  if (ban.type === TYPE_IP) {
+    return Boolean(ipAddress) && isIpInRanges(ipAddress, [ban.value]);
+  }
+
+  if (!userId) return false;
+  return isPattern(ban.value) ? globToRegExp(ban.value).test(userId) : ban.value === userId;
+}
+
+/**
+ * First unexpired ban matching the user ID or the address
+ * Exact user IDs and address blocks are matched by the database through their
+ * indexes; only user patterns come back as candidates for the glob check.
+ * @param {Object} subject - { userId, ipAddress }, either may be missing
+ * @param {Date} now
+ * @returns {Promise<Object|null>} Ban record
+ */
+async function findBan({ userId = null, ipAddress = null } = {}, now = new Date()) {
+  // Anything that is not an address ('unknown' included) can't be cast to inet
+  const address = ipAddress && net.isIP(ipAddress) ? ipAddress : null;
+  if (!userId && !address) {
+    return null;
+  }
+
+  const bans = await prisma.$queryRaw`
+    SELECT "id", "type"::text AS "type", "value", "reason",
+      "expires_at" AS "expiresAt", "created_at" AS "createdAt", "created_by" AS "createdById"
+    FROM "Ban"
+    WHERE ("expires_at" IS NULL OR "expires_at" > CAST(${now.toISOString()} AS timestamptz) AT TIME ZONE 'UTC')
+      AND (
+        ("type" = 'USER' AND ${userId}::text IS NOT NULL AND ("value" = ${userId}::text OR "pattern"))
+        OR ("type" = 'IP' AND "network" >>= CAST(${address} AS inet))
+      )
+    ORDER BY "id" ASC
+  `;
+
+  return bans.find((ban) => matchesBan(ban, { userId, ipAddress: address })) || null;
+}
+
+/**
+ * Refusal returned for a banned user or address
+ * The reason stays internal; `ban` is the matched rule, for the request log.
+ * @param {Object} ban - Ban record
+ * @returns {Object} { error, code, error_code, data, ban }
+ */
+function getBanRefusal(ban) {
+  logger.warn('Request blocked by ban', describeBan(ban));
+  return {
+    error: ban.type === TYPE_USER ? 'User is banned' : 'Address is banned',
+    code: 403,
+    error_code: 'banned',
+    data: {
+      banned_until: ban.expiresAt ? ban.expiresAt.toISOString() : null
+    },
+    ban: describeBan(ban)
+  };
+}
+
+/**
+ * Bans, newest first
+ * @param {Object} options
+ * @param {string} options.status - 'active' | 'expired' | 'all'
+ */
+async function listBans({ status = 'active' } = {}) {
+  const now = new Date();
+  const where = {
+    active: { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] },
+    expired: { expiresAt: { lte: now } },
+    all: {}
+  }[status];
+
+  const records = await prisma.ban.findMany({
+    where,
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return records.map((record) => mapBanRecord(record, now));
+}
+
+/**
+ * Add a ban, optionally revoking the active keys of the users it covers
+ * A user pattern revokes the keys of every matching user.
+ * @param {Object} input - { type: 'USER' | 'IP', value, reason, expiresAt }
+ * @param {Object} options
+ * @param {boolean} options.revokeKeys - Only for user bans
+ * @param {string|null} options.actorId
+ * @returns {Promise<Object>} { ban, revoked_keys }
+ */
+async function createBan({ type, value, reason, expiresAt = null }, { revokeKeys = false, actorId = null } = {}) {
+  const create = prisma.ban.create({
+    data: {
+      type,
+      value,
+      network: type === TYPE_IP ? value : null,
+      pattern: type === TYPE_USER && isPattern(value),
+      reason,
+      expiresAt,
+      createdById: actorId
+    }
+  });
+
+  if (!revokeKeys) {
+    const ban = await create;
+    logger.warn('Ban added', { id: ban.id, type, value, reason, expiresAt, actorId });
+    return { ban: mapBanRecord(ban), revoked_keys: 0 };
+  }
+
+  const revokedAt = new Date().toISOString();
+  const [ban, revokedKeys] = await prisma.$transaction([
+    create,
+    prisma.$executeRaw`
+      UPDATE "AccessKey"
+      SET "status" = 'REVOKED',
+        "revoked_at" = CAST(${revokedAt} AS timestamptz) AT TIME ZONE 'UTC',
+        "revoked_by" = ${actorId}::uuid,
+        "revoke_reason" = ${`Banned: ${reason}`},
+        "suspended_at" = NULL
+      WHERE "user_id" LIKE ${toLikePattern(value)}
+        AND "status"::text = ANY(${REVOCABLE_STATUSES})
+    `
+  ]);
+
+  logger.warn('Ban added', { id: ban.id, type, value, reason, expiresAt, actorId, revokedKeys });
+  return { ban: mapBanRecord(ban), revoked_keys: revokedKeys };
+}
+
+/**
+ * Lift a ban; keys it revoked stay revoked
+ * @returns {Promise<Object>} { success } or { error, code }
+ */
+async function deleteBan(id, actorId = null) {
+  const ban = await prisma.ban.findUnique({ where: { id } });
+  if (!ban) {
+    return { error: 'Ban not found', code: 404 };
+  }
+
+  await prisma.ban.delete({ where: { id } });
+
+  logger.info('Ban lifted', { id, type: ban.type, value: ban.value, actorId });
+  return { success: true };
+}
+
+module.exports = {
+  findBan,
+  getBanRefusal,
+  listBans,
+  createBan,
+  deleteBan
+};
@@ -0,0 +1,113 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+const keyService = require('./keyService');
+
+const logger = new Logger(config.logging.level);
+
+const KEY_COUNT_INCLUDE = { _count: { select: { keys: true } } };
+
+function mapEndUserRecord(record) {
+  return {
+    user_id: record.id,
+    display_name: record.displayName || null,
+    notes: record.notes || null,
+    status: record.status.toLowerCase(),
+    key_count: record._count.keys,
+    created_at: record.createdAt.toISOString(),
+    updated_at: record.updatedAt.toISOString(),
+    last_seen_at: record.lastSeenAt ? record.lastSeenAt.toISOString() : null
+  };
+}
+
+/**
+ * Users, most recently seen first
+ * @param {Object} options
+ * @param {string} [options.search] - Part of the user ID or display name
+ * @param {string} [options.status] - 'active' | 'disabled'
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { users, pagination }
+ */
+async function listEndUsers({ search = '', status = null, page = 1, limit = 50 } = {}) {
+  const where = {
+    ...(status ? { status: status.toUpperCase() } : {}),
+    ...(search
+      ? {
+          OR: [
+            { id: { contains: search, mode: 'insensitive' } },
+            { displayName: { contains: search, mode: 'insensitive' } }
+          ]
+        }
+      : {})
+  };
+
+  const [records, total] = await Promise.all([
+    prisma.endUser.findMany({
+      where,
+      orderBy: [{ lastSeenAt: { sort: 'desc', nulls: 'last' } }, { id: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+      include: KEY_COUNT_INCLUDE
+    }),
+    prisma.endUser.count({ where })
+  ]);
+
+  return {
+    users: records.map(mapEndUserRecord),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * A user with their whole key history, newest key first
+ * @param {string} userId - External ID
+ * @returns {Promise<Object|null>} { user, keys } or null when there is no such user
+ */
+async function getEndUser(userId) {
+  const record = await prisma.endUser.findUnique({
+    where: { id: userId },
+    include: KEY_COUNT_INCLUDE
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  const keys = await keyService.getUserKeys(userId);
+  return { user: mapEndUserRecord(record), keys };
+}
+
+/**
+ * Update the display name, notes or status of a user
+ * @param {string} userId - External ID
+ * @param {Object} data - Prisma fields (displayName, notes, status)
+ * @param {string|null} actorId - Admin making the change
+ * @returns {Promise<Object>} { success, user } or { error, code }
+ */
+async function updateEndUser(userId, data, actorId = null) {
+  const existing = await prisma.endUser.findUnique({ where: { id: userId } });
+  if (!existing) {
+    return { error: 'User not found', code: 404 };
+  }
+
+  const updated = await prisma.endUser.update({
+    where: { id: userId },
+    data,
+    include: KEY_COUNT_INCLUDE
+  });
+
+  logger.info('End user updated', { userId, fields: Object.keys(data), status: updated.status, actorId });
+  return { success: true, user: mapEndUserRecord(updated) };
+}
+
+module.exports = {
+  listEndUsers,
+  getEndUser,
+  updateEndUser
+};
@@ -0,0 +1,28 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+
+const logger = new Logger(config.logging.level);
+
+/**
+ * Delete job runs older than the retention period
+ * Every timer tick and cron call adds runs, so the table only stays small if this runs.
+ * @param {Date} now
+ * @returns {Promise<number>} Number of deleted runs
+ */
+async function purgeOldJobRuns(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.jobs.runsRetentionDays * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.jobRun.deleteMany({
+    where: { startedAt: { lt: cutoff } }
+  });
+
+  if (count > 0) {
+    logger.info('Purged old job runs', { count, before: cutoff.toISOString() });
+  }
+
+  return count;
+}
+
+module.exports = {
+  purgeOldJobRuns
+};
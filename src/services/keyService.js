@@ -1,10 +1,68 @@
+const crypto = require('crypto');
+const net = require('net');
 const prisma = require('../config/prisma');
-const { generateKey, getExpirationDate, isKeyValid, getRemainingTime } = require('../utils/keyUtils');
+const {
+  generateAccessKey,
+  parseAccessKey,
+  hashKeySecret,
+  getExpirationDate,
+  isKeyValid,
+  getKeyState,
+  getQuotaInfo,
+  getQuotaWindowEnd,
+  getRemainingTime,
+  getKeyRemainingTime,
+  getGraceEnd,
+  isKeyInGrace,
+  isKeyScheduled,
+  isIpInRanges
+} = require('../utils/keyUtils');
+const planService = require('./planService');
+const productService = require('./productService');
+const signingKeyService = require('./signingKeyService');
+const banService = require('./banService');
+const { safeCompare } = require('../utils/security');
 const Logger = require('../utils/logger');
 const config = require('../config');
 
 const logger = new Logger(config.logging.level);
 const STATUS_ACTIVE = 'ACTIVE';
+const STATUS_REVOKED = 'REVOKED';
+const STATUS_SUSPENDED = 'SUSPENDED';
+const STATUS_EXPIRED = 'EXPIRED';
+const STATUS_SUPERSEDED = 'SUPERSEDED';
+const STATUS_PENDING = 'PENDING';
+const END_USER_DISABLED = 'DISABLED';
+
+// A user's last_seen_at is moved forward at most this often, sparing a write on every validation
+const END_USER_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Binding modes that lock a key to a single address (bound_ip)
+const SINGLE_IP_MODES = ['creation', 'first_use'];
+
+// Response code reported for each key state by validate/info/bind
+const STATE_CODES = {
+  active: 200,
+  expired: 410,
+  revoked: 403,
+  suspended: 423,
+  superseded: 410,
+  exhausted: 429,
+  scheduled: 425
+};
+
+const STATE_MESSAGES = {
+  active: 'Key is active',
+  expired: 'Key is expired or inactive',
+  revoked: 'Key has been revoked',
+  suspended: 'Key is suspended',
+  superseded: 'Key has been rotated',
+  exhausted: 'Key usage quota exhausted',
+  scheduled: 'Key is not active yet'
+};
+
+// Plan fields loaded with a key: its slug and what validation needs from it
+const KEY_PLAN_SELECT = { slug: true, gracePeriodMinutes: true };
 
 function mapAccessKeyRecord(record) {
   if (!record) return null;
@@ -12,263 +70,1892 @@ function mapAccessKeyRecord(record) {
   return {
     id: record.id,
     key_id: record.keyId,
+    // Keys issued before hashed keys: the UUID is both the ID and the secret
+    legacy: !record.secretHash,
     user_id: record.userId,
     status: (record.status || STATUS_ACTIVE).toLowerCase(),
     created_at: record.createdAt.toISOString(),
-    expires_at: record.expiresAt.toISOString(),
+    starts_at: record.startsAt ? record.startsAt.toISOString() : null,
+    expires_at: record.expiresAt ? record.expiresAt.toISOString() : null,
+    // Pending keys have no expiry either, but keep the duration their first use will start
+    lifetime: !record.expiresAt && record.activationHours == null,
+    activation_hours: record.activationHours ?? null,
+    activate_by: record.activateBy ? record.activateBy.toISOString() : null,
+    activated_at: record.activatedAt ? record.activatedAt.toISOString() : null,
     last_accessed: record.lastAccessed ? record.lastAccessed.toISOString() : null,
     usage_count: record.usageCount,
     ip_address: record.ipAddress,
-    created_by: record.createdById
+    created_by: record.createdById,
+    revoked_at: record.revokedAt ? record.revokedAt.toISOString() : null,
+    revoked_by: record.revokedById || null,
+    revoke_reason: record.revokeReason || null,
+    suspended_at: record.suspendedAt ? record.suspendedAt.toISOString() : null,
+    superseded_at: record.supersededAt ? record.supersededAt.toISOString() : null,
+    scopes: record.scopes || [],
+    max_uses: record.maxUses ?? null,
+    quota_limit: record.quotaLimit ?? null,
+    quota_period: record.quotaPeriod ? record.quotaPeriod.toLowerCase() : null,
+    quota_used: record.quotaUsed || 0,
+    quota_reset_at: record.quotaResetAt ? record.quotaResetAt.toISOString() : null,
+    rate_limit: record.rateLimit ?? null,
+    grace_period_minutes: record.gracePeriodMinutes ?? null,
+    // Only known when the plan was loaded with the key (KEY_PLAN_SELECT)
+    plan_grace_period_minutes: record.plan?.gracePeriodMinutes ?? null,
+    plan_id: record.planId,
+    plan: record.plan ? record.plan.slug : null,
+    product_id: record.productId,
+    product: record.product ? record.product.slug : null,
+    ip_binding: (record.ipBindingMode || 'NONE').toLowerCase(),
+    bound_ip: record.boundIp || null,
+    bound_at: record.boundAt ? record.boundAt.toISOString() : null,
+    allowed_cidrs: record.allowedCidrs || [],
+    max_devices: record.maxDevices ?? null
+  };
+}
+
+function mapKeyDeviceRecord(record) {
+  return {
+    id: record.id,
+    fingerprint: record.fingerprint,
+    first_seen_at: record.firstSeenAt.toISOString(),
+    last_seen_at: record.lastSeenAt.toISOString(),
+    last_ip: record.lastIp || null
+  };
+}
+
+/**
+ * IP binding as shown to key holders: the mode and whether an address is locked in,
+ * never the address itself
+ */
+function describeIpBinding(key) {
+  return {
+    mode: key.ip_binding,
+    bound: Boolean(key.bound_ip)
+  };
+}
+
+/**
+ * Grace period details of a key that is past its expiry but still validating
+ */
+function describeGrace(key) {
+  const graceEnd = getGraceEnd(key);
+  return {
+    in_grace: true,
+    grace_ends_at: graceEnd,
+    grace_remaining: getRemainingTime(graceEnd)
+  };
+}
+
+/**
+ * Expiry conditions of active keys that have not expired; lifetime keys have no expiry
+ */
+function unexpiredKeyConditions(now) {
+  return [{ expiresAt: { gt: now } }, { expiresAt: null }];
+}
+
+/**
+ * Conditions matching keys that are expired but still marked usable: active
+ * keys past expires_at and pending keys past their activation deadline
+ */
+function overdueKeyConditions(now) {
+  return [
+    { status: STATUS_ACTIVE, expiresAt: { lte: now } },
+    { status: STATUS_PENDING, activateBy: { lte: now } }
+  ];
+}
+
+/**
+ * Keys past their expiry but still inside their grace period, counted per product
+ * The grace period resolves per key (the key's, its plan's, then the global
+ * default), which Prisma filters can't express.
+ * @returns {Promise<Map<number, number>>} productId → count
+ */
+async function countKeysInGraceByProduct(now) {
+  const rows = await prisma.$queryRaw`
+    SELECT k."product_id" AS "productId", COUNT(*)::int AS "count"
+    FROM "AccessKey" k
+    JOIN "KeyPlan" p ON p."id" = k."plan_id"
+    WHERE k."status" IN ('ACTIVE', 'EXPIRED')
+      AND k."expires_at" <= CAST(${now.toISOString()} AS timestamptz) AT TIME ZONE 'UTC'
+      AND k."expires_at" + COALESCE(k."grace_period_minutes", p."grace_period_minutes", ${config.keys.gracePeriodMinutes}::int) * INTERVAL '1 minute'
+        > CAST(${now.toISOString()} AS timestamptz) AT TIME ZONE 'UTC'
+    GROUP BY k."product_id"
+  `;
+
+  return new Map(rows.map((row) => [row.productId, row.count]));
+}
+
+/**
+ * Combine the usage limits asked for at creation with the plan's own
+ * A key may be stricter than its plan, never looser.
+ * @returns {Object} { maxUses, quotaLimit, quotaPeriod, maxDevices } or { error, code }
+ */
+function applyPlanUsageLimits(limits, { maxUses = null, quotaLimit = null, quotaPeriod = null, maxDevices = null }) {
+  if (limits.maxUses !== null && maxUses !== null && maxUses > limits.maxUses) {
+    return { error: `max_uses cannot exceed ${limits.maxUses} on this plan`, code: 400 };
+  }
+
+  if (limits.quotaLimit !== null && quotaLimit !== null
+    && (quotaPeriod !== limits.quotaPeriod || quotaLimit > limits.quotaLimit)) {
+    return { error: `quota cannot exceed ${limits.quotaLimit} per ${limits.quotaPeriod} on this plan`, code: 400 };
+  }
+
+  if (limits.maxDevices !== null && maxDevices !== null && maxDevices > limits.maxDevices) {
+    return { error: `max_devices cannot exceed ${limits.maxDevices} on this plan`, code: 400 };
+  }
+
+  return {
+    maxUses: maxUses ?? limits.maxUses,
+    quotaLimit: quotaLimit ?? limits.quotaLimit,
+    quotaPeriod: quotaLimit !== null ? quotaPeriod : limits.quotaPeriod,
+    maxDevices: maxDevices ?? limits.maxDevices
   };
 }
 
 class KeyService {
   /**
-   * Create a new access key
+   * Create a new access key for a product under a plan (the defaults when none is given)
    * @param {string} userId
-   * @param {number} hours
+   * @param {number|undefined} hours - Defaults to the plan's (or product's) default hours
    * @param {string} ipAddress
+   * @param {string|null} createdById
+   * @param {Object} options
+   * @param {string} [options.product] - Product slug
+   * @param {string} [options.plan] - Plan slug
+   * @param {boolean} [options.allowPrivatePlan] - Allow plans hidden from the public API
+   * @param {string[]} [options.scopes]
+   * @param {number|null} [options.maxUses] - Lifetime use limit
+   * @param {number|null} [options.quotaLimit] - Uses allowed per quota period
+   * @param {string|null} [options.quotaPeriod] - 'day' | 'month'
+   * @param {string} [options.ipBinding] - 'none' | 'creation' | 'first_use' | 'cidr'
+   * @param {string[]} [options.allowedCidrs] - Normalized blocks for 'cidr'
+   * @param {number|null} [options.maxDevices] - Device seats (the plan's when unset)
+   * @param {string} [options.activation] - 'immediate' | 'first_use' (the clock starts on the first validation or bind)
+   * @param {Date|null} [options.activateBy] - Deadline for the first use of a 'first_use' key
+   * @param {Date|null} [options.startsAt] - The key can't be used before this time; its duration counts from it
+   * @param {boolean} [options.lifetime] - The key never expires and hours are ignored (admin issuance only)
    */
-  async createKey(userId, hours, ipAddress, createdById = null) {
-    const existing = await this.getActiveKeyForUser(userId);
-    if (existing) {
-      const timeInfo = getRemainingTime(existing.expires_at);
-      logger.warn('User attempted to create a key while having an active one', { userId, keyId: existing.key_id });
-      return {
-        error: 'User already has an active key',
-        code: 409,
-        data: {
-          key_id: existing.key_id,
-          user_id: existing.user_id,
-          expires_at: existing.expires_at,
-          time_remaining: timeInfo
-        }
-      };
+  async createKey(userId, hours, ipAddress, createdById = null, options = {}) {
+    const prepared = await this.prepareKey(userId, hours, ipAddress, createdById, options);
+    if (prepared.error) {
+      return prepared;
+    }
+
+    return this.insertKey(prisma, prepared);
+  }
+
+  /**
+   * Check a key request against bans, the user, its product and plan, without writing anything
+   * Takes the arguments of createKey; the result is what insertKey writes.
+   * @returns {Promise<Object>} Prepared key or { error, code, error_code?, data? }
+   */
+  async prepareKey(userId, hours, ipAddress, createdById = null, {
+    product: productSlug,
+    plan: planSlug,
+    allowPrivatePlan = false,
+    scopes = [],
+    maxUses = null,
+    quotaLimit = null,
+    quotaPeriod = null,
+    ipBinding = 'none',
+    allowedCidrs = [],
+    maxDevices = null,
+    activation = 'immediate',
+    activateBy = null,
+    startsAt = null,
+    lifetime = false
+  } = {}) {
+    // Bulk and admin issuance have no client address to lock the key to
+    if (ipBinding === 'creation' && !net.isIP(ipAddress || '')) {
+      return { error: 'ip_binding "creation" needs the client IP, use "first_use" instead', code: 400 };
+    }
+
+    const refusal = await this.findIssueRefusal(userId, ipAddress);
+    if (refusal) {
+      return refusal;
+    }
+
+    const productResult = await productService.resolveProduct(productSlug);
+    if (productResult.error) {
+      return productResult;
+    }
+
+    const resolved = await planService.resolvePlan(planSlug, { allowPrivate: allowPrivatePlan });
+    if (resolved.error) {
+      return resolved;
+    }
+
+    const { product } = productResult;
+    const { plan } = resolved;
+    const limits = planService.getEffectiveLimits(plan, product);
+    const keyHours = lifetime ? null : hours ?? limits.defaultHours;
+    if (keyHours > limits.maxHours) {
+      return { error: `hours must be a positive number between 1 and ${limits.maxHours}`, code: 400 };
+    }
+
+    const usage = applyPlanUsageLimits(limits, { maxUses, quotaLimit, quotaPeriod, maxDevices });
+    if (usage.error) {
+      return usage;
+    }
+
+    const conflict = await this.findKeyLimitConflict(userId, product.id, limits.maxActiveKeys);
+    if (conflict) {
+      return conflict;
+    }
+
+    return {
+      userId,
+      keyHours,
+      ipAddress,
+      createdById,
+      product,
+      plan,
+      usage,
+      scopes,
+      ipBinding,
+      allowedCidrs,
+      activation,
+      activateBy,
+      startsAt,
+      lifetime
+    };
+  }
+
+  /**
+   * Why a user (or the address asking for them) can't get a new key: disabled or banned
+   * @param {string} userId
+   * @param {string|null} ipAddress
+   * @returns {Promise<Object|null>} { error, code, error_code, ... } or null
+   */
+  async findIssueRefusal(userId, ipAddress) {
+    const endUser = await prisma.endUser.findUnique({ where: { id: userId } });
+    if (endUser?.status === END_USER_DISABLED) {
+      logger.warn('Key refused to a disabled user', { userId });
+      return { error: 'User is disabled', code: 403, error_code: 'user_disabled' };
     }
 
-    const keyId = generateKey();
-    const expiresAtIso = getExpirationDate(hours);
+    const ban = await banService.findBan({ userId, ipAddress });
+    return ban ? banService.getBanRefusal(ban) : null;
+  }
+
+  /**
+   * Write a key checked by prepareKey
+   * @param {Object} db - Prisma client, or a transaction client so the key commits with other writes
+   * @param {Object} prepared - prepareKey result
+   * @returns {Promise<Object>} The createKey result, with the full key
+   */
+  async insertKey(db, {
+    userId,
+    keyHours,
+    ipAddress,
+    createdById,
+    product,
+    plan,
+    usage,
+    scopes,
+    ipBinding,
+    allowedCidrs,
+    activation,
+    activateBy,
+    startsAt,
+    lifetime
+  }) {
+    const { keyId, key: accessKey, secretHash } = generateAccessKey();
+    const pending = activation === 'first_use';
 
-    const createdKey = await prisma.accessKey.create({
+    // The first key of a user_id creates its user record
+    const now = new Date();
+    await db.endUser.upsert({
+      where: { id: userId },
+      create: { id: userId, lastSeenAt: now },
+      update: { lastSeenAt: now }
+    });
+
+    const createdKey = await db.accessKey.create({
       data: {
         keyId,
+        secretHash,
         userId,
-        expiresAt: new Date(expiresAtIso),
+        startsAt,
+        // Pending keys get their expiry when the first use activates them; lifetime keys never get one
+        expiresAt: pending || lifetime ? null : new Date((startsAt || now).getTime() + keyHours * 60 * 60 * 1000),
+        activationHours: pending ? keyHours : null,
+        activateBy: pending ? activateBy : null,
         ipAddress,
-        status: STATUS_ACTIVE,
-        createdById
+        status: pending ? STATUS_PENDING : STATUS_ACTIVE,
+        createdById,
+        planId: plan.id,
+        productId: product.id,
+        scopes,
+        maxUses: usage.maxUses,
+        quotaLimit: usage.quotaLimit,
+        quotaPeriod: usage.quotaPeriod ? usage.quotaPeriod.toUpperCase() : null,
+        ipBindingMode: ipBinding.toUpperCase(),
+        boundIp: ipBinding === 'creation' ? ipAddress : null,
+        boundAt: ipBinding === 'creation' ? now : null,
+        allowedCidrs,
+        maxDevices: usage.maxDevices
       }
     });
 
     logger.info('Key created successfully', {
       keyId,
       userId,
-      hours,
-      ipAddress
+      hours: keyHours,
+      product: product.slug,
+      plan: plan.slug,
+      ipAddress,
+      scopes,
+      ipBinding,
+      activation,
+      startsAt,
+      lifetime
     });
 
+    // The only time the full key is available: only its hash is stored
     return {
+      key: accessKey,
       key_id: createdKey.keyId,
       user_id: createdKey.userId,
-      expires_at: createdKey.expiresAt.toISOString(),
-      valid_for_hours: hours
+      product: product.slug,
+      plan: plan.slug,
+      status: pending ? 'pending' : 'active',
+      starts_at: createdKey.startsAt ? createdKey.startsAt.toISOString() : null,
+      expires_at: createdKey.expiresAt ? createdKey.expiresAt.toISOString() : null,
+      lifetime,
+      valid_for_hours: keyHours,
+      activation,
+      activate_by: createdKey.activateBy ? createdKey.activateBy.toISOString() : null,
+      scopes: createdKey.scopes,
+      max_uses: usage.maxUses,
+      quota_limit: usage.quotaLimit,
+      quota_period: usage.quotaPeriod,
+      ip_binding: ipBinding,
+      allowed_cidrs: allowedCidrs,
+      max_devices: usage.maxDevices
     };
   }
 
+  /**
+   * Create keys for many users, applying the createKey rules to each row
+   * Rows are processed in order, so a user repeated in the batch is skipped
+   * by the one-active-key check like any other existing key. Rows left when
+   * the time budget runs out are reported as not_processed, to be sent again.
+   * @param {Array<Object>} rows - { row, user_id, hours, plan, product, ... } or { row, user_id, error } when validation failed
+   * @param {Object} options
+   * @param {string|null} options.ipAddress
+   * @param {string|null} options.createdById
+   */
+  async createKeysBulk(rows, { ipAddress = null, createdById = null } = {}) {
+    const results = [];
+    const deadline = Date.now() + config.keys.bulkTimeBudgetSeconds * 1000;
+
+    for (const input of rows) {
+      const base = { row: input.row, user_id: input.user_id || null };
+
+      if (Date.now() >= deadline) {
+        results.push({ ...base, status: 'not_processed' });
+        continue;
+      }
+
+      if (input.error) {
+        results.push({ ...base, status: 'invalid', error: input.error });
+        continue;
+      }
+
+      try {
+        const created = await this.createKey(input.user_id, input.hours, ipAddress, createdById, {
+          product: input.product,
+          plan: input.plan,
+          allowPrivatePlan: true,
+          scopes: input.scopes,
+          maxUses: input.max_uses,
+          quotaLimit: input.quota_limit,
+          quotaPeriod: input.quota_period,
+          ipBinding: input.ip_binding,
+          allowedCidrs: input.allowed_cidrs,
+          maxDevices: input.max_devices,
+          activation: input.activation,
+          activateBy: input.activate_by,
+          startsAt: input.starts_at,
+          lifetime: input.lifetime
+        });
+
+        if (created.error && created.code !== 409) {
+          results.push({ ...base, status: 'invalid', error: created.error });
+        } else if (created.error) {
+          results.push({
+            ...base,
+            status: 'skipped',
+            error: created.error,
+            existing_key_id: created.data?.key_id || null
+          });
+        } else {
+          results.push({
+            ...base,
+            status: 'created',
+            key: created.key,
+            key_id: created.key_id,
+            product: created.product,
+            plan: created.plan,
+            expires_at: created.expires_at,
+            lifetime: created.lifetime,
+            valid_for_hours: created.valid_for_hours,
+            activate_by: created.activate_by,
+            starts_at: created.starts_at
+          });
+        }
+      } catch (error) {
+        logger.error('Bulk key creation failed for row', { row: input.row, error: error.message });
+        results.push({ ...base, status: 'failed', error: 'Database error' });
+      }
+    }
+
+    const summary = results.reduce((acc, result) => {
+      acc[result.status] += 1;
+      return acc;
+    }, { total: results.length, created: 0, skipped: 0, invalid: 0, failed: 0, not_processed: 0 });
+
+    logger.info('Bulk key issuance finished', { ...summary, createdById });
+    return { summary, results };
+  }
+
   async getKeyById(keyId) {
     const record = await prisma.accessKey.findUnique({
-      where: { keyId }
+      where: { keyId },
+      include: {
+        plan: { select: KEY_PLAN_SELECT },
+        product: { select: { slug: true } }
+      }
     });
 
     return mapAccessKeyRecord(record);
   }
 
-  async getActiveKeyForUser(userId) {
-    const record = await prisma.accessKey.findFirst({
-      where: {
-        userId,
-        status: STATUS_ACTIVE,
-        expiresAt: { gt: new Date() }
-      },
-      orderBy: { createdAt: 'desc' }
-    });
-
-    const mapped = mapAccessKeyRecord(record);
-    if (mapped && isKeyValid(mapped)) {
-      return mapped;
+  /**
+   * Key a client presented, checking its secret against the stored hash
+   * Legacy UUID keys are looked up as-is while config.keys.acceptLegacyKeys is on;
+   * a key ID alone never matches a hashed key.
+   * @param {string} accessKey - Full key (`kbn_live_<id>_<secret>`) or legacy UUID
+   * @returns {Promise<Object|null>} Mapped key record, null when unknown or the secret is wrong
+   */
+  async authenticateKey(accessKey) {
+    const parsed = parseAccessKey(accessKey);
+    if (!parsed || (!parsed.secret && !config.keys.acceptLegacyKeys)) {
+      return null;
     }
 
-    return null;
-  }
-
-  async validateKey(keyId) {
-    try {
-      const key = await this.getKeyById(keyId);
-
-      if (!key) {
-        return {
-          valid: false,
-          error: 'Key not found',
-          code: 404
-        };
+    const record = await prisma.accessKey.findUnique({
+      where: { keyId: parsed.keyId },
+      include: {
+        plan: { select: KEY_PLAN_SELECT },
+        product: { select: { slug: true } }
       }
+    });
 
-      const valid = isKeyValid(key);
-      const timeInfo = getRemainingTime(key.expires_at);
+    if (!record) {
+      return null;
+    }
 
-      let usageCount = key.usage_count;
-      if (valid) {
-        const updated = await prisma.accessKey.update({
-          where: { keyId },
-          data: {
-            usageCount: { increment: 1 },
-            lastAccessed: new Date()
-          }
-        });
-        usageCount = updated.usageCount;
-      }
+    const authentic = parsed.secret
+      ? Boolean(record.secretHash) && safeCompare(hashKeySecret(parsed.secret), record.secretHash)
+      : !record.secretHash;
 
-      return {
-        valid,
-        key_id: keyId,
-        user_id: key.user_id,
-        status: key.status,
-        created_at: key.created_at,
-        expires_at: key.expires_at,
-        time_remaining: timeInfo,
-        usage_count: usageCount,
-        code: valid ? 200 : 410
-      };
-    } catch (error) {
-      logger.error('Error validating key:', error);
-      throw error;
+    if (!authentic) {
+      logger.warn('Key presented with a wrong secret', { keyId: parsed.keyId });
+      return null;
     }
+
+    return mapAccessKeyRecord(record);
   }
 
-  async updateKeyUsage(keyId) {
-    await prisma.accessKey.update({
+  /**
+   * Rate limit of a key (requests per window): its own override, then its plan's,
+   * or null for the global default
+   */
+  async getKeyRateLimit(keyId) {
+    const record = await prisma.accessKey.findUnique({
       where: { keyId },
-      data: {
-        usageCount: { increment: 1 },
-        lastAccessed: new Date()
-      }
+      select: { rateLimit: true, plan: { select: { rateLimit: true } } }
     });
+
+    return record?.rateLimit ?? record?.plan.rateLimit ?? null;
   }
 
-  async getUserKeys(userId) {
+  /**
+   * Keys a user currently holds for a product: active (not yet expired) and suspended ones, newest first
+   * Keys scheduled to start later are held too, unless SCHEDULED_KEYS_BLOCK_CREATION is off.
+   * @param {string} userId
+   * @param {number} productId
+   * @param {Object} options
+   * @param {string|null} [options.excludeKeyId] - Key being changed, left out of the count
+   */
+  async getHeldKeysForUser(userId, productId, { excludeKeyId = null } = {}) {
+    const now = new Date();
+    const started = config.keys.scheduledKeysBlockCreation
+      ? []
+      : [{ OR: [{ startsAt: null }, { startsAt: { lte: now } }] }];
+
     const records = await prisma.accessKey.findMany({
-      where: { userId },
+      where: {
+        userId,
+        productId,
+        ...(excludeKeyId ? { keyId: { not: excludeKeyId } } : {}),
+        OR: [
+          { status: STATUS_ACTIVE, AND: [{ OR: unexpiredKeyConditions(now) }, ...started] },
+          { status: STATUS_PENDING, AND: [{ OR: [{ activateBy: null }, { activateBy: { gt: now } }] }, ...started] },
+          { status: STATUS_SUSPENDED }
+        ]
+      },
       orderBy: { createdAt: 'desc' }
     });
 
-    const keys = records.map((record) => {
-      const mapped = mapAccessKeyRecord(record);
-      const valid = isKeyValid(mapped);
-      const timeInfo = getRemainingTime(mapped.expires_at);
+    return records.map(mapAccessKeyRecord);
+  }
+
+  /**
+   * Enforce the plan's limit on keys held at once by a user, counted per product
+   * @param {string} userId
+   * @param {number} productId
+   * @param {number} maxActiveKeys
+   * @param {Object} options
+   * @param {string|null} [options.excludeKeyId]
+   * @returns {Promise<Object|null>} A 409 result when the user is at the limit, otherwise null
+   */
+  async findKeyLimitConflict(userId, productId, maxActiveKeys, { excludeKeyId = null } = {}) {
+    const held = await this.getHeldKeysForUser(userId, productId, { excludeKeyId });
+    if (held.length < maxActiveKeys) {
+      return null;
+    }
+
+    const limitInfo = maxActiveKeys > 1 ? { held_keys: held.length, max_active_keys: maxActiveKeys } : {};
+    const existing = held.find((key) => key.status === 'active' || key.status === 'pending');
 
+    if (existing) {
+      logger.warn('User attempted to exceed the active key limit', { userId, productId, keyId: existing.key_id, maxActiveKeys });
       return {
-        key_id: mapped.key_id,
-        user_id: mapped.user_id,
-        valid,
-        status: mapped.status,
-        created_at: mapped.created_at,
-        expires_at: mapped.expires_at,
-        time_remaining: timeInfo,
-        usage_count: mapped.usage_count,
-        last_accessed: mapped.last_accessed
+        error: maxActiveKeys > 1 ? 'User has reached the active key limit of this plan' : 'User already has an active key',
+        code: 409,
+        data: {
+          key_id: existing.key_id,
+          user_id: existing.user_id,
+          ...(existing.starts_at ? { starts_at: existing.starts_at } : {}),
+          expires_at: existing.expires_at,
+          time_remaining: getKeyRemainingTime(existing),
+          ...limitInfo
+        }
       };
-    });
+    }
 
-    logger.debug('Retrieved user keys', {
-      userId,
-      keyCount: keys.length
-    });
+    const suspended = held[0];
+    logger.warn('User attempted to exceed the active key limit with a suspended key', { userId, keyId: suspended.key_id });
+    return {
+      error: 'User has a suspended key',
+      code: 409,
+      data: {
+        key_id: suspended.key_id,
+        user_id: suspended.user_id,
+        suspended_at: suspended.suspended_at,
+        time_remaining: getKeyRemainingTime(suspended),
+        ...limitInfo
+      }
+    };
+  }
 
-    return keys;
+  /**
+   * Limits of the plan (and product) a key belongs to
+   */
+  async getKeyPlanLimits(key) {
+    const [plan, product] = await Promise.all([
+      planService.getPlanById(key.plan_id),
+      productService.getProductById(key.product_id)
+    ]);
+    return planService.getEffectiveLimits(plan, product);
   }
 
-  async getKeyInfo(keyId) {
-    try {
-      const key = await this.getKeyById(keyId);
+  /**
+   * Check the request address against the key's IP binding
+   * A first_use key (or one whose binding was reset) gets locked to the address
+   * when claim is set; the update only matches while nothing is bound, so two
+   * first requests can't both win.
+   * @param {Object} key - Mapped key record
+   * @param {string} ipAddress - Client address of the request
+   * @param {Object} options
+   * @param {boolean} [options.claim] - Lock an unbound key to this address
+   * @returns {Promise<Object|null>} A 403 result when the address is refused, otherwise null
+   */
+  async enforceIpBinding(key, ipAddress, { claim = false } = {}) {
+    let allowed = true;
 
-      if (!key) {
-        return {
-          error: 'Key not found',
-          code: 404
-        };
+    if (key.ip_binding === 'cidr') {
+      allowed = isIpInRanges(ipAddress, key.allowed_cidrs);
+    } else if (SINGLE_IP_MODES.includes(key.ip_binding)) {
+      let boundIp = key.bound_ip;
+
+      if (!boundIp && claim && net.isIP(ipAddress || '')) {
+        const { count } = await prisma.accessKey.updateMany({
+          where: { keyId: key.key_id, boundIp: null },
+          data: { boundIp: ipAddress, boundAt: new Date() }
+        });
+
+        if (count > 0) {
+          logger.info('Key bound to IP address', { keyId: key.key_id, ipAddress });
+          return null;
+        }
+        // Another request bound the key first
+        boundIp = (await this.getKeyById(key.key_id))?.bound_ip || null;
+      }
+
+      // An unbound key that is not being used has nothing to compare against yet
+      allowed = boundIp ? isIpInRanges(ipAddress, [boundIp]) : !claim;
+    }
+
+    if (allowed) {
+      return null;
+    }
+
+    logger.warn('Key used from an address outside its IP binding', { keyId: key.key_id, ipAddress, mode: key.ip_binding });
+    return {
+      error: 'Request IP is not allowed for this key',
+      code: 403,
+      error_code: 'ip_not_allowed',
+      data: {
+        key_id: key.key_id,
+        ip_binding: describeIpBinding(key)
       }
+    };
+  }
+
+  /**
+   * Check the request's device against the key's seats
+   * An unknown fingerprint takes a free seat when register is set. The key row
+   * stays locked while its seats are counted, so first requests from several
+   * devices at once can't take more seats than the key has.
+   * @param {Object} key - Mapped key record
+   * @param {string|null} fingerprint - Device fingerprint of the request
+   * @param {Object} options
+   * @param {boolean} [options.register] - Give an unknown device a seat
+   * @param {string} [options.ipAddress] - Recorded as the device's last address
+   * @returns {Promise<Object>} { seats } (null when the key has no device limit) or a 403 result
+   */
+  async enforceDeviceBinding(key, fingerprint, { register = false, ipAddress = null } = {}) {
+    if (key.max_devices === null) {
+      return { seats: null };
+    }
+
+    const allowed = key.max_devices;
 
-      const valid = isKeyValid(key);
-      const timeInfo = getRemainingTime(key.expires_at);
+    if (!register || !fingerprint) {
+      const used = await prisma.keyDevice.count({ where: { keyId: key.id } });
+      if (!register) {
+        return { seats: { used, allowed } };
+      }
 
       return {
-        msg: valid ? 'Key is active' : 'Key is expired or inactive',
-        code: valid ? 200 : 410,
+        error: 'A device fingerprint is required for this key',
+        code: 403,
+        error_code: 'device_required',
         data: {
-          key_id: keyId,
-          user_id: key.user_id,
-          valid,
-          status: key.status,
-          created_at: key.created_at,
-          expires_at: key.expires_at,
-          time_remaining: timeInfo,
-          usage_count: key.usage_count,
-          last_accessed: key.last_accessed
+          key_id: key.key_id,
+          seats: { used, allowed }
         }
       };
-    } catch (error) {
-      logger.error('Error getting key info:', error);
-      throw error;
     }
-  }
 
-  async deleteKey(keyId) {
-    try {
-      await prisma.accessKey.delete({
-        where: { keyId }
+    const lastIp = net.isIP(ipAddress || '') ? ipAddress : null;
+    const outcome = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "AccessKey" WHERE "id" = ${key.id} FOR UPDATE`;
+
+      const used = await tx.keyDevice.count({ where: { keyId: key.id } });
+      const { count } = await tx.keyDevice.updateMany({
+        where: { keyId: key.id, fingerprint },
+        data: { lastSeenAt: new Date(), lastIp }
       });
 
-      logger.info('Key deleted successfully', { keyId });
-      return { success: true };
-    } catch (error) {
-      if (error?.code === 'P2025') {
-        return { error: 'Key not found', code: 404 };
+      if (count > 0) {
+        return { accepted: true, used };
       }
 
-      logger.error('Failed to delete key:', error);
-      return { error: 'Failed to delete key', code: 500 };
+      if (used >= allowed) {
+        return { accepted: false, used };
+      }
+
+      await tx.keyDevice.create({ data: { keyId: key.id, fingerprint, lastIp } });
+      return { accepted: true, registered: true, used: used + 1 };
+    });
+
+    const seats = { used: outcome.used, allowed };
+
+    if (outcome.registered) {
+      logger.info('Device registered for key', { keyId: key.key_id, seats });
     }
-  }
 
-  async getTotalKeysCount() {
-    return prisma.accessKey.count();
-  }
+    if (outcome.accepted) {
+      return { seats };
+    }
 
-  async getActiveKeysCount() {
-    return prisma.accessKey.count({
-      where: {
-        status: STATUS_ACTIVE,
-        expiresAt: { gt: new Date() }
+    logger.warn('Key used from a device beyond its seats', { keyId: key.key_id, ipAddress, seats });
+    return {
+      error: 'Device limit reached for this key',
+      code: 403,
+      error_code: 'device_limit_reached',
+      data: {
+        key_id: key.key_id,
+        seats
       }
-    });
+    };
   }
 
-  async getExpiredKeysCount() {
-    return prisma.accessKey.count({
+  /**
+   * Validate a key, optionally requiring it to carry every scope in requiredScopes
+   * and to belong to the given product
+   * @param {string} accessKey - Full key as presented by the client
+   * @param {Object} options
+   * @param {string[]} [options.requiredScopes]
+   * @param {string} [options.product] - Product slug the caller is validating for
+   * @param {string} [options.ipAddress] - Client address, checked against the key's IP binding and the ban list
+   * @param {string|null} [options.deviceFingerprint] - Checked against the key's device seats
+   */
+  async validateKey(accessKey, { requiredScopes = [], product, ipAddress, deviceFingerprint = null } = {}) {
+    try {
+      const key = await this.authenticateKey(accessKey);
+
+      if (!key) {
+        return {
+          valid: false,
+          error: 'Key not found',
+          code: 404
+        };
+      }
+
+      // Responses and logs only ever carry the key ID, never the secret
+      const keyId = key.key_id;
+
+      // A key of another product is refused whatever its state, and never counted as usage
+      if (product && key.product !== product) {
+        logger.warn('Key validated for another product', { keyId, product, keyProduct: key.product });
+        return {
+          valid: false,
+          error: 'Key belongs to another product',
+          code: 403,
+          error_code: 'wrong_product',
+          data: {
+            key_id: keyId,
+            product
+          }
+        };
+      }
+
+      // Banned users and addresses are refused whatever the key's state
+      const ban = await banService.findBan({ userId: key.user_id, ipAddress });
+      if (ban) {
+        return { valid: false, ...banService.getBanRefusal(ban) };
+      }
+
+      const state = getKeyState(key);
+      const valid = state === 'active';
+
+      // Other addresses learn nothing about the key and are not counted as usage
+      const ipRefusal = await this.enforceIpBinding(key, ipAddress, { claim: valid });
+      if (ipRefusal) {
+        return { valid: false, ...ipRefusal };
+      }
+
+      // Devices beyond the key's seats are refused the same way
+      const device = await this.enforceDeviceBinding(key, deviceFingerprint, { register: valid, ipAddress });
+      if (device.error) {
+        return { valid: false, ...device };
+      }
+
+      // Scope checks only apply to usable keys; a denied check is not counted as usage
+      const missingScopes = valid ? requiredScopes.filter((scope) => !key.scopes.includes(scope)) : [];
+      if (missingScopes.length > 0) {
+        logger.warn('Key validated without required scopes', { keyId, missingScopes });
+        return {
+          valid: false,
+          error: 'Key lacks required scope',
+          code: 403,
+          error_code: 'missing_scope',
+          data: {
+            key_id: keyId,
+            scopes: key.scopes,
+            required_scopes: requiredScopes,
+            missing_scopes: missingScopes
+          }
+        };
+      }
+
+      let current = key;
+      let exhausted = state === 'exhausted';
+      if (valid) {
+        const use = await this.consumeKeyUse(key);
+        current = use.key || key;
+        exhausted = !use.consumed;
+      }
+
+      if (exhausted) {
+        logger.warn('Key validated with exhausted usage quota', { keyId });
+        return {
+          valid: false,
+          error: STATE_MESSAGES.exhausted,
+          code: STATE_CODES.exhausted,
+          error_code: 'quota_exhausted',
+          data: {
+            key_id: keyId,
+            user_id: key.user_id,
+            expires_at: key.expires_at,
+            usage_count: current.usage_count,
+            quota: getQuotaInfo(current)
+          }
+        };
+      }
+
+      // A pending key is activated by this use: report the expiry it just got
+      const result = {
+        valid,
+        key_id: keyId,
+        user_id: key.user_id,
+        product: key.product,
+        plan: key.plan,
+        status: current.status,
+        created_at: key.created_at,
+        expires_at: current.expires_at,
+        time_remaining: getKeyRemainingTime(current),
+        usage_count: current.usage_count,
+        scopes: key.scopes,
+        quota: getQuotaInfo(current),
+        code: STATE_CODES[state]
+      };
+
+      if (device.seats) {
+        result.seats = device.seats;
+      }
+
+      if (valid && isKeyInGrace(current)) {
+        Object.assign(result, describeGrace(current));
+      }
+
+      if (current.activated_at) {
+        result.activated_at = current.activated_at;
+      } else if (current.status === 'pending') {
+        result.activate_by = current.activate_by;
+      }
+
+      if (state === 'revoked') {
+        result.revoked_at = key.revoked_at;
+        result.revoke_reason = key.revoke_reason;
+      } else if (state === 'suspended') {
+        result.suspended_at = key.suspended_at;
+      } else if (state === 'scheduled') {
+        result.starts_at = key.starts_at;
+        result.starts_in = getRemainingTime(key.starts_at);
+      }
+
+      // Rotated keys inside the overlap window: tell the client to switch, never reveal the successor
+      if (key.superseded_at) {
+        result.superseded_at = key.superseded_at;
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error validating key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a valid key for a short-lived signed license token
+   * Runs the same checks as validateKey (and counts as a use); the token never
+   * outlives the key. The signer is ready before the use is spent, so a token
+   * that can't be signed costs nothing.
+   * @param {string} accessKey - Full key as presented by the client
+   * @param {Object} options - Same as validateKey
+   * @returns {Promise<Object>} { token, kid, expires_at, claims } or { error, code, ... }
+   */
+  async issueLicenseToken(accessKey, options = {}) {
+    const signer = await signingKeyService.getSigner();
+    if (signer.error) {
+      return signer;
+    }
+
+    const validation = await this.validateKey(accessKey, options);
+    if (validation.error) {
+      return validation;
+    }
+
+    if (!validation.valid) {
+      return {
+        error: 'Only valid keys can be exchanged for a token',
+        code: validation.code,
+        data: {
+          key_id: validation.key_id,
+          status: validation.status
+        }
+      };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    // A key in grace is already past expires_at, so its token ends with the grace period;
+    // tokens of lifetime keys are only bounded by the token TTL
+    const keyEnd = validation.in_grace ? validation.grace_ends_at : validation.expires_at;
+    const keyExpiry = keyEnd ? Math.floor(new Date(keyEnd).getTime() / 1000) : Infinity;
+    const exp = Math.min(now + config.licenseTokens.ttlMinutes * 60, keyExpiry);
+
+    // Never sign a token that no verifier would accept
+    if (exp <= now) {
+      return {
+        error: 'Key expires before a token could be used',
+        code: STATE_CODES.expired,
+        error_code: 'key_expiring',
+        data: {
+          key_id: validation.key_id,
+          expires_at: validation.expires_at,
+          ...(validation.in_grace ? { grace_ends_at: validation.grace_ends_at } : {})
+        }
+      };
+    }
+
+    const claims = {
+      iss: config.licenseTokens.issuer,
+      sub: validation.user_id,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp,
+      key_id: validation.key_id,
+      user_id: validation.user_id,
+      product: validation.product,
+      plan: validation.plan,
+      scopes: validation.scopes
+    };
+
+    const { token, kid } = signer.sign(claims);
+    logger.info('License token issued', { keyId: validation.key_id, kid, exp: claims.exp });
+
+    return {
+      token,
+      kid,
+      expires_at: new Date(claims.exp * 1000).toISOString(),
+      claims
+    };
+  }
+
+  /**
+   * Record one use of a key, enforcing max_uses and the period quota
+   * The update only matches while the key still has uses left, so concurrent
+   * validations can't push it past its limits. A period whose window has
+   * passed starts over at 1 with a new reset time. The first use of a pending
+   * key also activates it.
+   * @param {Object} key - Mapped key record
+   * @returns {Promise<Object>} { consumed, key } with the refreshed record
+   */
+  async consumeKeyUse(key) {
+    let current = key;
+
+    // A retry is only needed when another request opened a new quota window first
+    for (let attempt = 0; attempt < 3 && current; attempt += 1) {
+      const now = new Date();
+      const where = { keyId: current.key_id };
+      const data = { usageCount: { increment: 1 }, lastAccessed: now };
+
+      // The first use of a pending key starts its clock; only one request can win the activation
+      if (current.status === 'pending') {
+        where.status = STATUS_PENDING;
+        data.status = STATUS_ACTIVE;
+        data.activatedAt = now;
+        data.expiresAt = new Date(now.getTime() + current.activation_hours * 60 * 60 * 1000);
+      }
+
+      if (current.max_uses !== null) {
+        where.usageCount = { lt: current.max_uses };
+      }
+
+      if (current.quota_limit !== null) {
+        const resetAt = current.quota_reset_at ? new Date(current.quota_reset_at) : null;
+        where.quotaResetAt = resetAt;
+
+        if (resetAt && resetAt > now) {
+          where.quotaUsed = { lt: current.quota_limit };
+          data.quotaUsed = { increment: 1 };
+        } else {
+          data.quotaUsed = 1;
+          data.quotaResetAt = getQuotaWindowEnd(current.quota_period, now);
+        }
+      }
+
+      const { count } = await prisma.accessKey.updateMany({ where, data });
+      const previousStatus = current.status;
+      current = await this.getKeyById(current.key_id);
+
+      if (count > 0) {
+        if (previousStatus === 'pending') {
+          logger.info('Key activated on first use', { keyId: current.key_id, expiresAt: current.expires_at });
+        }
+        await this.touchEndUser(key.user_id, now);
+        return { consumed: true, key: current };
+      }
+
+      if (!current || getQuotaInfo(current, now)?.exhausted) {
+        break;
+      }
+    }
+
+    return { consumed: false, key: current };
+  }
+
+  /**
+   * Record that a user was seen, unless it was already within END_USER_SEEN_INTERVAL_MS
+   * @param {string} userId
+   * @param {Date} now
+   */
+  async touchEndUser(userId, now = new Date()) {
+    await prisma.endUser.updateMany({
       where: {
+        id: userId,
         OR: [
-          { expiresAt: { lte: new Date() } },
-          { status: 'EXPIRED' }
+          { lastSeenAt: null },
+          { lastSeenAt: { lt: new Date(now.getTime() - END_USER_SEEN_INTERVAL_MS) } }
         ]
+      },
+      data: { lastSeenAt: now }
+    });
+  }
+
+  /**
+   * Keys of a user, newest first
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} [options.product] - Only keys of this product slug
+   */
+  async getUserKeys(userId, { product } = {}) {
+    const records = await prisma.accessKey.findMany({
+      where: {
+        userId,
+        ...(product ? { product: { slug: product } } : {})
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        rotatedFrom: { select: { keyId: true } },
+        rotatedTo: { select: { keyId: true } },
+        plan: { select: KEY_PLAN_SELECT },
+        product: { select: { slug: true } }
       }
     });
+
+    const keys = records.map((record) => {
+      const mapped = mapAccessKeyRecord(record);
+      const valid = isKeyValid(mapped);
+      const timeInfo = getKeyRemainingTime(mapped);
+
+      return {
+        key_id: mapped.key_id,
+        legacy: mapped.legacy,
+        user_id: mapped.user_id,
+        product: mapped.product,
+        plan: mapped.plan,
+        valid,
+        status: mapped.status,
+        created_at: mapped.created_at,
+        starts_at: mapped.starts_at,
+        expires_at: mapped.expires_at,
+        activate_by: mapped.activate_by,
+        activated_at: mapped.activated_at,
+        time_remaining: timeInfo,
+        ...(valid && isKeyInGrace(mapped) ? describeGrace(mapped) : {}),
+        usage_count: mapped.usage_count,
+        last_accessed: mapped.last_accessed,
+        revoked_at: mapped.revoked_at,
+        revoke_reason: mapped.revoke_reason,
+        suspended_at: mapped.suspended_at,
+        superseded_at: mapped.superseded_at,
+        scopes: mapped.scopes,
+        quota: getQuotaInfo(mapped),
+        ip_binding: describeIpBinding(mapped),
+        max_devices: mapped.max_devices,
+        rotated_from: record.rotatedFrom ? record.rotatedFrom.keyId : null,
+        rotated_to: record.rotatedTo ? record.rotatedTo.keyId : null
+      };
+    });
+
+    logger.debug('Retrieved user keys', {
+      userId,
+      product,
+      keyCount: keys.length
+    });
+
+    return keys;
   }
 
-  async getRecentKeys(hours = 24) {
+  /**
+   * Key metadata without counting a use
+   * @param {string} keyRef - Full key as presented by the client, or the key ID with byKeyId
+   * @param {Object} options
+   * @param {boolean} [options.byKeyId] - Look the key up by ID without its secret (admin)
+   */
+  async getKeyInfo(keyRef, { byKeyId = false } = {}) {
+    try {
+      const key = byKeyId ? await this.getKeyById(keyRef) : await this.authenticateKey(keyRef);
+
+      if (!key) {
+        return {
+          error: 'Key not found',
+          code: 404
+        };
+      }
+
+      const state = getKeyState(key);
+      const valid = state === 'active';
+      const timeInfo = getKeyRemainingTime(key);
+      const product = await productService.getProductById(key.product_id);
+
+      return {
+        msg: STATE_MESSAGES[state],
+        code: STATE_CODES[state],
+        data: {
+          key_id: key.key_id,
+          legacy: key.legacy,
+          user_id: key.user_id,
+          product: key.product,
+          product_name: product ? product.name : null,
+          branding: product ? product.branding : null,
+          plan: key.plan,
+          valid,
+          status: key.status,
+          created_at: key.created_at,
+          starts_at: key.starts_at,
+          ...(state === 'scheduled' ? { starts_in: getRemainingTime(key.starts_at) } : {}),
+          expires_at: key.expires_at,
+          ...(valid && isKeyInGrace(key) ? describeGrace(key) : {}),
+          activate_by: key.activate_by,
+          activated_at: key.activated_at,
+          time_remaining: timeInfo,
+          usage_count: key.usage_count,
+          last_accessed: key.last_accessed,
+          revoked_at: key.revoked_at,
+          revoke_reason: key.revoke_reason,
+          suspended_at: key.suspended_at,
+          scopes: key.scopes,
+          quota: getQuotaInfo(key),
+          rate_limit: key.rate_limit,
+          ip_binding: describeIpBinding(key),
+          max_devices: key.max_devices
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting key info:', error);
+      throw error;
+    }
+  }
+
+  async deleteKey(keyId, { actorId = null } = {}) {
+    try {
+      await prisma.accessKey.delete({
+        where: { keyId }
+      });
+
+      logger.info('Key deleted successfully', { keyId, actorId });
+      return { success: true };
+    } catch (error) {
+      if (error?.code === 'P2025') {
+        return { error: 'Key not found', code: 404 };
+      }
+
+      logger.error('Failed to delete key:', error);
+      return { error: 'Failed to delete key', code: 500 };
+    }
+  }
+
+  /**
+   * Revoke a key without deleting it, recording who did it and why
+   * @param {string} keyId
+   * @param {Object} options
+   * @param {string} options.reason
+   * @param {string|null} options.actorId - Admin user performing the revocation
+   */
+  async revokeKey(keyId, { reason, actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (key.status === 'revoked') {
+      return { error: 'Key is already revoked', code: 409 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: {
+        status: STATUS_REVOKED,
+        revokedAt: new Date(),
+        revokedById: actorId,
+        revokeReason: reason,
+        suspendedAt: null
+      }
+    });
+
+    logger.warn('Key revoked', { keyId, actorId, reason });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Lift a revocation, making the key usable again until its original expiry
+   * @param {string} keyId
+   * @param {Object} options
+   * @param {string|null} options.actorId - Admin user lifting the revocation
+   */
+  async unrevokeKey(keyId, { actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (key.status !== 'revoked') {
+      return { error: 'Key is not revoked', code: 409 };
+    }
+
+    // A rotated key goes back to superseded, it never competes with its successor
+    const wasSuperseded = Boolean(key.superseded_at);
+    const neverActivated = !key.expires_at && !key.lifetime;
+    if (!wasSuperseded) {
+      const { maxActiveKeys } = await this.getKeyPlanLimits(key);
+      const conflict = await this.findKeyLimitConflict(key.user_id, key.product_id, maxActiveKeys, { excludeKeyId: keyId });
+      if (conflict) {
+        return conflict;
+      }
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: {
+        status: wasSuperseded ? STATUS_SUPERSEDED : neverActivated ? STATUS_PENDING : STATUS_ACTIVE,
+        revokedAt: null,
+        revokedById: null,
+        revokeReason: null
+      }
+    });
+
+    logger.info('Key revocation lifted', { keyId, actorId });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Change the expiry of an existing key, keeping its usage history
+   * Exactly one mode is applied: addHours (relative to the current expiry),
+   * expiresAt (absolute), reactivate (restart the clock from now) or lifetime
+   * (drop the expiry). Setting expiresAt on a lifetime key gives it an expiry again.
+   * @param {string} keyId
+   * @param {Object} changes
+   * @param {number} [changes.addHours] - May be negative to shorten the key
+   * @param {Date} [changes.expiresAt]
+   * @param {boolean} [changes.reactivate]
+   * @param {number} [changes.hours] - Duration used when reactivating
+   * @param {boolean} [changes.lifetime]
+   * @param {string|null} [changes.actorId]
+   */
+  async updateKeyExpiry(keyId, { addHours, expiresAt, reactivate = false, hours, lifetime = false, actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (key.status === 'revoked') {
+      return { error: 'Key is revoked', code: 409 };
+    }
+
+    if (key.status === 'suspended') {
+      return { error: 'Key is suspended, resume it first', code: 409 };
+    }
+
+    if (key.status === 'superseded') {
+      return { error: 'Key has been rotated', code: 409 };
+    }
+
+    if (key.lifetime && (lifetime || addHours !== undefined)) {
+      return { error: 'Key never expires, set expires_at to give it an expiry', code: 409 };
+    }
+
+    // Keys that never started their clock have no expiry to move
+    if (!key.lifetime && !key.expires_at && !reactivate && !lifetime) {
+      return { error: 'Key has not been activated yet', code: 409 };
+    }
+
+    const now = new Date();
+    // A key in its grace period has run out: it can be reactivated like an expired one
+    const wasValid = isKeyValid(key) && !isKeyInGrace(key);
+
+    if (lifetime) {
+      return this.makeKeyLifetime(key, { wasValid, actorId });
+    }
+
+    const scheduled = isKeyScheduled(key);
+    // A scheduled key's duration is measured from its start
+    const clockStart = scheduled ? new Date(key.starts_at) : now;
+    const limits = await this.getKeyPlanLimits(key);
+    let newExpiry;
+
+    if (reactivate) {
+      if (wasValid || scheduled) {
+        return { error: 'Key is still active', code: 409 };
+      }
+      newExpiry = new Date(getExpirationDate(hours || limits.defaultHours));
+    } else if (expiresAt) {
+      newExpiry = new Date(expiresAt);
+    } else {
+      newExpiry = new Date(new Date(key.expires_at).getTime() + addHours * 60 * 60 * 1000);
+    }
+
+    if (newExpiry <= clockStart) {
+      return { error: scheduled ? 'New expiry must be after starts_at' : 'New expiry must be in the future', code: 400 };
+    }
+
+    const maxExpiry = new Date(clockStart.getTime() + limits.maxHours * 60 * 60 * 1000);
+    if (newExpiry > maxExpiry) {
+      return {
+        error: `New expiry cannot be more than ${limits.maxHours} hours from ${scheduled ? 'starts_at' : 'now'}`,
+        code: 400
+      };
+    }
+
+    if (!wasValid && !scheduled) {
+      const conflict = await this.findKeyLimitConflict(key.user_id, key.product_id, limits.maxActiveKeys, { excludeKeyId: keyId });
+      if (conflict) {
+        return conflict;
+      }
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: {
+        expiresAt: newExpiry,
+        status: STATUS_ACTIVE
+      }
+    });
+
+    logger.info('Key expiry updated', {
+      keyId,
+      actorId,
+      previousExpiry: key.expires_at,
+      newExpiry: newExpiry.toISOString()
+    });
+
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Drop the expiry of a key so it never expires; a pending key is activated on the way
+   * @param {Object} key - Mapped key
+   * @param {Object} options
+   * @param {boolean} options.wasValid - Whether the key counts toward the user's limit already
+   * @param {string|null} options.actorId
+   */
+  async makeKeyLifetime(key, { wasValid, actorId = null }) {
+    if (!wasValid) {
+      const { maxActiveKeys } = await this.getKeyPlanLimits(key);
+      const conflict = await this.findKeyLimitConflict(key.user_id, key.product_id, maxActiveKeys, { excludeKeyId: key.key_id });
+      if (conflict) {
+        return conflict;
+      }
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId: key.key_id },
+      data: {
+        expiresAt: null,
+        activationHours: null,
+        activateBy: null,
+        status: STATUS_ACTIVE
+      }
+    });
+
+    logger.info('Key expiry removed', { keyId: key.key_id, actorId, previousExpiry: key.expires_at });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Suspend an active key, freezing its remaining time
+   * @param {string} keyId
+   * @param {Object} options
+   * @param {string|null} options.actorId
+   */
+  async suspendKey(keyId, { actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (key.status !== 'active' || !isKeyValid(key) || isKeyInGrace(key)) {
+      return { error: 'Only active keys can be suspended', code: 409 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: {
+        status: STATUS_SUSPENDED,
+        suspendedAt: new Date()
+      }
+    });
+
+    logger.warn('Key suspended', { keyId, actorId });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Resume a suspended key, pushing its expiry forward by the time it spent suspended
+   * @param {string} keyId
+   * @param {Object} options
+   * @param {string|null} options.actorId
+   */
+  async resumeKey(keyId, { actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (key.status !== 'suspended') {
+      return { error: 'Key is not suspended', code: 409 };
+    }
+
+    const { maxActiveKeys } = await this.getKeyPlanLimits(key);
+    const conflict = await this.findKeyLimitConflict(key.user_id, key.product_id, maxActiveKeys, { excludeKeyId: keyId });
+    if (conflict) {
+      return conflict;
+    }
+
+    const pausedMs = Date.now() - new Date(key.suspended_at).getTime();
+    const newExpiry = key.lifetime ? null : new Date(new Date(key.expires_at).getTime() + Math.max(pausedMs, 0));
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: {
+        status: STATUS_ACTIVE,
+        suspendedAt: null,
+        expiresAt: newExpiry
+      }
+    });
+
+    logger.info('Key resumed', { keyId, actorId, pausedMs });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Replace the scopes of a key
+   * @param {string} keyId
+   * @param {Object} changes
+   * @param {string[]} changes.scopes - Normalized scope list (empty clears every scope)
+   * @param {string|null} changes.actorId
+   */
+  async updateKeyScopes(keyId, { scopes, actorId = null }) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: { scopes }
+    });
+
+    logger.info('Key scopes updated', { keyId, actorId, previous: key.scopes, scopes });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Set or clear the per-key rate limit override
+   * @param {string} keyId
+   * @param {Object} changes
+   * @param {number|null} changes.rateLimit - Requests per window (null uses the default)
+   * @param {string|null} changes.actorId
+   */
+  async updateKeyRateLimit(keyId, { rateLimit, actorId = null }) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: { rateLimit }
+    });
+
+    logger.info('Key rate limit updated', { keyId, actorId, previous: key.rate_limit, rateLimit });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Change how a key is bound to client addresses
+   * Switching to 'creation' locks the key to the address it was created from;
+   * 'first_use' locks it again on the next validation.
+   * @param {string} keyId
+   * @param {Object} changes
+   * @param {string} changes.mode - 'none' | 'creation' | 'first_use' | 'cidr'
+   * @param {string[]} changes.allowedCidrs - Normalized blocks for 'cidr'
+   * @param {string|null} changes.actorId
+   */
+  async updateKeyIpBinding(keyId, { mode, allowedCidrs = [], actorId = null }) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (mode === 'creation' && !key.ip_address) {
+      return { error: 'Key has no creation IP to bind to', code: 409 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: {
+        ipBindingMode: mode.toUpperCase(),
+        boundIp: mode === 'creation' ? key.ip_address : null,
+        boundAt: mode === 'creation' ? new Date() : null,
+        allowedCidrs
+      }
+    });
+
+    logger.info('Key IP binding updated', { keyId, actorId, previous: key.ip_binding, mode, allowedCidrs });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Forget the address a key is locked to, so the next validation binds it again
+   * @param {string} keyId
+   * @param {Object} options
+   * @param {string|null} options.actorId
+   */
+  async resetIpBinding(keyId, { actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (!SINGLE_IP_MODES.includes(key.ip_binding)) {
+      return { error: 'Key is not bound to a single IP address', code: 409 };
+    }
+
+    // The next validation claims the key, whatever the original mode was
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: { boundIp: null, boundAt: null }
+    });
+
+    logger.warn('Key IP binding reset', { keyId, actorId, previousIp: key.bound_ip });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Devices registered on a key, most recently seen first
+   * @param {string} keyId
+   * @returns {Promise<Object>} { key, devices, seats } or { error, code }
+   */
+  async getKeyDevices(keyId) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    const records = await prisma.keyDevice.findMany({
+      where: { keyId: key.id },
+      orderBy: { lastSeenAt: 'desc' }
+    });
+
+    return {
+      key,
+      devices: records.map(mapKeyDeviceRecord),
+      seats: { used: records.length, allowed: key.max_devices }
+    };
+  }
+
+  /**
+   * Free the seat taken by one device of a key
+   * @param {string} keyId
+   * @param {number} deviceId
+   * @param {Object} options
+   * @param {string|null} options.actorId
+   */
+  async releaseKeyDevice(keyId, deviceId, { actorId = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    const { count } = await prisma.keyDevice.deleteMany({
+      where: { id: deviceId, keyId: key.id }
+    });
+
+    if (count === 0) {
+      return { error: 'Device not found', code: 404 };
+    }
+
+    logger.warn('Key device released', { keyId, deviceId, actorId });
+    return { success: true };
+  }
+
+  /**
+   * Set or clear the number of devices a key can be used from
+   * Lowering it keeps the devices already registered; only new ones are refused.
+   * @param {string} keyId
+   * @param {Object} changes
+   * @param {number|null} changes.maxDevices - Seats (null for unlimited)
+   * @param {string|null} changes.actorId
+   */
+  async updateKeyMaxDevices(keyId, { maxDevices, actorId = null }) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: { maxDevices }
+    });
+
+    logger.info('Key device limit updated', { keyId, actorId, previous: key.max_devices, maxDevices });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Set how long a key keeps validating after it expires
+   * @param {string} keyId
+   * @param {Object} changes
+   * @param {number|null} changes.gracePeriodMinutes - null falls back to the plan's, then the global default
+   * @param {string|null} [changes.actorId]
+   */
+  async updateKeyGracePeriod(keyId, { gracePeriodMinutes, actorId = null }) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    const updated = await prisma.accessKey.update({
+      where: { keyId },
+      data: { gracePeriodMinutes },
+      include: { plan: { select: KEY_PLAN_SELECT } }
+    });
+
+    logger.info('Key grace period updated', { keyId, actorId, previous: key.grace_period_minutes, gracePeriodMinutes });
+    return { success: true, key: mapAccessKeyRecord(updated) };
+  }
+
+  /**
+   * Issue a new key for the same user with the same remaining lifetime,
+   * marking the current one as superseded
+   * A new key is still a key issued to the user, so disabled and banned users can't rotate.
+   * @param {string} keyId
+   * @param {Object} options
+   * @param {number} [options.overlapMinutes] - How long the old key keeps working
+   * @param {string|null} [options.actorId] - Admin user performing the rotation (null for the owner)
+   * @param {string|null} [options.ipAddress]
+   */
+  async rotateKey(keyId, { overlapMinutes = config.keys.rotationOverlapMinutes, actorId = null, ipAddress = null } = {}) {
+    const key = await this.getKeyById(keyId);
+    if (!key) {
+      return { error: 'Key not found', code: 404 };
+    }
+
+    if (key.status !== 'active' || getKeyState(key) !== 'active' || isKeyInGrace(key)) {
+      return { error: 'Only active keys can be rotated', code: 409 };
+    }
+
+    const refusal = await this.findIssueRefusal(key.user_id, ipAddress);
+    if (refusal) {
+      return refusal;
+    }
+
+    const now = new Date();
+    // A lifetime key's successor is a lifetime key too
+    const expiresAt = key.lifetime ? null : new Date(key.expires_at);
+    const overlapEnd = new Date(now.getTime() + overlapMinutes * 60 * 1000);
+    const oldKeyValidUntil = !expiresAt || overlapEnd < expiresAt ? overlapEnd : expiresAt;
+    const { keyId: newKeyId, key: accessKey, secretHash } = generateAccessKey();
+
+    try {
+      const { previous, created } = await prisma.$transaction(async (tx) => {
+        // Device registration locks the key too, so no seat is taken between the copy and the rotation
+        await tx.$queryRaw`SELECT "id" FROM "AccessKey" WHERE "id" = ${key.id} FOR UPDATE`;
+        const devices = await tx.keyDevice.findMany({ where: { keyId: key.id } });
+
+        const previous = await tx.accessKey.update({
+          where: { keyId },
+          data: {
+            status: STATUS_SUPERSEDED,
+            supersededAt: now,
+            expiresAt: oldKeyValidUntil
+          }
+        });
+
+        const created = await tx.accessKey.create({
+          data: {
+            keyId: newKeyId,
+            secretHash,
+            userId: key.user_id,
+            expiresAt,
+            ipAddress: ipAddress || key.ip_address,
+            status: STATUS_ACTIVE,
+            createdById: actorId || key.created_by,
+            rotatedFromId: key.id,
+            planId: key.plan_id,
+            productId: key.product_id,
+            scopes: key.scopes,
+            // The successor inherits what is left of the limits, so rotating can't reset them
+            maxUses: key.max_uses !== null ? key.max_uses - key.usage_count : null,
+            quotaLimit: key.quota_limit,
+            quotaPeriod: key.quota_period ? key.quota_period.toUpperCase() : null,
+            quotaUsed: key.quota_used,
+            quotaResetAt: key.quota_reset_at ? new Date(key.quota_reset_at) : null,
+            rateLimit: key.rate_limit,
+            gracePeriodMinutes: key.grace_period_minutes,
+            ipBindingMode: key.ip_binding.toUpperCase(),
+            boundIp: key.bound_ip,
+            boundAt: key.bound_at ? new Date(key.bound_at) : null,
+            allowedCidrs: key.allowed_cidrs,
+            // Registered devices keep their seats on the successor
+            maxDevices: key.max_devices,
+            devices: {
+              create: devices.map(({ fingerprint, firstSeenAt, lastSeenAt, lastIp }) => ({
+                fingerprint,
+                firstSeenAt,
+                lastSeenAt,
+                lastIp
+              }))
+            }
+          }
+        });
+
+        return { previous, created };
+      });
+
+      logger.info('Key rotated', {
+        keyId,
+        newKeyId,
+        userId: key.user_id,
+        actorId,
+        overlapMinutes
+      });
+
+      return {
+        success: true,
+        key: { ...mapAccessKeyRecord(created), rotated_from: keyId },
+        previous: { ...mapAccessKeyRecord(previous), rotated_to: newKeyId },
+        // Full key of the successor, returned once like at creation
+        access_key: accessKey
+      };
+    } catch (error) {
+      // Unique rotated_from_id: someone else rotated this key first
+      if (error?.code === 'P2002') {
+        return { error: 'Key has already been rotated', code: 409 };
+      }
+      throw error;
+    }
+  }
+
+  async getTotalKeysCount({ productId = null } = {}) {
+    return prisma.accessKey.count({
+      where: productId ? { productId } : {}
+    });
+  }
+
+  async getActiveKeysCount({ productId = null } = {}) {
+    return prisma.accessKey.count({
+      where: {
+        ...(productId ? { productId } : {}),
+        status: STATUS_ACTIVE,
+        OR: unexpiredKeyConditions(new Date())
+      }
+    });
+  }
+
+  async getExpiredKeysCount({ productId = null } = {}) {
+    const now = new Date();
+    // Keys past their expiry (or activation deadline) that the sweeper has not reached yet also count
+    const [expired, inGrace] = await Promise.all([
+      prisma.accessKey.count({
+        where: {
+          ...(productId ? { productId } : {}),
+          OR: [
+            { status: STATUS_EXPIRED },
+            ...overdueKeyConditions(now)
+          ]
+        }
+      }),
+      this.getGraceKeysCount({ productId, now })
+    ]);
+
+    // Keys in their grace period still validate, they are counted apart
+    return expired - inGrace;
+  }
+
+  async getGraceKeysCount({ productId = null, now = new Date() } = {}) {
+    const counts = await countKeysInGraceByProduct(now);
+    if (productId) {
+      return counts.get(productId) || 0;
+    }
+
+    return [...counts.values()].reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Total, active, expired, in grace and recent (last 24h) key counts of every product
+   * @returns {Promise<Array<Object>>}
+   */
+  async getKeyStatsByProduct() {
+    const now = new Date();
+    const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const countBy = (where) => prisma.accessKey.groupBy({
+      by: ['productId'],
+      where,
+      _count: { _all: true }
+    });
+
+    const [products, total, active, expired, inGrace, recent] = await Promise.all([
+      productService.listProducts(),
+      countBy({}),
+      countBy({ status: STATUS_ACTIVE, OR: unexpiredKeyConditions(now) }),
+      countBy({
+        OR: [
+          { status: STATUS_EXPIRED },
+          ...overdueKeyConditions(now)
+        ]
+      }),
+      countKeysInGraceByProduct(now),
+      countBy({ createdAt: { gte: since } })
+    ]);
+
+    const countFor = (groups, productId) => groups.find((group) => group.productId === productId)?._count._all || 0;
+
+    return products.map((product) => ({
+      id: product.id,
+      slug: product.slug,
+      name: product.name,
+      total_keys: countFor(total, product.id),
+      active_keys: countFor(active, product.id),
+      expired_keys: countFor(expired, product.id) - (inGrace.get(product.id) || 0),
+      grace_keys: inGrace.get(product.id) || 0,
+      recent_keys: countFor(recent, product.id)
+    }));
+  }
+
+  /**
+   * Move active keys past their expiry, and pending keys past their activation deadline, to EXPIRED
+   * @returns {Promise<number>} Number of keys transitioned
+   */
+  async expireOverdueKeys(now = new Date()) {
+    const result = await prisma.accessKey.updateMany({
+      where: { OR: overdueKeyConditions(now) },
+      data: { status: STATUS_EXPIRED }
+    });
+
+    if (result.count > 0) {
+      logger.info('Marked overdue keys as expired', { count: result.count });
+    }
+
+    return result.count;
+  }
+
+  async getRecentKeys(hours = 24, { productId = null } = {}) {
     const since = new Date(Date.now() - hours * 60 * 60 * 1000);
     const records = await prisma.accessKey.findMany({
-      where: { createdAt: { gte: since } },
+      where: {
+        ...(productId ? { productId } : {}),
+        createdAt: { gte: since }
+      },
       orderBy: { createdAt: 'desc' }
     });
 
@@ -0,0 +1,177 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+
+const logger = new Logger(config.logging.level);
+
+function mapPlanRecord(record) {
+  if (!record) return null;
+
+  return {
+    id: record.id,
+    slug: record.slug,
+    name: record.name,
+    description: record.description || null,
+    default_hours: record.defaultHours ?? null,
+    max_hours: record.maxHours ?? null,
+    max_active_keys: record.maxActiveKeys,
+    max_uses: record.maxUses ?? null,
+    quota_limit: record.quotaLimit ?? null,
+    quota_period: record.quotaPeriod ? record.quotaPeriod.toLowerCase() : null,
+    rate_limit: record.rateLimit ?? null,
+    max_devices: record.maxDevices ?? null,
+    grace_period_minutes: record.gracePeriodMinutes ?? null,
+    is_default: record.isDefault,
+    is_public: record.isPublic,
+    created_at: record.createdAt.toISOString(),
+    updated_at: record.updatedAt.toISOString()
+  };
+}
+
+/**
+ * Limits that apply to keys of a plan
+ * Unset hours fall back to the key's product, then to the global configuration
+ * (as do unset rate limits), which is how the default plan keeps the behavior
+ * from before plans existed.
+ * @param {Object} plan - Mapped plan
+ * @param {Object|null} product - Mapped product of the key
+ */
+function getEffectiveLimits(plan, product = null) {
+  return {
+    defaultHours: plan.default_hours ?? product?.default_hours ?? config.keys.defaultHours,
+    maxHours: plan.max_hours ?? product?.max_hours ?? config.keys.maxHours,
+    maxActiveKeys: plan.max_active_keys,
+    maxUses: plan.max_uses,
+    quotaLimit: plan.quota_limit,
+    quotaPeriod: plan.quota_period,
+    rateLimit: plan.rate_limit ?? config.keyRateLimit.max,
+    maxDevices: plan.max_devices
+  };
+}
+
+async function listPlans() {
+  const records = await prisma.keyPlan.findMany({
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+    include: { _count: { select: { keys: true } } }
+  });
+
+  return records.map((record) => ({
+    ...mapPlanRecord(record),
+    key_count: record._count.keys
+  }));
+}
+
+async function getPlanById(id) {
+  const record = await prisma.keyPlan.findUnique({ where: { id } });
+  return mapPlanRecord(record);
+}
+
+async function getPlanBySlug(slug) {
+  const record = await prisma.keyPlan.findUnique({ where: { slug } });
+  return mapPlanRecord(record);
+}
+
+async function getDefaultPlan() {
+  const record = await prisma.keyPlan.findFirst({ where: { isDefault: true } });
+  return mapPlanRecord(record);
+}
+
+/**
+ * Plan a new key is issued under
+ * @param {string|undefined} slug - Requested plan, the default plan when empty
+ * @param {Object} options
+ * @param {boolean} options.allowPrivate - Admin issuance may use plans hidden from the public API
+ * @returns {Promise<Object>} { plan } or { error, code }
+ */
+async function resolvePlan(slug, { allowPrivate = false } = {}) {
+  const plan = slug ? await getPlanBySlug(slug) : await getDefaultPlan();
+
+  if (!plan) {
+    return slug
+      ? { error: `Unknown plan "${slug}"`, code: 400 }
+      : { error: 'No default plan configured', code: 500 };
+  }
+
+  if (!plan.is_public && !allowPrivate) {
+    return { error: `Plan "${plan.slug}" is not available`, code: 403 };
+  }
+
+  return { plan };
+}
+
+/**
+ * Create a plan; making it the default removes the flag from the previous one
+ * @param {Object} data - Prisma KeyPlan fields
+ */
+async function createPlan(data, actorId = null) {
+  const created = await prisma.$transaction(async (tx) => {
+    if (data.isDefault) {
+      await tx.keyPlan.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+    }
+    return tx.keyPlan.create({ data });
+  });
+
+  logger.info('Key plan created', { slug: created.slug, actorId });
+  return mapPlanRecord(created);
+}
+
+async function updatePlan(id, updates, actorId = null) {
+  const current = await prisma.keyPlan.findUnique({ where: { id } });
+  if (!current) {
+    return { error: 'Plan not found', code: 404 };
+  }
+
+  if (current.isDefault && updates.isDefault === false) {
+    return { error: 'Choose another default plan instead of unsetting this one', code: 409 };
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (updates.isDefault && !current.isDefault) {
+      await tx.keyPlan.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+    }
+    return tx.keyPlan.update({ where: { id }, data: updates });
+  });
+
+  logger.info('Key plan updated', { id, slug: updated.slug, actorId });
+  return { success: true, plan: mapPlanRecord(updated) };
+}
+
+async function deletePlan(id, actorId = null) {
+  const current = await prisma.keyPlan.findUnique({
+    where: { id },
+    include: { _count: { select: { keys: true, redeemBatches: true } } }
+  });
+
+  if (!current) {
+    return { error: 'Plan not found', code: 404 };
+  }
+
+  if (current.isDefault) {
+    return { error: 'The default plan cannot be deleted', code: 409 };
+  }
+
+  if (current._count.keys > 0) {
+    return { error: `Plan still has ${current._count.keys} keys`, code: 409 };
+  }
+
+  if (current._count.redeemBatches > 0) {
+    return { error: `Plan is used by ${current._count.redeemBatches} redeem batches`, code: 409 };
+  }
+
+  await prisma.keyPlan.delete({ where: { id } });
+  logger.warn('Key plan deleted', { id, slug: current.slug, actorId });
+  return { success: true };
+}
+
+module.exports = {
+  mapPlanRecord,
+  getEffectiveLimits,
+  listPlans,
+  getPlanById,
+  getPlanBySlug,
+  getDefaultPlan,
+  resolvePlan,
+  createPlan,
+  updatePlan,
+  deletePlan
+};
@@ -0,0 +1,146 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+
+const logger = new Logger(config.logging.level);
+
+function mapProductRecord(record) {
+  if (!record) return null;
+
+  return {
+    id: record.id,
+    slug: record.slug,
+    name: record.name,
+    description: record.description || null,
+    default_hours: record.defaultHours ?? null,
+    max_hours: record.maxHours ?? null,
+    branding: {
+      color: record.brandColor || null,
+      logo_url: record.logoUrl || null,
+      support_url: record.supportUrl || null
+    },
+    is_default: record.isDefault,
+    created_at: record.createdAt.toISOString(),
+    updated_at: record.updatedAt.toISOString()
+  };
+}
+
+async function listProducts() {
+  const records = await prisma.product.findMany({
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+    include: { _count: { select: { keys: true } } }
+  });
+
+  return records.map((record) => ({
+    ...mapProductRecord(record),
+    key_count: record._count.keys
+  }));
+}
+
+async function getProductById(id) {
+  const record = await prisma.product.findUnique({ where: { id } });
+  return mapProductRecord(record);
+}
+
+async function getProductBySlug(slug) {
+  const record = await prisma.product.findUnique({ where: { slug } });
+  return mapProductRecord(record);
+}
+
+async function getDefaultProduct() {
+  const record = await prisma.product.findFirst({ where: { isDefault: true } });
+  return mapProductRecord(record);
+}
+
+/**
+ * Product a new key is issued for
+ * @param {string|undefined} slug - Requested product, the default product when empty
+ * @returns {Promise<Object>} { product } or { error, code }
+ */
+async function resolveProduct(slug) {
+  const product = slug ? await getProductBySlug(slug) : await getDefaultProduct();
+
+  if (!product) {
+    return slug
+      ? { error: `Unknown product "${slug}"`, code: 400 }
+      : { error: 'No default product configured', code: 500 };
+  }
+
+  return { product };
+}
+
+/**
+ * Create a product; making it the default removes the flag from the previous one
+ * @param {Object} data - Prisma Product fields
+ */
+async function createProduct(data, actorId = null) {
+  const created = await prisma.$transaction(async (tx) => {
+    if (data.isDefault) {
+      await tx.product.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+    }
+    return tx.product.create({ data });
+  });
+
+  logger.info('Product created', { slug: created.slug, actorId });
+  return mapProductRecord(created);
+}
+
+async function updateProduct(id, updates, actorId = null) {
+  const current = await prisma.product.findUnique({ where: { id } });
+  if (!current) {
+    return { error: 'Product not found', code: 404 };
+  }
+
+  if (current.isDefault && updates.isDefault === false) {
+    return { error: 'Choose another default product instead of unsetting this one', code: 409 };
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (updates.isDefault && !current.isDefault) {
+      await tx.product.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+    }
+    return tx.product.update({ where: { id }, data: updates });
+  });
+
+  logger.info('Product updated', { id, slug: updated.slug, actorId });
+  return { success: true, product: mapProductRecord(updated) };
+}
+
+async function deleteProduct(id, actorId = null) {
+  const current = await prisma.product.findUnique({
+    where: { id },
+    include: { _count: { select: { keys: true, redeemBatches: true } } }
+  });
+
+  if (!current) {
+    return { error: 'Product not found', code: 404 };
+  }
+
+  if (current.isDefault) {
+    return { error: 'The default product cannot be deleted', code: 409 };
+  }
+
+  if (current._count.keys > 0) {
+    return { error: `Product still has ${current._count.keys} keys`, code: 409 };
+  }
+
+  if (current._count.redeemBatches > 0) {
+    return { error: `Product is used by ${current._count.redeemBatches} redeem batches`, code: 409 };
+  }
+
+  await prisma.product.delete({ where: { id } });
+  logger.warn('Product deleted', { id, slug: current.slug, actorId });
+  return { success: true };
+}
+
+module.exports = {
+  mapProductRecord,
+  listProducts,
+  getProductById,
+  getProductBySlug,
+  getDefaultProduct,
+  resolveProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct
+};
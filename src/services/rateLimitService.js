@@ -0,0 +1,78 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+
+const logger = new Logger(config.logging.level);
+
+/**
+ * Count one hit for a bucket in a fixed window, opening a new window when the
+ * previous one is over. Runs as a single upsert so concurrent instances
+ * (including fresh serverless ones) share the same counter.
+ * @param {string} key - Bucket identifier
+ * @param {number} windowMs - Window length
+ * @returns {Promise<Object>} { hits, resetAt }
+ */
+async function hit(key, windowMs) {
+  const now = new Date();
+  const nextReset = new Date(now.getTime() + windowMs);
+
+  // Timestamps go in as ISO strings and are converted to UTC, matching how Prisma stores DateTime
+  const [row] = await prisma.$queryRaw`
+    INSERT INTO "RateLimitBucket" ("key", "hits", "reset_at")
+    VALUES (${key}, 1, CAST(${nextReset.toISOString()} AS timestamptz) AT TIME ZONE 'UTC')
+    ON CONFLICT ("key") DO UPDATE SET
+      "hits" = CASE
+        WHEN "RateLimitBucket"."reset_at" <= CAST(${now.toISOString()} AS timestamptz) AT TIME ZONE 'UTC' THEN 1
+        ELSE "RateLimitBucket"."hits" + 1
+      END,
+      "reset_at" = CASE
+        WHEN "RateLimitBucket"."reset_at" <= CAST(${now.toISOString()} AS timestamptz) AT TIME ZONE 'UTC' THEN EXCLUDED."reset_at"
+        ELSE "RateLimitBucket"."reset_at"
+      END
+    RETURNING "hits", "reset_at"
+  `;
+
+  return { hits: row.hits, resetAt: row.reset_at };
+}
+
+async function getBucket(key) {
+  const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+  if (!bucket || bucket.resetAt <= new Date()) return null;
+  return { hits: bucket.hits, resetAt: bucket.resetAt };
+}
+
+async function undoHit(key) {
+  await prisma.rateLimitBucket.updateMany({
+    where: { key, hits: { gt: 0 } },
+    data: { hits: { decrement: 1 } }
+  });
+}
+
+async function resetBucket(key) {
+  await prisma.rateLimitBucket.deleteMany({ where: { key } });
+}
+
+/**
+ * Delete buckets whose window is over
+ * @param {Date} now
+ * @returns {Promise<number>} Number of deleted buckets
+ */
+async function purgeExpiredBuckets(now = new Date()) {
+  const { count } = await prisma.rateLimitBucket.deleteMany({
+    where: { resetAt: { lte: now } }
+  });
+
+  if (count > 0) {
+    logger.info('Purged expired rate limit buckets', { count });
+  }
+
+  return count;
+}
+
+module.exports = {
+  hit,
+  getBucket,
+  undoHit,
+  resetBucket,
+  purgeExpiredBuckets
+};
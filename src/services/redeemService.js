@@ -0,0 +1,194 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+const keyService = require('./keyService');
+const planService = require('./planService');
+const productService = require('./productService');
+const { generateRedeemCode, normalizeRedeemCode, hashKeySecret } = require('../utils/keyUtils');
+
+const logger = new Logger(config.logging.level);
+
+function mapBatchRecord(record) {
+  if (!record) return null;
+
+  return {
+    id: record.id,
+    label: record.label || null,
+    hours: record.hours,
+    product: record.product?.slug || null,
+    plan: record.plan?.slug || null,
+    created_by: record.createdById || null,
+    created_at: record.createdAt.toISOString()
+  };
+}
+
+function mapCodeRecord(record) {
+  return {
+    id: record.id,
+    hint: record.hint,
+    redeemed: Boolean(record.redeemedAt),
+    redeemed_at: record.redeemedAt ? record.redeemedAt.toISOString() : null,
+    redeemed_by: record.redeemedBy || null,
+    key_id: record.accessKey?.keyId || null
+  };
+}
+
+async function listBatches() {
+  const [records, redeemed] = await Promise.all([
+    prisma.redeemBatch.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: { plan: true, product: true, _count: { select: { codes: true } } }
+    }),
+    prisma.redeemCode.groupBy({
+      by: ['batchId'],
+      where: { redeemedAt: { not: null } },
+      _count: { _all: true }
+    })
+  ]);
+
+  const redeemedByBatch = new Map(redeemed.map((row) => [row.batchId, row._count._all]));
+
+  return records.map((record) => ({
+    ...mapBatchRecord(record),
+    total_codes: record._count.codes,
+    redeemed_codes: redeemedByBatch.get(record.id) || 0
+  }));
+}
+
+/**
+ * Codes of a batch; only hints are available, the codes themselves are shown once when minted
+ * @returns {Promise<Object>} { batch, codes } or { error, code }
+ */
+async function getBatchCodes(id) {
+  const record = await prisma.redeemBatch.findUnique({
+    where: { id },
+    include: {
+      plan: true,
+      product: true,
+      codes: { orderBy: { id: 'asc' }, include: { accessKey: { select: { keyId: true } } } }
+    }
+  });
+
+  if (!record) {
+    return { error: 'Redeem batch not found', code: 404 };
+  }
+
+  return { batch: mapBatchRecord(record), codes: record.codes.map(mapCodeRecord) };
+}
+
+/**
+ * Mint a batch of single-use codes
+ * The product and plan are checked now so a batch can't hand out codes that
+ * would all fail; the plan may be private, as with admin issuance.
+ * @param {Object} input - { count, hours, product, plan, label }
+ * @returns {Promise<Object>} { batch, codes } or { error, code }
+ */
+async function mintBatch({ count, hours, product: productSlug, plan: planSlug, label = null }, actorId = null) {
+  const productResult = await productService.resolveProduct(productSlug);
+  if (productResult.error) {
+    return productResult;
+  }
+
+  const resolved = await planService.resolvePlan(planSlug, { allowPrivate: true });
+  if (resolved.error) {
+    return resolved;
+  }
+
+  const { product } = productResult;
+  const limits = planService.getEffectiveLimits(resolved.plan, product);
+  if (hours > limits.maxHours) {
+    return { error: `hours must be a positive number between 1 and ${limits.maxHours}`, code: 400 };
+  }
+
+  const codes = Array.from({ length: count }, generateRedeemCode);
+
+  const batch = await prisma.redeemBatch.create({
+    data: {
+      label,
+      hours,
+      // Without a plan, codes get the default plan at the time they are redeemed
+      planId: planSlug ? resolved.plan.id : null,
+      productId: product.id,
+      createdById: actorId,
+      codes: {
+        create: codes.map((code) => {
+          const normalized = normalizeRedeemCode(code);
+          return { codeHash: hashKeySecret(normalized), hint: normalized.slice(-4) };
+        })
+      }
+    },
+    include: { plan: true, product: true }
+  });
+
+  logger.info('Redeem batch minted', { id: batch.id, count, hours, product: product.slug, plan: planSlug || null, actorId });
+  return { batch: { ...mapBatchRecord(batch), total_codes: count, redeemed_codes: 0 }, codes };
+}
+
+/**
+ * Turn a code into a key for a user
+ * The claim, the key and the link between them commit in one transaction:
+ * the claim is a conditional update, so two concurrent redemptions can't both
+ * win, and a failure anywhere leaves the code unredeemed.
+ * @param {string} code - Normalized code
+ * @param {string} userId
+ * @param {string|null} ipAddress
+ * @returns {Promise<Object>} createKey result or { error, code, error_code }
+ */
+async function redeemCode(code, userId, ipAddress = null) {
+  const codeHash = hashKeySecret(code);
+  const record = await prisma.redeemCode.findUnique({
+    where: { codeHash },
+    include: { batch: { include: { plan: true, product: true } } }
+  });
+
+  if (!record) {
+    return { error: 'Redeem code not found', code: 404, error_code: 'code_not_found' };
+  }
+
+  if (record.redeemedAt) {
+    return { error: 'Redeem code has already been redeemed', code: 409, error_code: 'code_already_redeemed' };
+  }
+
+  const { batch } = record;
+  const prepared = await keyService.prepareKey(userId, batch.hours, ipAddress, batch.createdById, {
+    product: batch.product.slug,
+    plan: batch.plan?.slug,
+    allowPrivatePlan: true
+  });
+
+  if (prepared.error) {
+    return prepared;
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.redeemCode.updateMany({
+      where: { id: record.id, redeemedAt: null },
+      data: { redeemedAt: new Date(), redeemedBy: userId }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const key = await keyService.insertKey(tx, prepared);
+    await tx.redeemCode.update({
+      where: { id: record.id },
+      data: { accessKey: { connect: { keyId: key.key_id } } }
+    });
+    return key;
+  });
+
+  if (!created) {
+    return { error: 'Redeem code has already been redeemed', code: 409, error_code: 'code_already_redeemed' };
+  }
+
+  logger.info('Redeem code redeemed', { batchId: batch.id, hint: record.hint, userId, keyId: created.key_id });
+  return created;
+}
+
+module.exports = {
+  listBatches,
+  getBatchCodes,
+  mintBatch,
+  redeemCode
+};
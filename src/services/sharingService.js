@@ -0,0 +1,235 @@
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+const keyService = require('./keyService');
+
+const logger = new Logger(config.logging.level);
+
+const STATUS_OPEN = 'OPEN';
+const STATUS_DISMISSED = 'DISMISSED';
+
+// Usage outcomes where the key was actually used
+const SUCCESS_OUTCOMES = ['valid', 'grace'];
+
+// Addresses, networks and countries kept as evidence on a flag
+const MAX_EVIDENCE_ITEMS = 20;
+
+const FLAG_INCLUDE = {
+  key: { select: { keyId: true, userId: true, status: true, product: { select: { slug: true } } } }
+};
+
+function mapFlagRecord(record) {
+  return {
+    id: record.id,
+    key_id: record.key.keyId,
+    user_id: record.key.userId,
+    product: record.key.product?.slug || null,
+    key_status: record.key.status.toLowerCase(),
+    status: record.status.toLowerCase(),
+    action: record.action.toLowerCase(),
+    evidence: record.evidence,
+    detected_at: record.detectedAt.toISOString(),
+    last_detected_at: record.lastDetectedAt.toISOString(),
+    dismissed_at: record.dismissedAt ? record.dismissedAt.toISOString() : null,
+    dismissed_by: record.dismissedById || null
+  };
+}
+
+/**
+ * Keys whose successful uses in the window came from too many addresses, networks or countries
+ * @param {Date} since
+ * @returns {Promise<Array>} Rows with the distinct counts and samples
+ */
+async function findSharedKeys(since) {
+  const { maxIps, maxNetworks, maxCountries } = config.keySharing;
+
+  return prisma.$queryRaw`
+    SELECT e."key_id" AS "keyId",
+      COUNT(*)::int AS "uses",
+      COUNT(DISTINCT e."ip_address")::int AS "ips",
+      COUNT(DISTINCT network(set_masklen(e."ip_address", CASE WHEN family(e."ip_address") = 4 THEN 24 ELSE 48 END)))::int AS "networks",
+      COUNT(DISTINCT e."country")::int AS "countries",
+      array_agg(DISTINCT host(e."ip_address")) AS "ipList",
+      array_agg(DISTINCT network(set_masklen(e."ip_address", CASE WHEN family(e."ip_address") = 4 THEN 24 ELSE 48 END))::text) AS "networkList",
+      array_remove(array_agg(DISTINCT e."country"), NULL) AS "countryList"
+    FROM "KeyUsageEvent" e
+    WHERE e."occurred_at" >= CAST(${since.toISOString()} AS timestamptz) AT TIME ZONE 'UTC'
+      AND e."outcome" = ANY(${SUCCESS_OUTCOMES})
+      AND e."ip_address" IS NOT NULL
+    GROUP BY e."key_id"
+    HAVING COUNT(DISTINCT e."ip_address") > ${maxIps}
+      OR COUNT(DISTINCT network(set_masklen(e."ip_address", CASE WHEN family(e."ip_address") = 4 THEN 24 ELSE 48 END))) > ${maxNetworks}
+      OR COUNT(DISTINCT e."country") > ${maxCountries}
+  `;
+}
+
+function buildEvidence(row, since) {
+  const { windowMinutes, maxIps, maxNetworks, maxCountries } = config.keySharing;
+  const reasons = [];
+  if (row.ips > maxIps) reasons.push('ips');
+  if (row.networks > maxNetworks) reasons.push('networks');
+  if (row.countries > maxCountries) reasons.push('countries');
+
+  return {
+    reasons,
+    window_minutes: windowMinutes,
+    since: since.toISOString(),
+    uses: row.uses,
+    distinct_ips: row.ips,
+    distinct_networks: row.networks,
+    distinct_countries: row.countries,
+    thresholds: { max_ips: maxIps, max_networks: maxNetworks, max_countries: maxCountries },
+    ips: row.ipList.slice(0, MAX_EVIDENCE_ITEMS),
+    networks: row.networkList.slice(0, MAX_EVIDENCE_ITEMS),
+    countries: row.countryList.slice(0, MAX_EVIDENCE_ITEMS)
+  };
+}
+
+/**
+ * Throttle or suspend a flagged key as KEY_SHARING_POLICY says
+ * A key that can't take the action (expired, already suspended...) is only flagged.
+ * @returns {Promise<Object>} { action, previousRateLimit }
+ */
+async function applyPolicy(key) {
+  const { policy, throttleLimit } = config.keySharing;
+
+  if (policy === 'suspend') {
+    const result = await keyService.suspendKey(key.keyId);
+    if (!result.error) {
+      return { action: 'SUSPEND', previousRateLimit: null };
+    }
+  }
+
+  if (policy === 'throttle') {
+    const current = await keyService.getKeyRateLimit(key.keyId);
+    if ((current ?? config.keyRateLimit.max) > throttleLimit) {
+      await keyService.updateKeyRateLimit(key.keyId, { rateLimit: throttleLimit });
+      return { action: 'THROTTLE', previousRateLimit: key.rateLimit };
+    }
+  }
+
+  return { action: 'ALERT', previousRateLimit: null };
+}
+
+/**
+ * Flag keys used from more addresses, networks or countries than allowed in the window
+ * A key with an open flag only gets its evidence refreshed; a key whose flag
+ * was dismissed during the window is left alone until the window has passed.
+ * @param {Date} now
+ * @returns {Promise<Object>} { flagged, refreshed, actions }
+ */
+async function detectKeySharing(now = new Date()) {
+  const summary = { flagged: 0, refreshed: 0, actions: { alert: 0, throttle: 0, suspend: 0 } };
+  if (config.keySharing.policy === 'off') {
+    return summary;
+  }
+
+  const since = new Date(now.getTime() - config.keySharing.windowMinutes * 60 * 1000);
+  const rows = await findSharedKeys(since);
+  if (rows.length === 0) {
+    return summary;
+  }
+
+  // Unknown keys have no key to flag
+  const keys = await prisma.accessKey.findMany({
+    where: { keyId: { in: rows.map((row) => row.keyId) } },
+    include: {
+      sharingFlags: {
+        where: { OR: [{ status: STATUS_OPEN }, { dismissedAt: { gte: since } }] },
+        orderBy: { detectedAt: 'desc' },
+        take: 1
+      }
+    }
+  });
+  const keysById = new Map(keys.map((key) => [key.keyId, key]));
+
+  for (const row of rows) {
+    const key = keysById.get(row.keyId);
+    const [latest] = key ? key.sharingFlags : [];
+    if (!key || latest?.status === STATUS_DISMISSED) continue;
+
+    const evidence = buildEvidence(row, since);
+
+    if (latest) {
+      await prisma.keySharingFlag.update({
+        where: { id: latest.id },
+        data: { evidence, lastDetectedAt: now }
+      });
+      summary.refreshed += 1;
+      continue;
+    }
+
+    const { action, previousRateLimit } = await applyPolicy(key);
+    await prisma.keySharingFlag.create({
+      data: { keyId: key.id, action, evidence, previousRateLimit, detectedAt: now, lastDetectedAt: now }
+    });
+
+    logger.warn('Key sharing suspected', { keyId: key.keyId, action, reasons: evidence.reasons, ips: row.ips, networks: row.networks, countries: row.countries });
+    summary.flagged += 1;
+    summary.actions[action.toLowerCase()] += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Flags, most recently detected first
+ * @param {Object} options
+ * @param {string} options.status - 'open' | 'dismissed' | 'all'
+ */
+async function listFlags({ status = 'open' } = {}) {
+  const records = await prisma.keySharingFlag.findMany({
+    where: status === 'all' ? {} : { status: status.toUpperCase() },
+    orderBy: { lastDetectedAt: 'desc' },
+    include: FLAG_INCLUDE
+  });
+
+  return records.map(mapFlagRecord);
+}
+
+/**
+ * Close a flag as a false positive, undoing what the policy did to the key
+ * A throttled key gets its previous rate limit back and a key still suspended
+ * by the flag is resumed.
+ * @returns {Promise<Object>} { success, flag } or { error, code }
+ */
+async function dismissFlag(id, actorId = null) {
+  const flag = await prisma.keySharingFlag.findUnique({
+    where: { id },
+    include: { key: true }
+  });
+
+  if (!flag) {
+    return { error: 'Flag not found', code: 404 };
+  }
+
+  if (flag.status === STATUS_DISMISSED) {
+    return { error: 'Flag is already dismissed', code: 409 };
+  }
+
+  if (flag.action === 'SUSPEND' && flag.key.status === 'SUSPENDED') {
+    const resumed = await keyService.resumeKey(flag.key.keyId, { actorId });
+    if (resumed.error) {
+      return resumed;
+    }
+  }
+
+  if (flag.action === 'THROTTLE' && flag.key.rateLimit === config.keySharing.throttleLimit) {
+    await keyService.updateKeyRateLimit(flag.key.keyId, { rateLimit: flag.previousRateLimit, actorId });
+  }
+
+  const updated = await prisma.keySharingFlag.update({
+    where: { id },
+    data: { status: STATUS_DISMISSED, dismissedAt: new Date(), dismissedById: actorId },
+    include: FLAG_INCLUDE
+  });
+
+  logger.info('Key sharing flag dismissed', { id, keyId: flag.key.keyId, action: flag.action, actorId });
+  return { success: true, flag: mapFlagRecord(updated) };
+}
+
+module.exports = {
+  detectKeySharing,
+  listFlags,
+  dismissFlag
+};
@@ -0,0 +1,135 @@
+const net = require('net');
+const prisma = require('../config/prisma');
+const Logger = require('../utils/logger');
+const config = require('../config');
+const { parseAccessKey } = require('../utils/keyUtils');
+
+const logger = new Logger(config.logging.level);
+
+const ENDPOINTS = {
+  validate: 'VALIDATE',
+  bind: 'BIND',
+  token: 'TOKEN'
+};
+
+// Outcome of a refusal that carries no error_code, from its response code
+const CODE_OUTCOMES = {
+  403: 'revoked',
+  404: 'not_found',
+  410: 'expired',
+  423: 'suspended',
+  425: 'scheduled',
+  429: 'quota_exhausted'
+};
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+function mapUsageEventRecord(record) {
+  return {
+    id: record.id,
+    occurred_at: record.occurredAt.toISOString(),
+    endpoint: record.endpoint.toLowerCase(),
+    outcome: record.outcome,
+    code: record.code,
+    ip_address: record.ipAddress || null,
+    user_agent: record.userAgent || null,
+    country: record.country || null
+  };
+}
+
+/**
+ * Outcome recorded for an attempt: the refusal's error_code, or what its code and key status mean
+ * @param {Object} result - Response of the attempt ({ code, error_code, status, in_grace, data.status })
+ * @returns {string} e.g. 'valid', 'grace', 'expired', 'not_found', 'ip_not_allowed'
+ */
+function getUsageOutcome({ code, error_code: errorCode, status, in_grace: inGrace, data } = {}) {
+  if (errorCode) return errorCode;
+  if (code === 200) return inGrace ? 'grace' : 'valid';
+  if ((status || data?.status) === 'superseded') return 'superseded';
+  return CODE_OUTCOMES[code] || 'refused';
+}
+
+/**
+ * Record a validate/bind/token attempt under the key ID the client presented
+ * Legacy UUID keys are skipped: their ID is the secret itself.
+ * Never throws: a lost event must not turn a validation into an error.
+ * @param {string} accessKey - Full key as presented by the client
+ * @param {string} endpoint - 'validate' | 'bind' | 'token'
+ * @param {Object} result - Response of the attempt, see getUsageOutcome
+ * @param {Object} client - { ipAddress, userAgent, country }
+ */
+async function recordUsageEvent(accessKey, endpoint, result, { ipAddress = null, userAgent = null, country = null } = {}) {
+  const parsed = parseAccessKey(accessKey);
+  if (!parsed || !parsed.secret) return;
+
+  try {
+    await prisma.keyUsageEvent.create({
+      data: {
+        keyId: parsed.keyId,
+        endpoint: ENDPOINTS[endpoint],
+        outcome: getUsageOutcome(result),
+        code: result.code,
+        ipAddress: ipAddress && net.isIP(ipAddress) ? ipAddress : null,
+        userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+        country
+      }
+    });
+  } catch (error) {
+    logger.warn('Unable to record key usage event', { keyId: parsed.keyId, endpoint, error: error.message });
+  }
+}
+
+/**
+ * Usage events of a key, newest first
+ * Events are kept by key ID, so the history of deleted keys stays readable.
+ * @param {string} keyId
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { events, pagination }
+ */
+async function listUsageEvents(keyId, { page = 1, limit = 50 } = {}) {
+  const where = { keyId };
+  const [records, total] = await Promise.all([
+    prisma.keyUsageEvent.findMany({
+      where,
+      orderBy: [{ occurredAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.keyUsageEvent.count({ where })
+  ]);
+
+  return {
+    events: records.map(mapUsageEventRecord),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Delete events older than the retention period
+ * @param {Date} now
+ * @returns {Promise<number>} Number of deleted events
+ */
+async function purgeOldUsageEvents(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.keys.usageEventsRetentionDays * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.keyUsageEvent.deleteMany({
+    where: { occurredAt: { lt: cutoff } }
+  });
+
+  if (count > 0) {
+    logger.info('Purged old key usage events', { count, before: cutoff.toISOString() });
+  }
+
+  return count;
+}
+
+module.exports = {
+  getUsageOutcome,
+  recordUsageEvent,
+  listUsageEvents,
+  purgeOldUsageEvents
+};
@@ -0,0 +1,61 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting, comma separator)
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of trimmed cells)
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const pushCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+
+  const pushRow = () => {
+    pushCell();
+    if (row.some((value) => value.length > 0)) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      pushCell();
+    } else if (char === '\n') {
+      pushRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  pushRow();
+  return rows;
+}
+
+module.exports = {
+  parseCsv
+};
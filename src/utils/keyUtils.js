@@ -1,13 +1,93 @@
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const net = require('net');
 const config = require('../config');
 
+// Key IDs are `<prefix>_<16 hex>`, e.g. `kbn_live_3f9a0c2d7b1e4f60`; they identify a key but don't unlock it
+const KEY_ID_PATTERN = /^(?:[a-z0-9]+_)+[0-9a-f]{16}$/;
+// Full keys append the secret: `<key id>_<43 base64url chars>` (256 bits)
+const ACCESS_KEY_PATTERN = /^((?:[a-z0-9]+_)+[0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+// Redeem codes: 16 Crockford base32 characters (80 bits), shown as XXXX-XXXX-XXXX-XXXX
+const REDEEM_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const REDEEM_CODE_LENGTH = 16;
+
+/**
+ * Hash of the secret part of a key, the only form in which it is stored
+ * @param {string} secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKeySecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Generate a new access key
+ * @param {string} prefix - e.g. `kbn_live`
+ * @returns {Object} { keyId, key, secretHash } - key is the full secret and is never stored
+ */
+function generateAccessKey(prefix = config.keys.prefix) {
+  const keyId = `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    keyId,
+    key: `${keyId}_${secret}`,
+    secretHash: hashKeySecret(secret)
+  };
+}
+
+/**
+ * Split a key presented by a client into its key ID and secret
+ * Legacy keys are bare UUIDs, stored as-is, and have no separate secret.
+ * @param {string} value
+ * @returns {Object|null} { keyId, secret } (secret is null for legacy keys) or null when malformed
+ */
+function parseAccessKey(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = ACCESS_KEY_PATTERN.exec(value);
+  if (match) {
+    return { keyId: match[1], secret: match[2] };
+  }
+
+  return isValidUUID(value) ? { keyId: value.toLowerCase(), secret: null } : null;
+}
+
+/**
+ * Whether a value can identify a key in admin endpoints: a key ID or a legacy UUID key
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidKeyId(value) {
+  return typeof value === 'string' && (KEY_ID_PATTERN.test(value) || isValidUUID(value));
+}
+
 /**
- * Generate a unique key ID
- * @returns {string} UUID v4 string
+ * Generate a redeem code
+ * @returns {string} e.g. `7KQ2-M9XD-4TRB-0HZC`
  */
-function generateKey() {
-  return uuidv4();
+function generateRedeemCode() {
+  const bytes = crypto.randomBytes(REDEEM_CODE_LENGTH);
+  const chars = Array.from(bytes, (byte) => REDEEM_CODE_ALPHABET[byte & 31]);
+  return chars.join('').match(/.{4}/g).join('-');
+}
+
+/**
+ * Canonical form of a redeem code typed by a user: uppercase, without dashes or spaces
+ * I, L and O are read as 1, 1 and 0, as in Crockford base32.
+ * @param {string} value
+ * @returns {string|null} Normalized code, or null when malformed
+ */
+function normalizeRedeemCode(value) {
+  if (typeof value !== 'string') return null;
+
+  const code = value
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+
+  if (code.length !== REDEEM_CODE_LENGTH) return null;
+  return [...code].every((char) => REDEEM_CODE_ALPHABET.includes(char)) ? code : null;
 }
 
 /**
@@ -27,6 +107,11 @@ function getExpirationDate(hours = 24) {
 
 /**
  * Check if a key is valid (active and not expired)
+ * Suspended, revoked and expired keys are never valid. A superseded (rotated)
+ * key stays valid until its expiry, which is cut down to the overlap window.
+ * A pending key (delayed activation) is valid until its activation deadline.
+ * A scheduled key is not valid before its starts_at. A lifetime key never expires.
+ * An expired key stays valid during its grace period (see isKeyInGrace).
  * @param {Object} key - Key object from database
  * @returns {boolean} True if key is valid
  */
@@ -34,22 +119,145 @@ function isKeyValid(key) {
   if (!key) return false;
 
   const now = new Date().toISOString();
-  return key.status === 'active' && key.expires_at > now;
+  if (isKeyScheduled(key)) return false;
+  if (key.status === 'pending') {
+    return !key.activate_by || key.activate_by > now;
+  }
+  if ((key.status === 'active' || key.status === 'superseded') && (Boolean(key.lifetime) || key.expires_at > now)) {
+    return true;
+  }
+  return isKeyInGrace(key);
+}
+
+/**
+ * End of the grace period of an expired (or expiring) key
+ * The key's own grace_period_minutes wins over its plan's, then over
+ * config.keys.gracePeriodMinutes; zero at any level turns the grace period off.
+ * @param {Object} key - Key object from database
+ * @returns {string|null} ISO date string, null when the key has no expiry or no grace period
+ */
+function getGraceEnd(key) {
+  if (!key || !key.expires_at) return null;
+
+  const minutes = key.grace_period_minutes ?? key.plan_grace_period_minutes ?? config.keys.gracePeriodMinutes;
+  if (!minutes) return null;
+
+  return new Date(new Date(key.expires_at).getTime() + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Whether a key is past its expiry but still inside its grace period
+ * Only keys that ran out of time get one: rotated, revoked and suspended keys don't.
+ * @param {Object} key - Key object from database
+ * @returns {boolean}
+ */
+function isKeyInGrace(key) {
+  if (!key || (key.status !== 'active' && key.status !== 'expired')) return false;
+
+  const graceEnd = getGraceEnd(key);
+  const now = new Date().toISOString();
+  return Boolean(graceEnd) && key.expires_at <= now && graceEnd > now;
+}
+
+/**
+ * Whether a usable key is still waiting for its starts_at
+ * @param {Object} key - Key object from database
+ * @returns {boolean}
+ */
+function isKeyScheduled(key) {
+  if (!key || !key.starts_at) return false;
+  return (key.status === 'active' || key.status === 'pending') && key.starts_at > new Date().toISOString();
+}
+
+/**
+ * End of the quota window that contains `from` (next UTC midnight or first day of next month)
+ * @param {string} period - 'day' | 'month'
+ * @param {Date} from
+ * @returns {Date}
+ */
+function getQuotaWindowEnd(period, from = new Date()) {
+  if (period === 'month') {
+    return new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1));
+  }
+  return new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate() + 1));
+}
+
+/**
+ * Describe the usage limits of a key and how much of them is left
+ * A period quota whose window has passed counts as unused until the next use opens a new window.
+ * @param {Object} key - Key object from database
+ * @param {Date} now
+ * @returns {Object|null} Quota information, or null when the key has no limits
+ */
+function getQuotaInfo(key, now = new Date()) {
+  if (!key || (key.max_uses == null && key.quota_limit == null)) return null;
+
+  const info = {
+    max_uses: key.max_uses,
+    uses_remaining: key.max_uses != null ? Math.max(key.max_uses - key.usage_count, 0) : null,
+    period: key.quota_period,
+    period_limit: key.quota_limit,
+    period_used: null,
+    period_remaining: null,
+    resets_at: null,
+    exhausted: false
+  };
+
+  if (key.quota_limit != null) {
+    const windowOpen = key.quota_reset_at && new Date(key.quota_reset_at) > now;
+    info.period_used = windowOpen ? key.quota_used : 0;
+    info.period_remaining = Math.max(key.quota_limit - info.period_used, 0);
+    info.resets_at = windowOpen ? key.quota_reset_at : null;
+  }
+
+  info.exhausted = info.uses_remaining === 0 || info.period_remaining === 0;
+  return info;
+}
+
+/**
+ * Resolve the effective state of a key, taking its expiry and usage quota into account
+ * @param {Object} key - Key object from database
+ * @returns {string|null} 'active' | 'scheduled' | 'exhausted' | 'expired' | 'revoked' | 'suspended' | 'superseded'
+ */
+function getKeyState(key) {
+  if (!key) return null;
+  if (key.status === 'revoked' || key.status === 'suspended') return key.status;
+  if (isKeyScheduled(key)) return 'scheduled';
+  if (isKeyValid(key)) return getQuotaInfo(key)?.exhausted ? 'exhausted' : 'active';
+  return key.status === 'superseded' ? 'superseded' : 'expired';
 }
 
 /**
  * Calculate remaining time for a key
- * @param {string} expiryDate - ISO date string
+ * When the key is suspended the clock is frozen at the suspension time.
+ * Without an expiry (lifetime keys) nothing is ever remaining or expired.
+ * @param {string|null} expiryDate - ISO date string
+ * @param {string|null} suspendedAt - ISO date string of the suspension, if any
  * @returns {Object} Time information object
  */
-function getRemainingTime(expiryDate) {
-  const now = new Date();
+function getRemainingTime(expiryDate, suspendedAt = null) {
+  const paused = Boolean(suspendedAt);
+
+  if (!expiryDate) {
+    return {
+      expired: false,
+      paused,
+      lifetime: true,
+      remaining: null,
+      hours: null,
+      minutes: null,
+      formatted: 'Never expires'
+    };
+  }
+
+  const now = suspendedAt ? new Date(suspendedAt) : new Date();
   const expiry = new Date(expiryDate);
   const diff = expiry - now;
 
   if (diff <= 0) {
     return {
       expired: true,
+      paused,
       remaining: 0,
       hours: 0,
       minutes: 0,
@@ -62,10 +270,54 @@ function getRemainingTime(expiryDate) {
 
   return {
     expired: false,
+    paused,
     remaining: diff,
     hours,
     minutes,
-    formatted: `${hours}h ${minutes}m`
+    formatted: paused ? `${hours}h ${minutes}m (paused)` : `${hours}h ${minutes}m`
+  };
+}
+
+/**
+ * Remaining time of a key
+ * A pending key shows its whole duration, frozen until the first use starts the clock;
+ * a scheduled key shows the time it will have once it starts. A key that left
+ * pending without being used (expired past activate_by or revoked) never got
+ * an expiry, yet it isn't a lifetime key: it reports as never activated.
+ * @param {Object} key - Key object from database
+ * @returns {Object} Time information object (see getRemainingTime)
+ */
+function getKeyRemainingTime(key) {
+  if (key.status !== 'pending' && !key.expires_at && !key.lifetime) {
+    return {
+      expired: true,
+      paused: false,
+      never_activated: true,
+      remaining: 0,
+      hours: 0,
+      minutes: 0,
+      formatted: 'Never activated'
+    };
+  }
+
+  if (key.status !== 'pending' && isKeyScheduled(key)) {
+    const time = getRemainingTime(key.expires_at, key.starts_at);
+    const duration = time.lifetime ? time.formatted : `${time.hours}h ${time.minutes}m`;
+    return { ...time, scheduled: true, formatted: `${duration} (not started)` };
+  }
+
+  if (key.status !== 'pending') {
+    return getRemainingTime(key.expires_at, key.suspended_at);
+  }
+
+  return {
+    expired: false,
+    paused: true,
+    pending: true,
+    remaining: key.activation_hours * 60 * 60 * 1000,
+    hours: key.activation_hours,
+    minutes: 0,
+    formatted: `${key.activation_hours}h 0m (starts on first use)`
   };
 }
 
@@ -146,6 +398,7 @@ const pickFirstPublic = (list) => {
 /**
  * Extract client IP address from request, preferring real client IP behind proxies/CDNs
  * Tries common headers, parses lists, normalizes IPv6/IPv4-mapped, and skips private ranges.
+ * Any caller can set these headers: use it for display and logs, getTrustedClientIp for decisions.
  * @param {Object} req - Express request object
  * @returns {string} Best-effort public client IP or fallback
  */
@@ -216,6 +469,76 @@ function getClientIp(req) {
   return chosen || 'unknown';
 }
 
+/**
+ * Client address for security decisions (bans, IP bindings, usage evidence)
+ * Ignores client-supplied IP headers: req.ip only follows X-Forwarded-For
+ * through the proxies allowed by TRUST_PROXY.
+ * @param {Object} req - Express request object
+ * @returns {string} Normalized address, 'unknown' when there is none
+ */
+function getTrustedClientIp(req) {
+  const ip = normalizeIp(req.ip || (req.socket && req.socket.remoteAddress));
+  return net.isIP(ip) ? ip : 'unknown';
+}
+
+/**
+ * Client country as reported by the platform in front of the API (COUNTRY_HEADER)
+ * Other geolocation headers are ignored: any client can send them. Cloudflare's
+ * XX (unknown) and T1 (Tor) are not countries.
+ * @param {Object} req - Express request object
+ * @returns {string|null} ISO 3166-1 alpha-2 code, null without a usable header
+ */
+function getClientCountry(req) {
+  const header = config.countryHeader;
+  const raw = header && req.headers ? req.headers[header] : null;
+  const value = typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+  return /^[A-Z]{2}$/.test(value) && value !== 'XX' ? value : null;
+}
+
+/**
+ * Normalize an IPv4/IPv6 address or CIDR block to "address/prefix"
+ * A bare address becomes a single-host block (/32 or /128).
+ * @param {string} value
+ * @returns {string|null} null when the value is not a valid address or block
+ */
+function normalizeCidr(value) {
+  if (typeof value !== 'string') return null;
+  const [address, prefix, ...rest] = value.trim().split('/');
+  const family = net.isIP(address);
+  if (!family || rest.length > 0) return null;
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (bits > maxPrefix) return null;
+
+  return `${address.toLowerCase()}/${bits}`;
+}
+
+/**
+ * Check whether an address falls inside any of the given addresses/CIDR blocks
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched as IPv4.
+ * @param {string} ip
+ * @param {string[]} ranges
+ * @returns {boolean}
+ */
+function isIpInRanges(ip, ranges) {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const list = new net.BlockList();
+  for (const range of ranges) {
+    // Bare addresses (a bound IP) get the same mapped-IPv4 treatment as the request address
+    const cidr = normalizeCidr(range.includes('/') ? range : normalizeIp(range));
+    if (!cidr) continue;
+    const [base, bits] = cidr.split('/');
+    list.addSubnet(base, Number(bits), net.isIP(base) === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  return list.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
 /**
  * Return both IP variants for diagnostics (public-preferred and first-valid)
  */
@@ -250,12 +573,28 @@ function getIpVariants(req) {
 }
 
 module.exports = {
-  generateKey,
+  hashKeySecret,
+  generateAccessKey,
+  parseAccessKey,
+  isValidKeyId,
+  generateRedeemCode,
+  normalizeRedeemCode,
   getExpirationDate,
   isKeyValid,
+  isKeyScheduled,
+  getKeyState,
+  getQuotaWindowEnd,
+  getQuotaInfo,
   getRemainingTime,
+  getGraceEnd,
+  isKeyInGrace,
+  getKeyRemainingTime,
   sanitizeInput,
   isValidUUID,
   getClientIp,
-  getIpVariants
+  getTrustedClientIp,
+  getClientCountry,
+  getIpVariants,
+  normalizeCidr,
+  isIpInRanges
 };
@@ -31,9 +31,20 @@ function hashSessionToken(token) {
   return crypto.createHash('sha256').update(token).digest('hex');
 }
 
+/**
+ * Constant-time comparison for shared secrets of any length
+ */
+function safeCompare(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
 module.exports = {
   hashPassword,
   verifyPassword,
   generateSessionToken,
-  hashSessionToken
+  hashSessionToken,
+  safeCompare
 };
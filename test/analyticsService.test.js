@@ -0,0 +1,30 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const analyticsService = require('../src/services/analyticsService');
+
+afterEach(restorePrisma);
+
+test('a rollup takes the rollup lock before deleting and recomputing', async () => {
+  const now = new Date('2026-10-19T12:30:00Z');
+  const statements = [];
+  const batches = [];
+  mockPrisma({
+    metricsRollup: { aggregate: async () => ({ _max: { bucketStart: new Date('2026-10-19T10:00:00Z') } }) },
+    $executeRaw: (strings) => {
+      statements.push(strings.join('?').replace(/\s+/g, ' ').trim());
+      return statements.length;
+    },
+    $transaction: async (operations) => {
+      batches.push(operations.length);
+      return [1, 3, 3, 7, 2];
+    }
+  });
+
+  const result = await analyticsService.rollupMetrics(now);
+
+  assert.deepEqual(batches, [5]);
+  assert.match(statements[0], /^SELECT pg_advisory_xact_lock\(hashtext\(\?\)\)$/);
+  assert.match(statements[1], /^DELETE FROM "MetricsRollup"/);
+  assert.deepEqual(result, { from: '2026-10-19T09:00:00.000Z', buckets: 7, active_users: 2 });
+});
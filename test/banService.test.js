@@ -0,0 +1,81 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const { banRecord } = require('./helpers/fixtures');
+const banService = require('../src/services/banService');
+
+afterEach(restorePrisma);
+
+// Records each lookup: the SQL text and the values bound to it
+function mockBanQuery(bans = []) {
+  const queries = [];
+  mockPrisma({
+    $queryRaw: async (strings, ...values) => {
+      queries.push({ sql: strings.join('?'), values });
+      return bans;
+    }
+  });
+  return queries;
+}
+
+test('findBan matches users and addresses in one indexed query', async () => {
+  const queries = mockBanQuery([banRecord()]);
+
+  const ban = await banService.findBan({ userId: 'user-1', ipAddress: '198.51.100.9' });
+
+  assert.equal(ban.id, 1);
+  assert.equal(queries.length, 1);
+  assert.match(queries[0].sql, /"value" = \?::text/);
+  assert.match(queries[0].sql, /"network" >>= CAST\(\? AS inet\)/);
+  assert.ok(queries[0].values.includes('user-1'));
+  assert.equal(queries[0].values.at(-1), '198.51.100.9');
+});
+
+test('findBan checks user patterns returned as candidates', async () => {
+  mockBanQuery([
+    banRecord({ id: 1, value: 'spam_*' }),
+    banRecord({ id: 2, value: 'user-*' })
+  ]);
+
+  const ban = await banService.findBan({ userId: 'user-1' });
+
+  assert.equal(ban.id, 2);
+});
+
+test('findBan ignores a pattern that does not match', async () => {
+  mockBanQuery([banRecord({ value: 'spam_*' })]);
+
+  assert.equal(await banService.findBan({ userId: 'user-1' }), null);
+});
+
+test('findBan never casts a missing address', async () => {
+  const queries = mockBanQuery();
+
+  assert.equal(await banService.findBan({ ipAddress: 'unknown' }), null);
+  assert.equal(queries.length, 0);
+
+  await banService.findBan({ userId: 'user-1', ipAddress: 'unknown' });
+  assert.equal(queries[0].values.at(-1), null);
+});
+
+test('createBan stores the lookup columns', async () => {
+  const created = [];
+  mockPrisma({
+    ban: {
+      create: async ({ data }) => {
+        created.push(data);
+        return banRecord({ ...data, id: created.length });
+      }
+    }
+  });
+
+  await banService.createBan({ type: 'IP', value: '203.0.113.0/24', reason: 'abuse' });
+  await banService.createBan({ type: 'USER', value: 'spam_*', reason: 'abuse' });
+  await banService.createBan({ type: 'USER', value: 'user-1', reason: 'abuse' });
+
+  assert.deepEqual(created.map(({ network, pattern }) => ({ network, pattern })), [
+    { network: '203.0.113.0/24', pattern: false },
+    { network: null, pattern: true },
+    { network: null, pattern: false }
+  ]);
+});
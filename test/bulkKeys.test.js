@@ -0,0 +1,35 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/prisma');
+const config = require('../src/config');
+const keyService = require('../src/services/keyService');
+
+const { bulkTimeBudgetSeconds } = config.keys;
+
+afterEach(() => {
+  config.keys.bulkTimeBudgetSeconds = bulkTimeBudgetSeconds;
+});
+
+test('rows left when the time budget runs out are reported, not dropped', async (t) => {
+  config.keys.bulkTimeBudgetSeconds = 8;
+  let clock = 0;
+  t.mock.method(Date, 'now', () => clock);
+  // Each key takes five seconds to issue
+  t.mock.method(keyService, 'createKey', async (userId) => {
+    clock += 5000;
+    return { key: `key-${userId}`, key_id: `id-${userId}`, expires_at: null };
+  });
+
+  const rows = ['a', 'b', 'c', 'd'].map((userId, index) => ({ row: index + 1, user_id: userId }));
+  const { summary, results } = await keyService.createKeysBulk(rows);
+
+  assert.deepEqual(results.map(({ user_id: userId, status }) => [userId, status]), [
+    ['a', 'created'],
+    ['b', 'created'],
+    ['c', 'not_processed'],
+    ['d', 'not_processed']
+  ]);
+  assert.equal(results[1].key, 'key-b');
+  assert.equal(summary.created, 2);
+  assert.equal(summary.not_processed, 2);
+});
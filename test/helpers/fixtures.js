@@ -0,0 +1,86 @@
+const { generateAccessKey } = require('../../src/utils/keyUtils');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * AccessKey row as Prisma returns it (with plan and product loaded), active for another day
+ * @param {Object} overrides - Prisma fields
+ */
+function accessKeyRecord(overrides = {}) {
+  const now = Date.now();
+  return {
+    id: 1,
+    keyId: 'kbn_live_0123456789abcdef',
+    secretHash: 'hash',
+    userId: 'user-1',
+    status: 'ACTIVE',
+    createdAt: new Date(now - HOUR),
+    startsAt: null,
+    expiresAt: new Date(now + 24 * HOUR),
+    activationHours: null,
+    activateBy: null,
+    activatedAt: null,
+    lastAccessed: null,
+    usageCount: 0,
+    ipAddress: null,
+    createdById: null,
+    revokedAt: null,
+    revokedById: null,
+    revokeReason: null,
+    suspendedAt: null,
+    supersededAt: null,
+    rotatedFromId: null,
+    scopes: [],
+    maxUses: null,
+    quotaLimit: null,
+    quotaPeriod: null,
+    quotaUsed: 0,
+    quotaResetAt: null,
+    rateLimit: null,
+    gracePeriodMinutes: null,
+    planId: 1,
+    productId: 1,
+    ipBindingMode: 'NONE',
+    boundIp: null,
+    boundAt: null,
+    allowedCidrs: [],
+    maxDevices: null,
+    plan: { slug: 'free', gracePeriodMinutes: null },
+    product: { slug: 'default' },
+    ...overrides
+  };
+}
+
+/**
+ * A freshly generated key with its stored row, so authenticateKey accepts the full key
+ * @param {Object} overrides - Prisma fields
+ * @returns {Object} { key, record }
+ */
+function issuedKey(overrides = {}) {
+  const { keyId, key, secretHash } = generateAccessKey();
+  return { key, record: accessKeyRecord({ keyId, secretHash, ...overrides }) };
+}
+
+/**
+ * Ban row as Prisma returns it
+ * @param {Object} overrides - Prisma fields
+ */
+function banRecord(overrides = {}) {
+  return {
+    id: 1,
+    type: 'USER',
+    value: 'user-1',
+    reason: 'abuse',
+    expiresAt: null,
+    createdAt: new Date(),
+    createdById: null,
+    ...overrides
+  };
+}
+
+module.exports = {
+  HOUR,
+  accessKeyRecord,
+  issuedKey,
+  banRecord
+};
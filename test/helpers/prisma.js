@@ -0,0 +1,52 @@
+// Tests never reach a database: src/config/prisma resolves to a plain object whose models each test supplies
+const prismaPath = require.resolve('../../src/config/prisma');
+
+const prisma = {};
+
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: prisma
+};
+
+const originals = new Map();
+
+/**
+ * Replace Prisma models or client methods until restorePrisma()
+ * @param {Object} overrides - e.g. { accessKey: { findUnique: async () => record } }
+ */
+function mockPrisma(overrides) {
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!originals.has(name)) {
+      originals.set(name, Object.getOwnPropertyDescriptor(prisma, name));
+    }
+    Object.defineProperty(prisma, name, { value, configurable: true, writable: true });
+  }
+}
+
+function restorePrisma() {
+  for (const [name, descriptor] of originals) {
+    if (descriptor) {
+      Object.defineProperty(prisma, name, descriptor);
+    } else {
+      delete prisma[name];
+    }
+  }
+  originals.clear();
+}
+
+/**
+ * $transaction that runs callbacks against `tx` and batches with Promise.all
+ * @param {Object} tx - Fake transaction client
+ */
+function fakeTransaction(tx) {
+  return async (arg) => (typeof arg === 'function' ? arg(tx) : Promise.all(arg));
+}
+
+module.exports = {
+  prisma,
+  mockPrisma,
+  restorePrisma,
+  fakeTransaction
+};
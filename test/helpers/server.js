@@ -0,0 +1,28 @@
+const express = require('express');
+
+/**
+ * Serve the given routes on an ephemeral port, behind `trust proxy` like the deployed app
+ * @param {Function} mount - (app) => void, registers the routes under test
+ * @param {Object} options
+ * @param {*} [options.trustProxy=1] - Express "trust proxy" value
+ * @returns {Promise<Object>} { url, close }
+ */
+async function startServer(mount, { trustProxy = 1 } = {}) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.use(express.json());
+  mount(app);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startServer
+};
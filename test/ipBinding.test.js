@@ -0,0 +1,88 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const { issuedKey } = require('./helpers/fixtures');
+const { startServer } = require('./helpers/server');
+const keyController = require('../src/controllers/keyController');
+const usageService = require('../src/services/usageService');
+
+afterEach(restorePrisma);
+
+const BOUND_IP = '198.51.100.9';
+const OTHER_IP = '203.0.113.50';
+
+/**
+ * Validate a key whose row has the given binding, from the address the edge proxy saw
+ * @returns {Promise<Object>} { status, body, updates } - updates are the accessKey.updateMany calls
+ */
+async function validateBound(t, binding, { from, claimedIp }) {
+  const { key, record } = issuedKey(binding);
+  const updates = [];
+  mockPrisma({
+    accessKey: {
+      findUnique: async () => record,
+      updateMany: async (args) => {
+        updates.push(args);
+        return { count: 1 };
+      }
+    },
+    endUser: { updateMany: async () => ({ count: 1 }) },
+    $queryRaw: async () => []
+  });
+  t.mock.method(usageService, 'recordUsageEvent', async () => {});
+
+  const server = await startServer((app) => {
+    app.get('/api/keys/validate/:keyId', (req, res) => keyController.validateKey(req, res));
+  });
+  t.after(server.close);
+
+  const response = await fetch(`${server.url}/api/keys/validate/${key}`, {
+    headers: {
+      'X-Client-IP': claimedIp,
+      'CF-Connecting-IP': claimedIp,
+      'X-Forwarded-For': `${claimedIp}, ${from}`
+    }
+  });
+  return { status: response.status, body: await response.json(), updates };
+}
+
+test('a forged X-Client-IP does not pass a key bound to that address', async (t) => {
+  const result = await validateBound(t, { ipBindingMode: 'CREATION', boundIp: BOUND_IP }, {
+    from: OTHER_IP,
+    claimedIp: BOUND_IP
+  });
+
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error_code, 'ip_not_allowed');
+});
+
+test('the bound address itself still passes', async (t) => {
+  const result = await validateBound(t, { ipBindingMode: 'CREATION', boundIp: BOUND_IP }, {
+    from: BOUND_IP,
+    claimedIp: OTHER_IP
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.valid, true);
+});
+
+test('a first_use key is claimed by the real address, not the claimed one', async (t) => {
+  const result = await validateBound(t, { ipBindingMode: 'FIRST_USE' }, {
+    from: OTHER_IP,
+    claimedIp: BOUND_IP
+  });
+
+  assert.equal(result.status, 200);
+  const claim = result.updates.find(({ data }) => 'boundIp' in data);
+  assert.equal(claim.data.boundIp, OTHER_IP);
+});
+
+test('forged headers do not place a caller inside allowed_cidrs', async (t) => {
+  const result = await validateBound(t, { ipBindingMode: 'CIDR', allowedCidrs: ['198.51.100.0/24'] }, {
+    from: OTHER_IP,
+    claimedIp: BOUND_IP
+  });
+
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error_code, 'ip_not_allowed');
+});
@@ -0,0 +1,36 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const config = require('../src/config');
+const jobRunService = require('../src/services/jobRunService');
+const jobs = require('../src/jobs');
+
+const { runsRetentionDays } = config.jobs;
+
+afterEach(() => {
+  restorePrisma();
+  config.jobs.runsRetentionDays = runsRetentionDays;
+});
+
+test('job runs older than the retention period are deleted', async () => {
+  config.jobs.runsRetentionDays = 30;
+  const deletes = [];
+  mockPrisma({
+    jobRun: {
+      deleteMany: async (args) => {
+        deletes.push(args);
+        return { count: 12 };
+      }
+    }
+  });
+
+  const now = new Date('2026-10-19T12:00:00Z');
+  const count = await jobRunService.purgeOldJobRuns(now);
+
+  assert.equal(count, 12);
+  assert.deepEqual(deletes, [{ where: { startedAt: { lt: new Date('2026-09-19T12:00:00Z') } } }]);
+});
+
+test('the purge is a registered job', () => {
+  assert.ok(jobs.listJobs().some(({ name }) => name === 'purge-job-runs'));
+});
@@ -0,0 +1,107 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma, fakeTransaction } = require('./helpers/prisma');
+const { accessKeyRecord, banRecord } = require('./helpers/fixtures');
+const keyService = require('../src/services/keyService');
+const banService = require('../src/services/banService');
+
+afterEach(restorePrisma);
+
+function mockRotation({ record = accessKeyRecord(), endUser = null, devices = [] } = {}) {
+  const calls = [];
+  const tx = {
+    $queryRaw: async () => {
+      calls.push('lock');
+      return [];
+    },
+    keyDevice: {
+      findMany: async () => {
+        calls.push('devices');
+        return devices;
+      }
+    },
+    accessKey: {
+      update: async ({ data }) => {
+        calls.push('supersede');
+        return { ...record, status: 'SUPERSEDED', supersededAt: data.supersededAt, expiresAt: data.expiresAt };
+      },
+      create: async ({ data }) => {
+        calls.push('create');
+        const { devices: nested, ...fields } = data;
+        return { ...accessKeyRecord(), ...fields, id: 2, createdAt: new Date(), createdDevices: nested.create };
+      }
+    }
+  };
+
+  mockPrisma({
+    accessKey: { findUnique: async () => record },
+    endUser: { findUnique: async () => endUser },
+    keyDevice: {
+      findMany: async () => {
+        calls.push('devices outside the transaction');
+        return devices;
+      }
+    },
+    $transaction: fakeTransaction(tx)
+  });
+
+  return calls;
+}
+
+test('rotation is refused to a banned user', async (t) => {
+  const calls = mockRotation();
+  t.mock.method(banService, 'findBan', async () => banRecord());
+
+  const result = await keyService.rotateKey('kbn_live_0123456789abcdef', { ipAddress: '203.0.113.7' });
+
+  assert.equal(result.code, 403);
+  assert.equal(result.error_code, 'banned');
+  assert.deepEqual(calls, []);
+});
+
+test('rotation checks bans against the caller address', async (t) => {
+  mockRotation();
+  const findBan = t.mock.method(banService, 'findBan', async () => null);
+
+  await keyService.rotateKey('kbn_live_0123456789abcdef', { ipAddress: '203.0.113.7' });
+
+  assert.deepEqual(findBan.mock.calls[0].arguments[0], { userId: 'user-1', ipAddress: '203.0.113.7' });
+});
+
+test('rotation is refused to a disabled user', async (t) => {
+  const calls = mockRotation({ endUser: { id: 'user-1', status: 'DISABLED' } });
+  t.mock.method(banService, 'findBan', async () => null);
+
+  const result = await keyService.rotateKey('kbn_live_0123456789abcdef');
+
+  assert.equal(result.code, 403);
+  assert.equal(result.error_code, 'user_disabled');
+  assert.deepEqual(calls, []);
+});
+
+test('devices are read under the key lock and copied to the successor', async (t) => {
+  const seen = new Date();
+  const calls = mockRotation({
+    record: accessKeyRecord({ maxDevices: 2 }),
+    devices: [{ fingerprint: 'device-a', firstSeenAt: seen, lastSeenAt: seen, lastIp: '203.0.113.7' }]
+  });
+  t.mock.method(banService, 'findBan', async () => null);
+
+  const result = await keyService.rotateKey('kbn_live_0123456789abcdef');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(calls, ['lock', 'devices', 'supersede', 'create']);
+  assert.equal(result.key.max_devices, 2);
+  assert.equal(result.previous.status, 'superseded');
+  assert.match(result.access_key, /^kbn_live_/);
+});
+
+test('only active keys rotate', async (t) => {
+  const calls = mockRotation({ record: accessKeyRecord({ status: 'REVOKED' }) });
+  t.mock.method(banService, 'findBan', async () => null);
+
+  const result = await keyService.rotateKey('kbn_live_0123456789abcdef');
+
+  assert.equal(result.code, 409);
+  assert.deepEqual(calls, []);
+});
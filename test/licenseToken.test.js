@@ -0,0 +1,153 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { mockPrisma, restorePrisma, fakeTransaction } = require('./helpers/prisma');
+const { issuedKey } = require('./helpers/fixtures');
+const config = require('../src/config');
+const keyService = require('../src/services/keyService');
+const signingKeyService = require('../src/services/signingKeyService');
+
+const { nodeEnv } = config;
+const { signingKeyPassphrase } = config.licenseTokens;
+
+afterEach(() => {
+  restorePrisma();
+  config.nodeEnv = nodeEnv;
+  config.licenseTokens.signingKeyPassphrase = signingKeyPassphrase;
+});
+
+function signingKeyRecord(overrides = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return {
+    id: 1,
+    kid: crypto.randomBytes(8).toString('hex'),
+    publicKey,
+    privateKey,
+    status: 'ACTIVE',
+    createdAt: new Date(),
+    retiredAt: null,
+    ...overrides
+  };
+}
+
+/**
+ * Mock a key exchange: the key row, the signing keys and the use counter
+ * @returns {Object} { key, uses } - uses are the accessKey.updateMany calls
+ */
+function mockExchange({ record: overrides = {}, signingKey = null } = {}) {
+  const { key, record } = issuedKey(overrides);
+  const uses = [];
+  const signingKeys = {
+    findFirst: async () => signingKey,
+    create: async ({ data }) => signingKeyRecord(data)
+  };
+  mockPrisma({
+    accessKey: {
+      findUnique: async () => record,
+      updateMany: async (args) => {
+        uses.push(args);
+        return { count: 1 };
+      }
+    },
+    endUser: { updateMany: async () => ({ count: 1 }) },
+    signingKey: signingKeys,
+    $queryRaw: async () => [],
+    $transaction: fakeTransaction({ $executeRaw: async () => 1, signingKey: signingKeys })
+  });
+  return { key, uses };
+}
+
+test('a token that cannot be signed does not spend a use', async () => {
+  config.nodeEnv = 'production';
+  config.licenseTokens.signingKeyPassphrase = '';
+  const { key, uses } = mockExchange();
+
+  const result = await keyService.issueLicenseToken(key);
+
+  assert.equal(result.code, 503);
+  assert.equal(result.error_code, 'signing_unavailable');
+  assert.deepEqual(uses, []);
+});
+
+test('a plaintext signing key in production does not spend a use', async () => {
+  config.nodeEnv = 'production';
+  config.licenseTokens.signingKeyPassphrase = 'secret';
+  const { key, uses } = mockExchange({ signingKey: signingKeyRecord() });
+
+  const result = await keyService.issueLicenseToken(key);
+
+  assert.equal(result.error_code, 'signing_unavailable');
+  assert.deepEqual(uses, []);
+});
+
+test('a signed token spends exactly one use', async () => {
+  const signingKey = signingKeyRecord();
+  const { key, uses } = mockExchange({ signingKey });
+
+  const result = await keyService.issueLicenseToken(key);
+
+  assert.equal(result.kid, signingKey.kid);
+  assert.equal(uses.length, 1);
+
+  const [header, payload, signature] = result.token.split('.');
+  assert.ok(crypto.verify(null, Buffer.from(`${header}.${payload}`), signingKey.publicKey, Buffer.from(signature, 'base64url')));
+});
+
+test('concurrent first tokens share one new signing key', async () => {
+  const stored = [];
+  let lock = Promise.resolve();
+  const signingKeys = {
+    findFirst: async () => stored.at(-1) || null,
+    create: async ({ data }) => {
+      const record = signingKeyRecord(data);
+      stored.push(record);
+      return record;
+    }
+  };
+  mockPrisma({
+    signingKey: signingKeys,
+    // Transactions wait for each other like holders of the advisory lock
+    $transaction: async (callback) => {
+      const run = lock.then(() => callback({ $executeRaw: async () => 1, signingKey: signingKeys }));
+      lock = run.catch(() => {});
+      return run;
+    }
+  });
+
+  const signers = await Promise.all([signingKeyService.getSigner(), signingKeyService.getSigner()]);
+
+  assert.equal(stored.length, 1);
+  assert.deepEqual(signers.map(({ kid }) => kid), [stored[0].kid, stored[0].kid]);
+});
+
+test('a token of a key in grace ends with the grace period', async (t) => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const { key } = mockExchange({
+    signingKey: signingKeyRecord(),
+    record: { expiresAt: new Date(now - 10 * 60 * 1000), gracePeriodMinutes: 30 }
+  });
+
+  const result = await keyService.issueLicenseToken(key);
+
+  assert.equal(result.expires_at, '2026-10-19T12:20:00.000Z');
+  assert.ok(result.claims.exp < now / 1000 + config.licenseTokens.ttlMinutes * 60);
+});
+
+test('a key ending within the current second gets no token', async (t) => {
+  const now = Date.parse('2026-10-19T12:00:00.250Z');
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const signingKey = signingKeyRecord();
+  const sign = t.mock.fn();
+  t.mock.method(signingKeyService, 'getSigner', async () => ({ kid: signingKey.kid, sign }));
+  const { key } = mockExchange({ record: { expiresAt: new Date(now + 500) } });
+
+  const result = await keyService.issueLicenseToken(key);
+
+  assert.equal(result.code, 410);
+  assert.equal(result.error_code, 'key_expiring');
+  assert.equal(sign.mock.callCount(), 0);
+});
@@ -0,0 +1,115 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma, fakeTransaction } = require('./helpers/prisma');
+const keyService = require('../src/services/keyService');
+const redeemService = require('../src/services/redeemService');
+
+afterEach(restorePrisma);
+
+function codeRecord(overrides = {}) {
+  return {
+    id: 7,
+    batchId: 3,
+    hint: 'ABCD',
+    redeemedAt: null,
+    redeemedBy: null,
+    accessKeyId: null,
+    batch: {
+      id: 3,
+      hours: 24,
+      createdById: null,
+      plan: { slug: 'pro' },
+      product: { slug: 'default' }
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Mock a redemption whose claim matches `claimed` rows
+ * @returns {Object} { tx, calls } - the order of the transaction and its statements
+ */
+function mockRedeem({ record = codeRecord(), claimed = 1 } = {}) {
+  const calls = [];
+  const tx = {
+    redeemCode: {
+      updateMany: async () => {
+        calls.push('claim');
+        return { count: claimed };
+      },
+      update: async () => {
+        calls.push('link');
+        return {};
+      }
+    }
+  };
+  const transaction = fakeTransaction(tx);
+  mockPrisma({
+    redeemCode: { findUnique: async () => record },
+    $transaction: async (arg) => {
+      calls.push('transaction');
+      return transaction(arg);
+    }
+  });
+  return { tx, calls };
+}
+
+test('the key is inserted in the transaction that claims the code', async (t) => {
+  const { tx, calls } = mockRedeem();
+  t.mock.method(keyService, 'prepareKey', async () => ({ userId: 'user-1' }));
+  const insertKey = t.mock.method(keyService, 'insertKey', async () => {
+    calls.push('insert');
+    return { key_id: 'kbn_live_0123456789abcdef' };
+  });
+
+  const result = await redeemService.redeemCode('CODE', 'user-1', '203.0.113.50');
+
+  assert.equal(result.key_id, 'kbn_live_0123456789abcdef');
+  assert.deepEqual(calls, ['transaction', 'claim', 'insert', 'link']);
+  assert.equal(insertKey.mock.calls[0].arguments[0], tx);
+});
+
+test('a redemption that loses the claim creates no key', async (t) => {
+  const { calls } = mockRedeem({ claimed: 0 });
+  t.mock.method(keyService, 'prepareKey', async () => ({ userId: 'user-1' }));
+  const insertKey = t.mock.method(keyService, 'insertKey', async () => ({ key_id: 'kbn_live_0123456789abcdef' }));
+
+  const result = await redeemService.redeemCode('CODE', 'user-1');
+
+  assert.equal(result.code, 409);
+  assert.equal(result.error_code, 'code_already_redeemed');
+  assert.equal(insertKey.mock.callCount(), 0);
+  assert.deepEqual(calls, ['transaction', 'claim']);
+});
+
+test('a failed insert leaves the code unredeemed', async (t) => {
+  mockRedeem();
+  t.mock.method(keyService, 'prepareKey', async () => ({ userId: 'user-1' }));
+  t.mock.method(keyService, 'insertKey', async () => {
+    throw new Error('unique constraint');
+  });
+
+  // The error escapes the transaction callback, which is what rolls the claim back
+  await assert.rejects(redeemService.redeemCode('CODE', 'user-1'), /unique constraint/);
+});
+
+test('a refused user never claims the code', async (t) => {
+  const { calls } = mockRedeem();
+  t.mock.method(keyService, 'prepareKey', async () => ({ error: 'User is banned', code: 403, error_code: 'banned' }));
+
+  const result = await redeemService.redeemCode('CODE', 'user-1', '203.0.113.50');
+
+  assert.equal(result.error_code, 'banned');
+  assert.deepEqual(calls, []);
+});
+
+test('a redeemed code is refused before anything else', async (t) => {
+  const { calls } = mockRedeem({ record: codeRecord({ redeemedAt: new Date() }) });
+  const prepareKey = t.mock.method(keyService, 'prepareKey', async () => ({}));
+
+  const result = await redeemService.redeemCode('CODE', 'user-1');
+
+  assert.equal(result.error_code, 'code_already_redeemed');
+  assert.equal(prepareKey.mock.callCount(), 0);
+  assert.deepEqual(calls, []);
+});
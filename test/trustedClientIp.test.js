@@ -0,0 +1,85 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const { issuedKey, banRecord } = require('./helpers/fixtures');
+const { startServer } = require('./helpers/server');
+const keyController = require('../src/controllers/keyController');
+const usageService = require('../src/services/usageService');
+const { getTrustedClientIp } = require('../src/utils/keyUtils');
+
+afterEach(restorePrisma);
+
+// Every header a caller could use to claim another address
+const FORGED_HEADERS = {
+  'X-Client-IP': '203.0.113.50',
+  'True-Client-IP': '203.0.113.50',
+  'CF-Connecting-IP': '203.0.113.50',
+  'X-Real-IP': '203.0.113.50',
+  Forwarded: 'for=203.0.113.50'
+};
+
+async function validateFrom(t, headers, { bans = [], trustProxy } = {}) {
+  const { key, record } = issuedKey();
+  mockPrisma({
+    accessKey: { findUnique: async () => record, updateMany: async () => ({ count: 1 }) },
+    endUser: { updateMany: async () => ({ count: 1 }) },
+    $queryRaw: async () => bans
+  });
+  const recordUsageEvent = t.mock.method(usageService, 'recordUsageEvent', async () => {});
+
+  const server = await startServer((app) => {
+    app.get('/api/keys/validate/:keyId', (req, res) => keyController.validateKey(req, res));
+  }, { trustProxy });
+  t.after(server.close);
+
+  const response = await fetch(`${server.url}/api/keys/validate/${key}`, { headers });
+  return {
+    status: response.status,
+    body: await response.json(),
+    recordedIp: recordUsageEvent.mock.calls[0]?.arguments[3].ipAddress
+  };
+}
+
+test('an IP ban holds whatever address the caller claims in its headers', async (t) => {
+  const ban = banRecord({ type: 'IP', value: '198.51.100.9/32' });
+
+  const result = await validateFrom(t, {
+    ...FORGED_HEADERS,
+    // The edge proxy appends the address it saw; anything before it came from the caller
+    'X-Forwarded-For': '203.0.113.50, 198.51.100.9'
+  }, { bans: [ban] });
+
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error_code, 'banned');
+  assert.equal(result.recordedIp, '198.51.100.9');
+});
+
+test('forged headers cannot put a caller inside a banned range', async (t) => {
+  const ban = banRecord({ type: 'IP', value: '203.0.113.0/24' });
+
+  const result = await validateFrom(t, {
+    ...FORGED_HEADERS,
+    'X-Forwarded-For': '203.0.113.50, 198.51.100.9'
+  }, { bans: [ban] });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.valid, true);
+});
+
+test('without a trusted proxy X-Forwarded-For is ignored too', async (t) => {
+  const ban = banRecord({ type: 'IP', value: '127.0.0.1/32' });
+
+  const result = await validateFrom(t, {
+    ...FORGED_HEADERS,
+    'X-Forwarded-For': '198.51.100.9'
+  }, { bans: [ban], trustProxy: false });
+
+  assert.equal(result.body.error_code, 'banned');
+  assert.equal(result.recordedIp, '127.0.0.1');
+});
+
+test('getTrustedClientIp unwraps IPv4-mapped addresses and has a fallback', () => {
+  assert.equal(getTrustedClientIp({ ip: '::ffff:198.51.100.9', headers: FORGED_HEADERS }), '198.51.100.9');
+  assert.equal(getTrustedClientIp({ ip: '2001:db8::1', headers: {} }), '2001:db8::1');
+  assert.equal(getTrustedClientIp({ headers: FORGED_HEADERS }), 'unknown');
+});
@@ -0,0 +1,71 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const { issuedKey } = require('./helpers/fixtures');
+const { startServer } = require('./helpers/server');
+const config = require('../src/config');
+const keyController = require('../src/controllers/keyController');
+
+const { countryHeader } = config;
+
+afterEach(() => {
+  restorePrisma();
+  config.countryHeader = countryHeader;
+});
+
+// What a sharer would send to make every use look like one address and country
+const FORGED_HEADERS = {
+  'X-Client-IP': '198.51.100.9',
+  'X-Real-IP': '198.51.100.9',
+  'CF-IPCountry': 'BR',
+  'CloudFront-Viewer-Country': 'BR'
+};
+
+async function recordedEvent(t, headers) {
+  const { key, record } = issuedKey();
+  const events = [];
+  mockPrisma({
+    accessKey: { findUnique: async () => record, updateMany: async () => ({ count: 1 }) },
+    endUser: { updateMany: async () => ({ count: 1 }) },
+    keyUsageEvent: {
+      create: async ({ data }) => {
+        events.push(data);
+        return data;
+      }
+    },
+    $queryRaw: async () => []
+  });
+
+  const server = await startServer((app) => {
+    app.get('/api/keys/validate/:keyId', (req, res) => keyController.validateKey(req, res));
+  });
+  t.after(server.close);
+
+  const response = await fetch(`${server.url}/api/keys/validate/${key}`, { headers });
+  assert.equal(response.status, 200);
+  return events[0];
+}
+
+test('usage events record the connection address, not the claimed one', async (t) => {
+  const event = await recordedEvent(t, {
+    ...FORGED_HEADERS,
+    'X-Forwarded-For': '198.51.100.9, 203.0.113.50'
+  });
+
+  assert.equal(event.ipAddress, '203.0.113.50');
+  assert.equal(event.outcome, 'valid');
+});
+
+test('usage events ignore country headers the platform does not set', async (t) => {
+  config.countryHeader = '';
+  const event = await recordedEvent(t, FORGED_HEADERS);
+
+  assert.equal(event.country, null);
+});
+
+test('usage events read the country from COUNTRY_HEADER only', async (t) => {
+  config.countryHeader = 'x-vercel-ip-country';
+  const event = await recordedEvent(t, { ...FORGED_HEADERS, 'X-Vercel-IP-Country': 'pt' });
+
+  assert.equal(event.country, 'PT');
+});
@@ -0,0 +1,52 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('node:crypto');
+const { mockPrisma, restorePrisma } = require('./helpers/prisma');
+const { issuedKey } = require('./helpers/fixtures');
+const usageService = require('../src/services/usageService');
+
+afterEach(restorePrisma);
+
+function mockEvents() {
+  const events = [];
+  mockPrisma({
+    keyUsageEvent: {
+      create: async ({ data }) => {
+        events.push(data);
+        return data;
+      }
+    }
+  });
+  return events;
+}
+
+test('an event is recorded under the key ID, never the secret', async () => {
+  const events = mockEvents();
+  const { key, record } = issuedKey();
+
+  await usageService.recordUsageEvent(key, 'validate', { code: 200 }, { ipAddress: '203.0.113.50' });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].keyId, record.keyId);
+  assert.ok(!JSON.stringify(events[0]).includes(key));
+});
+
+test('legacy UUID keys are not recorded: their ID is the secret', async () => {
+  const events = mockEvents();
+
+  await usageService.recordUsageEvent(randomUUID(), 'validate', { code: 200 }, { ipAddress: '203.0.113.50' });
+
+  assert.deepEqual(events, []);
+});
+
+test('a failed insert does not fail the attempt', async () => {
+  mockPrisma({
+    keyUsageEvent: {
+      create: async () => {
+        throw new Error('connection lost');
+      }
+    }
+  });
+
+  await assert.doesNotReject(usageService.recordUsageEvent(issuedKey().key, 'bind', { code: 200 }));
+});